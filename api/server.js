@@ -1,4 +1,8 @@
 const app = require('../server');
+const { setRateLimitStore, createMongoStore } = require('../helpers/rateLimitStore');
+
+// serverless instances share no memory, so rate-limit counters live in Mongo
+setRateLimitStore(createMongoStore());
 
 module.exports = (req, res) => {
   app(req, res); 
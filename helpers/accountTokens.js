@@ -0,0 +1,83 @@
+// helpers/accountTokens.js
+// Signed, single-use, expiring tokens for password reset and email
+// verification. Each purpose has its own signing key, so these tokens can
+// never pass as access tokens (or as each other).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AccountToken = require('../models/accountToken');
+const { ApiError } = require('./errors');
+
+const TOKEN_TTL = {
+  'password-reset': process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+  'email-verify': process.env.EMAIL_VERIFY_EXPIRES_IN || '24h'
+};
+
+class AccountTokenError extends ApiError {
+  constructor(message) {
+    super(400, 'INVALID_TOKEN', message);
+    this.name = 'AccountTokenError';
+  }
+}
+
+function secretFor(purpose) {
+  return `${process.env.JWT_SECRET}:${purpose}`;
+}
+
+// Short fingerprint of the password hash: a reset link stops working as soon
+// as the password changes by any other means
+function passwordFingerprint(user) {
+  return crypto.createHash('sha256').update(String(user.password)).digest('hex').slice(0, 16);
+}
+
+// Issue a token for `user`; earlier unused tokens for the same purpose are retired
+async function issueAccountToken(user, purpose) {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const payload = { uid: String(user._id), jti };
+  if (purpose === 'password-reset') payload.pwd = passwordFingerprint(user);
+
+  const token = jwt.sign(payload, secretFor(purpose), { expiresIn: TOKEN_TTL[purpose] });
+  const { exp } = jwt.decode(token);
+
+  await AccountToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  await AccountToken.create({ user: user._id, purpose, jti, expiresAt: new Date(exp * 1000) });
+
+  return token;
+}
+
+// Verify and use up a token. `loadUser` fetches the user by id.
+// Resolves to the user; throws AccountTokenError if the token is bad,
+// expired, already used or (for resets) the password has changed since.
+async function consumeAccountToken(token, purpose, loadUser) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), secretFor(purpose));
+  } catch (err) {
+    throw new AccountTokenError(err.name === 'TokenExpiredError'
+      ? 'This link has expired'
+      : 'This link is not valid');
+  }
+
+  const user = await loadUser(payload.uid);
+  if (!user) throw new AccountTokenError('This link is not valid');
+
+  if (purpose === 'password-reset' && payload.pwd !== passwordFingerprint(user)) {
+    throw new AccountTokenError('This link has already been used');
+  }
+
+  const record = await AccountToken.findOneAndUpdate(
+    { jti: payload.jti, purpose, user: user._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!record) throw new AccountTokenError('This link has already been used');
+
+  return user;
+}
+
+module.exports = {
+  AccountTokenError,
+  issueAccountToken,
+  consumeAccountToken
+};
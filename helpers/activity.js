@@ -0,0 +1,191 @@
+// helpers/activity.js
+// Activity stream behind /feed: watchlist adds, watch status changes and
+// reviews written or changed. The routes making those changes record the
+// events (an import records its rows with the dates from the file); who may
+// see one is decided when it is read, from its author's current
+// User.activityPrivacy, so tightening a setting also hides the past.
+//
+//   public     any signed-in user (profile activity and followers' feeds)
+//   followers  the author's followers
+//   private    only the author
+const Activity = require('../models/activity');
+const Follow = require('../models/follow');
+const Movie = require('../models/movie');
+const Review = require('../models/review');
+const User = require('../models/user');
+const { posterUrls } = require('./posters');
+
+const EXCERPT_LENGTH = 280;
+// A feed draws on this many of the most recent follows
+const FEED_MAX_FOLLOWS = 1000;
+
+function excerpt(text) {
+  const value = String(text || '').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : value;
+}
+
+// Events are a side effect: a failed write is logged, never sent to the client
+function record(fields) {
+  return Activity.create(fields).catch(err => console.error('Activity write error:', err));
+}
+
+// type: 'watchlist_add' | 'watchlist_status'; `at` backdates the event (imports)
+function recordWatchlistActivity(type, item, at) {
+  return record({ type, user: item.user, movieId: item.movieId, status: item.status, createdAt: at || undefined });
+}
+
+function reviewIsPublic(review) {
+  return Review.PUBLIC_FILTER.status.$in.includes(review.status || null);
+}
+
+// type: 'review_create' | 'review_update'; `at` backdates the event (imports)
+function recordReviewActivity(type, review, at) {
+  return record({
+    type,
+    user: review.user,
+    movieId: review.movieId,
+    review: review._id,
+    rating: review.rating,
+    excerpt: excerpt(review.comment),
+    hidden: !reviewIsPublic(review),
+    createdAt: at || undefined
+  });
+}
+
+// A deleted review takes its events with it
+function removeReviewActivity(reviewId) {
+  return Activity.deleteMany({ review: reviewId });
+}
+
+// A review flagged or hidden by moderation takes its events out of the
+// feeds; approving it brings them back
+function setReviewActivityHidden(reviewId, hidden) {
+  return Activity.updateMany({ review: reviewId }, { $set: { hidden } });
+}
+
+// Settings of a (possibly older) user document, defaults filled in
+function activityPrivacy(user) {
+  const privacy = (user && user.activityPrivacy) || {};
+  return {
+    watchlist: privacy.watchlist || 'followers',
+    reviews: privacy.reviews || 'followers'
+  };
+}
+
+// Categories of `author`'s activity a viewer may see; relation is
+// 'self', 'follower' or 'other'
+function visibleCategories(author, relation) {
+  const allowed = {
+    self: ['public', 'followers', 'private'],
+    follower: ['public', 'followers'],
+    other: ['public']
+  }[relation];
+  return Object.entries(activityPrivacy(author))
+    .filter(([, visibility]) => allowed.includes(visibility))
+    .map(([category]) => category);
+}
+
+// Lean events -> what the API sends: author name, movie title and poster
+async function hydrate(events) {
+  const [users, movies] = await Promise.all([
+    User.find({ _id: { $in: [...new Set(events.map(e => String(e.user)))] } }, { displayName: 1 }).lean(),
+    Movie.find({ id: { $in: [...new Set(events.map(e => e.movieId))] } }, { id: 1, title: 1, poster_url: 1, release_date: 1 }).lean()
+  ]);
+  const userById = new Map(users.map(u => [String(u._id), u]));
+  const movieById = new Map(movies.map(m => [m.id, m]));
+
+  return events.map(e => {
+    const movie = movieById.get(e.movieId);
+    return {
+      _id: e._id,
+      type: e.type,
+      createdAt: e.createdAt,
+      user: { _id: e.user, displayName: User.publicName(userById.get(String(e.user))) },
+      movie: {
+        id: e.movieId,
+        title: movie ? movie.title : 'Removed movie',
+        year: movie && movie.release_date ? new Date(movie.release_date).getUTCFullYear() : null,
+        posterSrc: posterUrls({ id: e.movieId, poster_url: movie ? movie.poster_url : null }, 'w185').posterSrc
+      },
+      status: e.status,
+      rating: e.rating,
+      excerpt: e.excerpt
+    };
+  });
+}
+
+// Events of hidden reviews are left out by the query itself, so pages and
+// counts agree
+async function activityPage(conditions, { page, perPage }) {
+  const filter = { ...conditions, hidden: { $ne: true } };
+  const [events, totalCount] = await Promise.all([
+    Activity.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .lean(),
+    Activity.countDocuments(filter)
+  ]);
+  return {
+    page,
+    perPage,
+    totalPages: Math.ceil(totalCount / perPage),
+    totalCount,
+    data: await hydrate(events)
+  };
+}
+
+// Newest activity of the users `userId` follows, as their settings allow:
+// per category, one $in of the authors who show it to followers
+async function getFeed(userId, { page = 1, perPage = 20 } = {}) {
+  const follows = await Follow.find({ follower: userId }, { following: 1 })
+    .sort({ createdAt: -1 })
+    .limit(FEED_MAX_FOLLOWS)
+    .lean();
+  const authors = follows.length
+    ? await User.find({ _id: { $in: follows.map(f => f.following) } }, { activityPrivacy: 1 }).lean()
+    : [];
+
+  const authorsByCategory = new Map();
+  authors.forEach(author => {
+    visibleCategories(author, 'follower').forEach(category => {
+      if (!authorsByCategory.has(category)) authorsByCategory.set(category, []);
+      authorsByCategory.get(category).push(author._id);
+    });
+  });
+  const conditions = [...authorsByCategory].map(([category, ids]) => ({ category, user: { $in: ids } }));
+
+  if (!conditions.length) {
+    return { page, perPage, totalPages: 0, totalCount: 0, data: [] };
+  }
+  return activityPage(conditions.length === 1 ? conditions[0] : { $or: conditions }, { page, perPage });
+}
+
+// One user's activity as `viewerId` may see it; null when there is no such user
+async function getUserActivity(viewerId, userId, { page = 1, perPage = 20 } = {}) {
+  const author = await User.findById(userId, { activityPrivacy: 1 }).lean();
+  if (!author) return null;
+
+  let relation = 'other';
+  if (String(author._id) === String(viewerId)) {
+    relation = 'self';
+  } else if (await Follow.exists({ follower: viewerId, following: author._id })) {
+    relation = 'follower';
+  }
+
+  const categories = visibleCategories(author, relation);
+  if (!categories.length) {
+    return { page, perPage, totalPages: 0, totalCount: 0, data: [] };
+  }
+  return activityPage({ user: author._id, category: { $in: categories } }, { page, perPage });
+}
+
+module.exports = {
+  activityPrivacy,
+  recordWatchlistActivity,
+  recordReviewActivity,
+  removeReviewActivity,
+  setReviewActivityHidden,
+  getFeed,
+  getUserActivity
+};
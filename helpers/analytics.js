@@ -0,0 +1,236 @@
+// helpers/analytics.js
+// Catalog analytics for /api/analytics: one aggregation pipeline per report,
+// all narrowed by the same listing filters as /movies (genre, years, language...).
+const Movie = require('../models/movie');
+const { parseMovieFilters, buildFilterConditions } = require('./movieFilters');
+
+const RELEASE_YEAR = { $year: '$release_date' };
+const HAS_RELEASE_DATE = { release_date: { $type: 'date' } };
+
+function toPositiveInt(value, fallback, max) {
+  const num = parseInt(value);
+  return num > 0 ? Math.min(num, max) : fallback;
+}
+
+function round(value, digits = 1) {
+  if (typeof value !== 'number') return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Validated query (ANALYTICS_QUERY in server.js) -> Mongo match for every report
+function analyticsMatch(query) {
+  const conditions = buildFilterConditions(parseMovieFilters(query));
+  return conditions.length ? { $and: conditions } : {};
+}
+
+// Top N films per release year by `metric`, newest year first
+function topPerYear(match, { metric, limit, years, extraMatch = {}, fields = {} }) {
+  return Movie.aggregate([
+    { $match: { ...match, ...HAS_RELEASE_DATE, ...extraMatch } },
+    { $addFields: { year: RELEASE_YEAR, ...fields } },
+    { $sort: { [metric]: -1, id: 1 } },
+    {
+      $group: {
+        _id: '$year',
+        films: {
+          $push: {
+            id: '$id',
+            title: '$title',
+            budget: '$budget',
+            revenue: '$revenue',
+            roi: '$roi'
+          }
+        }
+      }
+    },
+    { $sort: { _id: -1 } },
+    { $limit: years },
+    { $project: { _id: 0, year: '$_id', films: { $slice: ['$films', limit] } } }
+  ]);
+}
+
+const REPORTS = {
+  // Highest revenue per year
+  'top-grossing': {
+    description: 'Top-grossing films per release year',
+    params: ['limit (films per year, default 5)', 'years (default 20)'],
+    async run(match, query) {
+      const rows = await topPerYear(match, {
+        metric: 'revenue',
+        limit: toPositiveInt(query.limit, 5, 20),
+        years: toPositiveInt(query.years, 20, 150),
+        extraMatch: { revenue: { $gt: 0 } }
+      });
+      return rows.map(row => ({
+        year: row.year,
+        films: row.films.map(({ roi, ...film }) => film)
+      }));
+    }
+  },
+
+  // (revenue - budget) / budget per year; tiny budgets are skipped because
+  // they produce meaningless multiples
+  'best-roi': {
+    description: 'Best return on investment per release year',
+    params: ['limit (default 5)', 'years (default 20)', 'minBudget (default 1000000)'],
+    async run(match, query) {
+      const minBudget = toPositiveInt(query.minBudget, 1000000, Number.MAX_SAFE_INTEGER);
+      const rows = await topPerYear(match, {
+        metric: 'roi',
+        limit: toPositiveInt(query.limit, 5, 20),
+        years: toPositiveInt(query.years, 20, 150),
+        extraMatch: { budget: { $gte: minBudget }, revenue: { $gt: 0 } },
+        fields: { roi: { $divide: [{ $subtract: ['$revenue', '$budget'] }, '$budget'] } }
+      });
+      return rows.map(row => ({
+        year: row.year,
+        films: row.films.map(film => ({ ...film, roi: round(film.roi, 2) }))
+      }));
+    }
+  },
+
+  // Share of each decade's movies tagged with each genre
+  'genres-by-decade': {
+    description: 'Genre share of movies released in each decade',
+    params: [],
+    async run(match) {
+      const [result] = await Movie.aggregate([
+        { $match: { ...match, ...HAS_RELEASE_DATE } },
+        { $addFields: { decade: { $multiply: [{ $floor: { $divide: [RELEASE_YEAR, 10] } }, 10] } } },
+        {
+          $facet: {
+            totals: [{ $group: { _id: '$decade', movies: { $sum: 1 } } }],
+            genres: [
+              { $unwind: '$genres' },
+              { $group: { _id: { decade: '$decade', genre: '$genres.name' }, count: { $sum: 1 } } }
+            ]
+          }
+        }
+      ]);
+
+      return result.totals
+        .sort((a, b) => a._id - b._id)
+        .map(total => ({
+          decade: total._id,
+          movies: total.movies,
+          genres: result.genres
+            .filter(g => g._id.decade === total._id)
+            .map(g => ({ genre: g._id.genre, count: g.count, share: round(g.count / total.movies, 3) }))
+            .sort((a, b) => b.count - a.count)
+        }));
+    }
+  },
+
+  // Average runtime and rating per release year
+  trends: {
+    description: 'Average runtime and rating per release year',
+    params: ['minVotes (ratings with fewer votes are ignored, default 10)'],
+    async run(match, query) {
+      const minVotes = toPositiveInt(query.minVotes, 10, 100000);
+      const rows = await Movie.aggregate([
+        { $match: { ...match, ...HAS_RELEASE_DATE } },
+        {
+          $group: {
+            _id: RELEASE_YEAR,
+            movies: { $sum: 1 },
+            averageRuntime: { $avg: { $cond: [{ $gt: ['$runtime', 0] }, '$runtime', null] } },
+            averageRating: { $avg: { $cond: [{ $gte: ['$vote_count', minVotes] }, '$vote_average', null] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+      return rows.map(row => ({
+        year: row._id,
+        movies: row.movies,
+        averageRuntime: round(row.averageRuntime),
+        averageRating: round(row.averageRating, 2)
+      }));
+    }
+  },
+
+  // Original language distribution
+  languages: {
+    description: 'Movies per original language',
+    params: ['limit (default 15)'],
+    async run(match, query) {
+      return distribution(match, {
+        unwind: null,
+        key: '$original_language',
+        label: '$original_language',
+        limit: toPositiveInt(query.limit, 15, 100)
+      });
+    }
+  },
+
+  // Production country distribution (a co-production counts for each country)
+  countries: {
+    description: 'Movies per production country',
+    params: ['limit (default 15)'],
+    async run(match, query) {
+      return distribution(match, {
+        unwind: '$production_countries',
+        key: '$production_countries.iso_3166_1',
+        label: '$production_countries.name',
+        limit: toPositiveInt(query.limit, 15, 100)
+      });
+    }
+  }
+};
+
+// Top `limit` values of `key` with counts and share of all matching movies;
+// everything past the limit is folded into one "other" row
+async function distribution(match, { unwind, key, label, limit }) {
+  const [result] = await Movie.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: 'movies' }],
+        values: [
+          ...(unwind ? [{ $unwind: unwind }] : []),
+          { $match: { [key.slice(1)]: { $nin: [null, ''] } } },
+          { $group: { _id: key, label: { $first: label }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totalMovies = result.total.length ? result.total[0].movies : 0;
+  const share = count => (totalMovies ? round(count / totalMovies, 3) : 0);
+
+  const top = result.values.slice(0, limit).map(v => ({
+    value: v._id,
+    label: v.label,
+    count: v.count,
+    share: share(v.count)
+  }));
+  const otherCount = result.values.slice(limit).reduce((sum, v) => sum + v.count, 0);
+  if (otherCount) {
+    top.push({ value: 'other', label: 'Other', count: otherCount, share: share(otherCount) });
+  }
+
+  return { totalMovies, values: top };
+}
+
+// Run one report by name; resolves to null for an unknown report
+async function runReport(name, query = {}) {
+  const report = Object.prototype.hasOwnProperty.call(REPORTS, name) ? REPORTS[name] : null;
+  if (!report) return null;
+  return report.run(analyticsMatch(query), query);
+}
+
+// Report names, descriptions and extra params for GET /api/analytics
+function listReports() {
+  return Object.entries(REPORTS).map(([name, report]) => ({
+    name,
+    description: report.description,
+    params: report.params
+  }));
+}
+
+module.exports = {
+  REPORTS,
+  runReport,
+  listReports
+};
@@ -0,0 +1,129 @@
+// helpers/apiKeys.js
+// API keys for partner apps using the read-only movie API. Admins issue and
+// revoke them; only a SHA-256 hash is stored, so a key is shown once, when it
+// is issued. Every request made with a key counts against its daily quota
+// (UTC days), kept in the ApiKeyUsage collection.
+//
+//   API_KEY_DAILY_QUOTA=10000   default quota for new keys
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKey');
+const ApiKeyUsage = require('../models/apiKeyUsage');
+
+const KEY_PREFIX = 'mx_';
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA) || 10000;
+
+// lastUsedAt is informational; don't write it on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// "2024-05-31" for the UTC day of `date`
+function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+// Create a key; returns { key, apiKey } where `key` is the only copy of the secret
+async function issueApiKey({ name, dailyQuota, createdBy }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key),
+    dailyQuota: dailyQuota || DEFAULT_DAILY_QUOTA,
+    createdBy
+  });
+  return { key, apiKey };
+}
+
+// The unrevoked key matching `key`, or null
+async function findActiveApiKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+  return ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null }).lean();
+}
+
+// Count one request for `apiKey` today. Returns { allowed, count, limit, resetAt }.
+// The increment only matches while the count is under the quota; once it is
+// used up the upsert collides with today's document and the request is
+// recorded as rejected instead.
+async function recordApiKeyUsage(apiKey) {
+  const now = new Date();
+  const day = usageDay(now);
+  const resetAt = nextUtcMidnight(now);
+  const limit = apiKey.dailyQuota;
+
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+      .catch(err => console.error('API key lastUsedAt error:', err));
+  }
+
+  try {
+    const usage = await ApiKeyUsage.findOneAndUpdate(
+      { apiKey: apiKey._id, day, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return { allowed: true, count: usage.count, limit, resetAt };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const usage = await ApiKeyUsage.findOneAndUpdate(
+      { apiKey: apiKey._id, day },
+      { $inc: { rejected: 1 } },
+      { new: true }
+    ).lean();
+    return { allowed: false, count: usage ? usage.count : limit, limit, resetAt };
+  }
+}
+
+// Per-key usage for the last `days` days (today included), newest day first
+async function apiKeyUsageReport({ days = 30 } = {}) {
+  const today = new Date();
+  const from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1)));
+  const todayKey = usageDay(today);
+
+  const [keys, usage] = await Promise.all([
+    ApiKey.find({}, { keyHash: 0 }).sort({ createdAt: -1 }).lean(),
+    ApiKeyUsage.find({ day: { $gte: usageDay(from) } }).sort({ day: -1 }).lean()
+  ]);
+
+  const usageByKey = new Map();
+  usage.forEach(entry => {
+    const id = String(entry.apiKey);
+    if (!usageByKey.has(id)) usageByKey.set(id, []);
+    usageByKey.get(id).push({ day: entry.day, count: entry.count, rejected: entry.rejected });
+  });
+
+  return {
+    from: usageDay(from),
+    to: todayKey,
+    data: keys.map(key => {
+      const daily = usageByKey.get(String(key._id)) || [];
+      const todayUsage = daily.find(d => d.day === todayKey);
+      return {
+        _id: key._id,
+        name: key.name,
+        prefix: key.prefix,
+        revokedAt: key.revokedAt,
+        lastUsedAt: key.lastUsedAt,
+        dailyQuota: key.dailyQuota,
+        today: todayUsage ? todayUsage.count : 0,
+        total: daily.reduce((sum, d) => sum + d.count, 0),
+        rejected: daily.reduce((sum, d) => sum + d.rejected, 0),
+        daily
+      };
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_DAILY_QUOTA,
+  issueApiKey,
+  findActiveApiKey,
+  recordApiKeyUsage,
+  apiKeyUsageReport
+};
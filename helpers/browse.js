@@ -0,0 +1,117 @@
+// helpers/browse.js
+// Browse pages for one collection, production company or production country:
+// the movies themselves (through listMovies) plus summary stats.
+const Movie = require('../models/movie');
+const { listMovies } = require('./movieListing');
+const { parseSort, sortParam } = require('./movieSort');
+
+// How each browse type is keyed, matched and named
+const BROWSE_TYPES = {
+  collection: {
+    label: 'Collection',
+    parseKey: raw => (/^\d+$/.test(raw) ? Number(raw) : null),
+    filter: id => ({ 'belongs_to_collection.id': id }),
+    name: (movie, id) => (movie.belongs_to_collection && movie.belongs_to_collection.id === id
+      ? movie.belongs_to_collection.name
+      : null),
+    // a collection reads best in release order
+    defaultSort: 'release_date'
+  },
+  company: {
+    label: 'Production company',
+    parseKey: raw => (/^\d+$/.test(raw) ? Number(raw) : null),
+    filter: id => ({ 'production_companies.id': id }),
+    name: (movie, id) => {
+      const company = (movie.production_companies || []).find(c => c.id === id);
+      return company ? company.name : null;
+    },
+    defaultSort: '-popularity'
+  },
+  country: {
+    label: 'Country',
+    parseKey: raw => (/^[a-z]{2}$/i.test(raw) ? raw.toUpperCase() : null),
+    filter: iso => ({ 'production_countries.iso_3166_1': iso }),
+    name: (movie, iso) => {
+      const country = (movie.production_countries || []).find(c => c.iso_3166_1 === iso);
+      return country ? country.name : null;
+    },
+    defaultSort: '-popularity'
+  }
+};
+
+// Movie count, average rating, revenue/budget totals and year span
+async function getBrowseStats(filter) {
+  const [stats] = await Movie.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        movieCount: { $sum: 1 },
+        // unrated movies (no votes) would drag the average to 0
+        averageRating: {
+          $avg: { $cond: [{ $gt: [{ $ifNull: ['$vote_count', 0] }, 0] }, '$vote_average', null] }
+        },
+        totalRevenue: { $sum: { $ifNull: ['$revenue', 0] } },
+        totalBudget: { $sum: { $ifNull: ['$budget', 0] } },
+        totalRuntime: { $sum: { $ifNull: ['$runtime', 0] } },
+        firstRelease: { $min: '$release_date' },
+        lastRelease: { $max: '$release_date' }
+      }
+    }
+  ]);
+
+  if (!stats) return null;
+
+  return {
+    movieCount: stats.movieCount,
+    averageRating: typeof stats.averageRating === 'number'
+      ? Math.round(stats.averageRating * 10) / 10
+      : null,
+    totalRevenue: stats.totalRevenue,
+    totalBudget: stats.totalBudget,
+    totalRuntime: stats.totalRuntime,
+    yearFrom: stats.firstRelease ? new Date(stats.firstRelease).getUTCFullYear() : null,
+    yearTo: stats.lastRelease ? new Date(stats.lastRelease).getUTCFullYear() : null
+  };
+}
+
+// One page of a collection / company / country. Resolves to null when the
+// key is malformed or nothing matches it; unknown sorts use the type's default.
+async function getBrowsePage(type, rawKey, { page = 1, perPage = 30, sort } = {}) {
+  const config = BROWSE_TYPES[type];
+  const key = config ? config.parseKey(String(rawKey)) : null;
+  if (key === null) return null;
+
+  const filter = config.filter(key);
+  const sample = await Movie.findOne(filter, {
+    belongs_to_collection: 1,
+    production_companies: 1,
+    production_countries: 1
+  }).lean();
+  if (!sample) return null;
+
+  const sortSpec = parseSort(sort) || parseSort(config.defaultSort);
+  const [stats, listing] = await Promise.all([
+    getBrowseStats(filter),
+    listMovies({ filter, sortSpec, skip: (page - 1) * perPage, limit: perPage })
+  ]);
+
+  return {
+    type,
+    label: config.label,
+    key,
+    name: config.name(sample, key) || String(key),
+    stats,
+    sort: sortParam(sortSpec),
+    page,
+    perPage,
+    totalCount: listing.totalCount,
+    totalPages: Math.ceil(listing.totalCount / perPage),
+    items: listing.items
+  };
+}
+
+module.exports = {
+  BROWSE_TYPES,
+  getBrowsePage
+};
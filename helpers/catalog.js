@@ -0,0 +1,393 @@
+// helpers/catalog.js
+// Reading, writing and normalizing TMDB-shaped catalog files (JSON, NDJSON, CSV)
+const fs = require('fs');
+const path = require('path');
+
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/w500';
+
+// TMDB's fixed movie genre ids, used when a file only has genre names
+const TMDB_GENRES = {
+  Action: 28,
+  Adventure: 12,
+  Animation: 16,
+  Comedy: 35,
+  Crime: 80,
+  Documentary: 99,
+  Drama: 18,
+  Family: 10751,
+  Fantasy: 14,
+  History: 36,
+  Horror: 27,
+  Music: 10402,
+  Mystery: 9648,
+  Romance: 10749,
+  'Science Fiction': 878,
+  'TV Movie': 10770,
+  Thriller: 53,
+  War: 10752,
+  Western: 37
+};
+
+const NUMBER_FIELDS = ['budget', 'popularity', 'revenue', 'runtime', 'vote_average', 'vote_count'];
+const STRING_FIELDS = ['imdb_id', 'original_language', 'original_title', 'overview', 'poster_path',
+                       'poster_url', 'homepage', 'status', 'tagline', 'title'];
+const BOOLEAN_FIELDS = ['adult', 'video'];
+const NESTED_FIELDS = ['belongs_to_collection', 'genres', 'production_companies',
+                       'production_countries', 'spoken_languages'];
+
+// Column order for CSV export
+const CSV_COLUMNS = ['id', 'imdb_id', 'title', 'original_title', 'original_language', 'release_date',
+                     'status', 'adult', 'video', 'budget', 'revenue', 'runtime', 'popularity',
+                     'vote_average', 'vote_count', 'tagline', 'overview', 'homepage', 'poster_path',
+                     'poster_url', ...NESTED_FIELDS];
+
+class RowError extends Error {}
+
+// ---------- FORMAT DETECTION ----------
+
+function detectFormat(file, explicit) {
+  if (explicit) return explicit.toLowerCase();
+  const ext = path.extname(file || '').toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+  return 'json';
+}
+
+// ---------- CSV ----------
+
+// RFC 4180 parser: quoted fields may hold commas, quotes ("") and newlines
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell !== ''));
+  const columns = header.map(h => h.replace(/^\uFEFF/, '').trim());
+
+  return body.map(cells => {
+    const record = {};
+    columns.forEach((col, i) => {
+      record[col] = cells[i] !== undefined ? cells[i] : '';
+    });
+    return record;
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSVRow(values) {
+  return values.map(csvCell).join(',');
+}
+
+// ---------- READING ----------
+
+// Returns [{ row, data }] where row is the 1-based record number in the file
+function readCatalogFile(file, format) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (format === 'csv') {
+    return parseCSV(text).map((data, i) => ({ row: i + 1, data }));
+  }
+
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/)
+      .map((line, i) => ({ row: i + 1, line: line.trim() }))
+      .filter(entry => entry.line !== '')
+      .map(({ row, line }) => {
+        try {
+          return { row, data: JSON.parse(line) };
+        } catch (err) {
+          return { row, error: `invalid JSON: ${err.message}` };
+        }
+      });
+  }
+
+  const parsed = JSON.parse(text);
+  // accept a bare array or a TMDB/API-style envelope ({ results: [] } / { data: [] })
+  const list = Array.isArray(parsed) ? parsed : (parsed.results || parsed.data);
+  if (!Array.isArray(list)) {
+    throw new Error('JSON file must contain an array of movies');
+  }
+  return list.map((data, i) => ({ row: i + 1, data }));
+}
+
+// ---------- NORMALIZATION ----------
+
+// Nested CSV cells come as JSON or as Python literals
+// ("[{'id': 16, 'name': 'Animation'}]", as in the Kaggle TMDB dumps)
+function parseNestedText(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (err) {
+    // fall through to the Python-literal reader
+  }
+
+  let json = '';
+  for (let i = 0; i < trimmed.length; i++) {
+    const ch = trimmed[i];
+
+    if (ch === '\'' || ch === '"') {
+      let str = '';
+      i++;
+      while (i < trimmed.length && trimmed[i] !== ch) {
+        if (trimmed[i] === '\\' && i + 1 < trimmed.length) {
+          i++;
+          str += trimmed[i];
+        } else {
+          str += trimmed[i];
+        }
+        i++;
+      }
+      json += JSON.stringify(str);
+    } else if (trimmed.startsWith('None', i)) {
+      json += 'null';
+      i += 3;
+    } else if (trimmed.startsWith('True', i)) {
+      json += 'true';
+      i += 3;
+    } else if (trimmed.startsWith('False', i)) {
+      json += 'false';
+      i += 4;
+    } else {
+      json += ch;
+    }
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new RowError(`could not parse nested value "${trimmed.slice(0, 40)}"`);
+  }
+}
+
+function toNumber(value, field) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(num)) {
+    throw new RowError(`${field} must be a number (got "${value}")`);
+  }
+  return num;
+}
+
+function toBoolean(value, field) {
+  if (typeof value === 'boolean') return value;
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  throw new RowError(`${field} must be true or false (got "${value}")`);
+}
+
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date
+    ? value
+    : new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())
+      ? `${String(value).trim()}T00:00:00Z`
+      : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RowError(`release_date is not a valid date (got "${value}")`);
+  }
+  return date;
+}
+
+function toList(value, field) {
+  if (value === null || value === undefined || value === '') return [];
+  const list = typeof value === 'string'
+    ? (/^\s*[[{]/.test(value) ? parseNestedText(value) : value.split(/[|,]/))
+    : value;
+  if (!Array.isArray(list)) {
+    throw new RowError(`${field} must be a list`);
+  }
+  return list.filter(item => item !== null && item !== '');
+}
+
+function normalizeGenres(value) {
+  return toList(value, 'genres').map(g => {
+    const name = typeof g === 'string' ? g.trim() : g.name;
+    const id = typeof g === 'object' && g.id !== undefined ? toNumber(g.id, 'genres.id') : TMDB_GENRES[name];
+    if (id === undefined || id === null) {
+      throw new RowError(`unknown genre "${name}"`);
+    }
+    return { id, name };
+  });
+}
+
+function normalizeCompanies(value) {
+  return toList(value, 'production_companies').map(c => {
+    if (typeof c !== 'object') {
+      throw new RowError(`production company "${c}" has no id`);
+    }
+    return { id: toNumber(c.id, 'production_companies.id'), name: c.name };
+  });
+}
+
+function normalizeCountries(value) {
+  return toList(value, 'production_countries').map(c => {
+    if (typeof c !== 'object') {
+      throw new RowError(`production country "${c}" has no name`);
+    }
+    return { iso_3166_1: String(c.iso_3166_1 || '').toUpperCase(), name: c.name };
+  });
+}
+
+function normalizeLanguages(value) {
+  return toList(value, 'spoken_languages').map(l => (
+    typeof l === 'object'
+      ? { iso_639_1: String(l.iso_639_1 || '').toLowerCase(), name: l.english_name || l.name }
+      : { iso_639_1: String(l).trim().toLowerCase() }
+  ));
+}
+
+function normalizeCollection(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const collection = typeof value === 'string' ? parseNestedText(value) : value;
+  if (!collection) return null;
+  if (typeof collection !== 'object' || Array.isArray(collection)) {
+    throw new RowError('belongs_to_collection must be an object');
+  }
+  return {
+    id: toNumber(collection.id, 'belongs_to_collection.id'),
+    name: collection.name,
+    poster_path: collection.poster_path || undefined,
+    backdrop_path: collection.backdrop_path || undefined
+  };
+}
+
+// Maps one raw record onto models/movie.js. Only fields with a value are
+// returned: missing keys, nulls and empty CSV cells are left out, so partial
+// files never blank out existing data. A record without an id is kept when it
+// has an imdb_id, which the import then matches on.
+function normalizeMovie(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new RowError('record is not an object');
+  }
+
+  const has = key => raw[key] !== undefined && raw[key] !== null && String(raw[key]).trim() !== '';
+
+  const movie = {};
+  if (has('id')) {
+    const id = toNumber(raw.id, 'id');
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new RowError(`id must be a positive integer (got "${raw.id}")`);
+    }
+    movie.id = id;
+  } else if (!has('imdb_id')) {
+    throw new RowError('id or imdb_id is required');
+  }
+
+  NUMBER_FIELDS.forEach(key => {
+    if (has(key)) movie[key] = toNumber(raw[key], key);
+  });
+
+  BOOLEAN_FIELDS.forEach(key => {
+    if (has(key)) movie[key] = toBoolean(raw[key], key);
+  });
+
+  STRING_FIELDS.forEach(key => {
+    if (has(key)) movie[key] = String(raw[key]).trim();
+  });
+
+  if (has('release_date')) movie.release_date = toDate(raw.release_date);
+  if (has('genres')) movie.genres = normalizeGenres(raw.genres);
+  if (has('production_companies')) movie.production_companies = normalizeCompanies(raw.production_companies);
+  if (has('production_countries')) movie.production_countries = normalizeCountries(raw.production_countries);
+  if (has('spoken_languages')) movie.spoken_languages = normalizeLanguages(raw.spoken_languages);
+  if (has('belongs_to_collection')) movie.belongs_to_collection = normalizeCollection(raw.belongs_to_collection);
+
+  if (movie.imdb_id && !/^tt\d+$/.test(movie.imdb_id)) {
+    throw new RowError(`imdb_id must look like tt1234567 (got "${movie.imdb_id}")`);
+  }
+
+  // the listings only show movies with a full poster URL
+  if (!movie.poster_url && movie.poster_path) {
+    movie.poster_url = `${TMDB_IMAGE_BASE}${movie.poster_path}`;
+  }
+
+  return movie;
+}
+
+// ---------- WRITING ----------
+
+// Writer that streams movies out in the given format
+function createCatalogWriter(stream, format) {
+  let count = 0;
+
+  return {
+    start() {
+      if (format === 'json') stream.write('[\n');
+      if (format === 'csv') stream.write(toCSVRow(CSV_COLUMNS) + '\n');
+    },
+    write(movie) {
+      if (format === 'csv') {
+        const values = CSV_COLUMNS.map(col => (
+          col === 'release_date' && movie.release_date
+            ? new Date(movie.release_date).toISOString().slice(0, 10)
+            : movie[col]
+        ));
+        stream.write(toCSVRow(values) + '\n');
+      } else if (format === 'ndjson') {
+        stream.write(JSON.stringify(movie) + '\n');
+      } else {
+        stream.write((count > 0 ? ',\n' : '') + JSON.stringify(movie));
+      }
+      count++;
+    },
+    end() {
+      if (format === 'json') stream.write('\n]\n');
+      return count;
+    }
+  };
+}
+
+module.exports = {
+  RowError,
+  TMDB_GENRES,
+  detectFormat,
+  parseCSV,
+  toCSVRow,
+  readCatalogFile,
+  normalizeMovie,
+  createCatalogWriter
+};
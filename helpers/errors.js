@@ -0,0 +1,57 @@
+// helpers/errors.js
+// Errors that carry their own HTTP answer. Throw (or next()) one from any
+// route or middleware and the central error handler (middleware/errorHandler.js)
+// sends it in the standard shape:
+//   { error: <message>, code: <MACHINE_CODE>, fields?: { <field>: <message> } }
+class ApiError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    if (fields) this.fields = fields;
+  }
+}
+
+function badRequest(message, fields) {
+  return new ApiError(400, fields ? 'VALIDATION_ERROR' : 'BAD_REQUEST', message, fields);
+}
+
+function unauthorized(message = 'Authentication required', code = 'UNAUTHORIZED') {
+  return new ApiError(401, code, message);
+}
+
+function forbidden(message = 'Forbidden', code = 'FORBIDDEN') {
+  return new ApiError(403, code, message);
+}
+
+function notFound(message = 'Not found') {
+  return new ApiError(404, 'NOT_FOUND', message);
+}
+
+function conflict(message) {
+  return new ApiError(409, 'CONFLICT', message);
+}
+
+function serviceUnavailable(message = 'Service temporarily unavailable', code = 'SERVICE_UNAVAILABLE') {
+  return new ApiError(503, code, message);
+}
+
+// promise.catch() handler: a duplicate-key error becomes a 409 with `message`
+function conflictOnDuplicate(message) {
+  return (err) => {
+    if (err && err.code === 11000) throw conflict(message);
+    throw err;
+  };
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  serviceUnavailable,
+  conflictOnDuplicate
+};
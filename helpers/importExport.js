@@ -0,0 +1,501 @@
+// helpers/importExport.js
+// A user's watchlist and reviews, out (GET /api/me/export, JSON or CSV) and
+// in (POST /api/me/import) from our own export or from Letterboxd's CSVs
+// (watchlist.csv, diary.csv, ratings.csv, reviews.csv).
+//
+// Importing is two calls with the same file: a preview that matches every row
+// to a catalog movie (by our id, imdb_id, or title plus year) and reports what
+// would change, then the same request with commit=true. Imports only add:
+// existing watchlist entries keep their settings (a movie logged as watched
+// is marked watched) and existing reviews are never replaced.
+const Movie = require('../models/movie');
+const WatchlistItem = require('../models/watchlistItem');
+const Review = require('../models/review');
+const { parseCSV, toCSVRow } = require('./catalog');
+const { badRequest } = require('./errors');
+const { recordWatchlistActivity, recordReviewActivity } = require('./activity');
+
+const EXPORT_FORMAT = 'movie-explorer';
+const EXPORT_VERSION = 1;
+const EXPORT_CSV_COLUMNS = ['type', 'movieId', 'imdb_id', 'title', 'year', 'status', 'priority',
+                            'notes', 'watchedAt', 'rating', 'comment', 'date'];
+
+const IMPORT_FORMATS = ['movie-explorer', 'letterboxd'];
+const MAX_IMPORT_ROWS = 10000;
+const MAX_COMMENT_LENGTH = 2000;   // as REVIEW_BODY in server.js
+
+// unmatched rows are all listed; matches only up to this many
+const PREVIEW_MATCHES = 500;
+
+const MATCH_PROJECTION = { id: 1, imdb_id: 1, title: 1, original_title: 1, release_date: 1, vote_count: 1, poster_url: 1 };
+
+function releaseYear(movie) {
+  return movie && movie.release_date ? new Date(movie.release_date).getUTCFullYear() : null;
+}
+
+function toDateOrNull(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toIntOrNull(value) {
+  const number = Number(value);
+  return value !== '' && value !== null && Number.isInteger(number) ? number : null;
+}
+
+// ---------- EXPORT ----------
+
+async function buildExport(userId) {
+  const [items, reviews] = await Promise.all([
+    WatchlistItem.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Review.find({ user: userId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const movieIds = [...new Set([...items, ...reviews].map(entry => entry.movieId))];
+  const movies = await Movie.find({ id: { $in: movieIds } }, { id: 1, imdb_id: 1, title: 1, release_date: 1 }).lean();
+  const movieById = new Map(movies.map(m => [m.id, m]));
+
+  // enough to find the movie again here or elsewhere
+  const describe = (movieId, fallbackTitle = null) => {
+    const movie = movieById.get(movieId);
+    return {
+      movieId,
+      imdb_id: (movie && movie.imdb_id) || null,
+      title: movie ? movie.title : fallbackTitle,
+      year: releaseYear(movie)
+    };
+  };
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    watchlist: items.map(item => ({
+      ...describe(item.movieId, item.movieTitle),
+      status: item.status,
+      priority: item.priority,
+      notes: item.notes || '',
+      watchedAt: item.watchedAt,
+      addedAt: item.createdAt
+    })),
+    reviews: reviews.map(review => ({
+      ...describe(review.movieId),
+      rating: review.rating,
+      comment: review.comment || '',
+      status: review.status,
+      createdAt: review.createdAt,
+      updatedAt: review.updatedAt
+    }))
+  };
+}
+
+// One row per watchlist entry and per review, told apart by `type`
+function exportToCSV(data) {
+  const iso = value => (value ? new Date(value).toISOString() : '');
+  const rows = [
+    ...data.watchlist.map(item => ({
+      ...item, type: 'watchlist', watchedAt: iso(item.watchedAt), date: iso(item.addedAt)
+    })),
+    ...data.reviews.map(review => ({ ...review, type: 'review', date: iso(review.createdAt) }))
+  ];
+  return [
+    toCSVRow(EXPORT_CSV_COLUMNS),
+    ...rows.map(row => toCSVRow(EXPORT_CSV_COLUMNS.map(column => row[column])))
+  ].join('\n') + '\n';
+}
+
+// ---------- READING AN IMPORT FILE ----------
+// Every format becomes rows of
+//   { row, title, year, imdbId, movieId, watchlist: {...} | null, review: {...} | null, problem? }
+
+function ourWatchlistRow(entry, row) {
+  return {
+    row,
+    title: entry.title || '',
+    year: toIntOrNull(entry.year),
+    imdbId: entry.imdb_id || null,
+    movieId: toIntOrNull(entry.movieId),
+    watchlist: {
+      status: WatchlistItem.WATCH_STATUSES.includes(entry.status) ? entry.status : 'planned',
+      priority: toIntOrNull(entry.priority),
+      notes: typeof entry.notes === 'string' ? entry.notes.slice(0, 1000) : '',
+      watchedAt: toDateOrNull(entry.watchedAt),
+      addedAt: toDateOrNull(entry.addedAt || entry.date)
+    },
+    review: null
+  };
+}
+
+function ourReviewRow(entry, row) {
+  const rating = Math.round(Number(entry.rating));
+  const valid = entry.rating !== '' && rating >= 1 && rating <= 10;
+  return {
+    row,
+    title: entry.title || '',
+    year: toIntOrNull(entry.year),
+    imdbId: entry.imdb_id || null,
+    movieId: toIntOrNull(entry.movieId),
+    watchlist: null,
+    review: valid
+      ? { rating, comment: String(entry.comment || '').slice(0, MAX_COMMENT_LENGTH), date: toDateOrNull(entry.createdAt || entry.date) }
+      : null,
+    problem: valid ? null : 'rating must be between 1 and 10'
+  };
+}
+
+// Letterboxd: Name, Year, Letterboxd URI, plus Date (logged / added),
+// Rating (0.5–5 stars), Watched Date, Review depending on the file
+function letterboxdRow(record, row, watched) {
+  const stars = parseFloat(record.Rating);
+  const rating = stars > 0 ? Math.min(10, Math.max(1, Math.round(stars * 2))) : null;
+  const review = rating
+    ? { rating, comment: (record.Review || '').slice(0, MAX_COMMENT_LENGTH), date: toDateOrNull(record.Date) }
+    : null;
+
+  return {
+    row,
+    title: (record.Name || '').trim(),
+    year: toIntOrNull(record.Year),
+    imdbId: null,
+    movieId: null,
+    watchlist: watched
+      ? { status: 'watched', watchedAt: toDateOrNull(record['Watched Date'] || record.Date) }
+      : { status: 'planned', addedAt: toDateOrNull(record.Date) },
+    review
+  };
+}
+
+// File text -> { format, rows }. `format` may be 'auto'.
+function readImportFile(text, format = 'auto') {
+  const body = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!body) throw badRequest('The file is empty');
+
+  let detected;
+  let rows;
+
+  if (body.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (err) {
+      throw badRequest('The file is not valid JSON');
+    }
+    if (data.format !== EXPORT_FORMAT) throw badRequest('This JSON file is not a Movie Explorer export');
+    detected = EXPORT_FORMAT;
+    const watchlist = Array.isArray(data.watchlist) ? data.watchlist : [];
+    const reviews = Array.isArray(data.reviews) ? data.reviews : [];
+    // rows are numbered through both lists, watchlist first
+    rows = [
+      ...watchlist.map((entry, i) => ourWatchlistRow(entry, i + 1)),
+      ...reviews.map((entry, i) => ourReviewRow(entry, watchlist.length + i + 1))
+    ];
+  } else {
+    const records = parseCSV(body);
+    const columns = records.length ? Object.keys(records[0]) : [];
+
+    if (columns.includes('type') && columns.includes('movieId')) {
+      detected = EXPORT_FORMAT;
+      rows = records
+        .filter(record => record.type === 'watchlist' || record.type === 'review')
+        .map((record, i) => (record.type === 'review' ? ourReviewRow(record, i + 1) : ourWatchlistRow(record, i + 1)));
+    } else if (columns.includes('Name') && columns.includes('Year')) {
+      detected = 'letterboxd';
+      // watchlist.csv has neither column; diary, ratings and reviews mean "seen"
+      const watched = columns.includes('Watched Date') || columns.includes('Rating');
+      rows = records.map((record, i) => letterboxdRow(record, i + 1, watched));
+    } else {
+      throw badRequest('Unrecognized file: expected a Movie Explorer export or a Letterboxd CSV');
+    }
+  }
+
+  if (format !== 'auto' && format !== detected) {
+    throw badRequest(`This looks like a ${detected} file, not ${format}`);
+  }
+  if (!rows.length) throw badRequest('The file has no rows to import');
+  if (rows.length > MAX_IMPORT_ROWS) throw badRequest(`Files may have at most ${MAX_IMPORT_ROWS} rows`);
+
+  return { format: detected, rows };
+}
+
+// ---------- MATCHING ----------
+
+// Best catalog movie for a title (and year): exact year first, then one year
+// either side (release dates differ by country); the most voted one wins a tie
+function pickByTitle(candidates, year) {
+  if (!candidates.length) return { movie: null, reason: 'no movie with this title' };
+  if (year === null) {
+    return candidates.length === 1
+      ? { movie: candidates[0] }
+      : { movie: null, reason: 'several movies have this title; the file gives no year' };
+  }
+
+  const byVotes = (a, b) => (b.vote_count || 0) - (a.vote_count || 0);
+  const exact = candidates.filter(m => releaseYear(m) === year).sort(byVotes);
+  if (exact.length) return { movie: exact[0] };
+  const near = candidates.filter(m => Math.abs(releaseYear(m) - year) === 1).sort(byVotes);
+  if (near.length) return { movie: near[0] };
+  return { movie: null, reason: `no movie with this title from ${year}` };
+}
+
+// Adds { movie, matchedBy, reason } to every row
+async function matchRows(rows) {
+  const ids = [...new Set(rows.map(r => r.movieId).filter(id => id !== null))];
+  const imdbIds = [...new Set(rows.map(r => r.imdbId).filter(Boolean))];
+  const titles = [...new Set(rows.filter(r => r.movieId === null && !r.imdbId && r.title).map(r => r.title))];
+
+  const [byIdDocs, byImdbDocs, byTitleDocs] = await Promise.all([
+    ids.length ? Movie.find({ id: { $in: ids } }, MATCH_PROJECTION).lean() : [],
+    imdbIds.length ? Movie.find({ imdb_id: { $in: imdbIds } }, MATCH_PROJECTION).lean() : [],
+    titles.length
+      ? Movie.find({ $or: [{ title: { $in: titles } }, { original_title: { $in: titles } }] }, MATCH_PROJECTION).lean()
+      : []
+  ]);
+
+  const byId = new Map(byIdDocs.map(m => [m.id, m]));
+  const byImdb = new Map(byImdbDocs.map(m => [m.imdb_id, m]));
+  const byTitle = new Map();
+  byTitleDocs.forEach(movie => {
+    new Set([movie.title, movie.original_title].filter(Boolean)).forEach(title => {
+      if (!byTitle.has(title)) byTitle.set(title, []);
+      byTitle.get(title).push(movie);
+    });
+  });
+
+  // a row whose id or imdb_id is unknown here still gets a title match
+  const titleFallback = rows.filter(r => (r.movieId !== null && !byId.has(r.movieId)) ||
+    (r.movieId === null && r.imdbId && !byImdb.has(r.imdbId)));
+  const missingTitles = [...new Set(titleFallback.map(r => r.title).filter(t => t && !byTitle.has(t)))];
+  if (missingTitles.length) {
+    const more = await Movie.find(
+      { $or: [{ title: { $in: missingTitles } }, { original_title: { $in: missingTitles } }] },
+      MATCH_PROJECTION
+    ).lean();
+    more.forEach(movie => {
+      new Set([movie.title, movie.original_title].filter(Boolean)).forEach(title => {
+        if (!byTitle.has(title)) byTitle.set(title, []);
+        if (!byTitle.get(title).some(m => m.id === movie.id)) byTitle.get(title).push(movie);
+      });
+    });
+  }
+
+  return rows.map(row => {
+    if (row.movieId !== null && byId.has(row.movieId)) return { ...row, movie: byId.get(row.movieId), matchedBy: 'id' };
+    if (row.imdbId && byImdb.has(row.imdbId)) return { ...row, movie: byImdb.get(row.imdbId), matchedBy: 'imdb_id' };
+    if (!row.title) return { ...row, movie: null, reason: 'no title' };
+
+    const { movie, reason } = pickByTitle(byTitle.get(row.title) || [], row.year);
+    return movie
+      ? { ...row, movie, matchedBy: row.year !== null ? 'title+year' : 'title' }
+      : { ...row, movie: null, reason };
+  });
+}
+
+// ---------- PLANNING AND APPLYING ----------
+
+// Several rows for one movie (rewatches in a diary) -> one watchlist change
+// and one review: "watched" wins, with the latest date, and the latest rating
+function mergeByMovie(matched) {
+  const byMovie = new Map();
+  matched.forEach(row => {
+    const id = row.movie.id;
+    const entry = byMovie.get(id) || { movie: row.movie, rows: [], watchlist: null, review: null };
+    entry.rows.push(row.row);
+
+    if (row.watchlist) {
+      const current = entry.watchlist;
+      if (!current || (row.watchlist.status === 'watched' && current.status !== 'watched')) {
+        entry.watchlist = { ...row.watchlist };
+      } else if (row.watchlist.status === 'watched' && row.watchlist.watchedAt &&
+        (!current.watchedAt || row.watchlist.watchedAt > current.watchedAt)) {
+        current.watchedAt = row.watchlist.watchedAt;
+      }
+    }
+    if (row.review && (!entry.review || (row.review.date || 0) >= (entry.review.date || 0))) {
+      entry.review = row.review;
+    }
+    byMovie.set(id, entry);
+  });
+  return [...byMovie.values()];
+}
+
+// What an import would do for `userId`, without writing anything
+async function planImport(userId, rows, { allowReviews = true } = {}) {
+  const matchedRows = await matchRows(rows.filter(row => !row.problem));
+  const matched = matchedRows.filter(row => row.movie);
+  const entries = mergeByMovie(matched);
+  const movieIds = entries.map(e => e.movie.id);
+
+  const [items, reviews] = await Promise.all([
+    WatchlistItem.find({ user: userId, movieId: { $in: movieIds } }, { movieId: 1, status: 1 }).lean(),
+    Review.find({ user: userId, movieId: { $in: movieIds } }, { movieId: 1 }).lean()
+  ]);
+  const itemByMovie = new Map(items.map(i => [i.movieId, i]));
+  const reviewed = new Set(reviews.map(r => r.movieId));
+
+  const actions = { watchlistCreate: [], watchlistWatched: [], reviewCreate: [] };
+  const counts = {
+    watchlist: { create: 0, update: 0, unchanged: 0 },
+    reviews: { create: 0, unchanged: 0, needsVerifiedEmail: 0 }
+  };
+
+  entries.forEach(({ movie, rows: movieRows, watchlist, review }) => {
+    if (watchlist) {
+      const existing = itemByMovie.get(movie.id);
+      if (!existing) {
+        actions.watchlistCreate.push({ movie, rows: movieRows, watchlist });
+        counts.watchlist.create += 1;
+      } else if (watchlist.status === 'watched' && existing.status !== 'watched') {
+        actions.watchlistWatched.push({ item: existing, watchlist });
+        counts.watchlist.update += 1;
+      } else {
+        counts.watchlist.unchanged += 1;
+      }
+    }
+    if (review) {
+      if (reviewed.has(movie.id)) {
+        counts.reviews.unchanged += 1;
+      } else if (!allowReviews) {
+        counts.reviews.needsVerifiedEmail += 1;
+      } else {
+        actions.reviewCreate.push({ movie, rows: movieRows, review });
+        counts.reviews.create += 1;
+      }
+    }
+  });
+
+  const unmatched = [
+    ...rows.filter(row => row.problem).map(row => ({ row: row.row, title: row.title, year: row.year, reason: row.problem })),
+    ...matchedRows.filter(row => !row.movie).map(row => ({ row: row.row, title: row.title, year: row.year, reason: row.reason }))
+  ].sort((a, b) => a.row - b.row);
+
+  return {
+    actions,
+    summary: {
+      rows: rows.length,
+      matched: matched.length,
+      unmatched,
+      matches: matched.slice(0, PREVIEW_MATCHES).map(row => ({
+        row: row.row,
+        title: row.title,
+        year: row.year,
+        matchedBy: row.matchedBy,
+        movie: { id: row.movie.id, title: row.movie.title, year: releaseYear(row.movie) }
+      })),
+      watchlist: counts.watchlist,
+      reviews: counts.reviews,
+      // filled in by applyImport(): planned writes that failed after all
+      skipped: []
+    }
+  };
+}
+
+// insertMany() that keeps going past documents it cannot write (one added
+// or reviewed since the preview, a value the schema rejects). Resolves to
+// { inserted: [[index, doc]], failed: [[index, reason]] }, indexes into `docs`.
+async function insertEach(Model, docs, duplicateReason) {
+  let results;
+  try {
+    results = await Model.insertMany(docs, { ordered: false, throwOnValidationError: true });
+  } catch (err) {
+    if (!['MongoBulkWriteError', 'MongooseBulkWriteError'].includes(err.name) || !Array.isArray(err.results)) throw err;
+    results = err.results;
+  }
+
+  const inserted = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result instanceof Model) inserted.push([index, result]);
+    else if (result && result.err && result.err.code === 11000) failed.push([index, duplicateReason]);
+    else failed.push([index, result instanceof Error ? result.message : (result && result.err && result.err.errmsg) || 'could not be saved']);
+  });
+  return { inserted, failed };
+}
+
+// Write a planImport() result; resolves to its summary with the counts of
+// what was actually written. Watchlist entries or reviews created since the
+// preview (another tab, a second import) are left alone and listed under
+// `skipped`. The writes are recorded as activity dated as in the file, so
+// a long history lands in followers' feeds where it happened, not on top.
+async function applyImport(userId, { actions, summary }) {
+  const watchlist = { ...summary.watchlist };
+  const reviews = { ...summary.reviews };
+  const skipped = [];
+
+  const skip = (entry, type, reason) => {
+    skipped.push({ rows: entry.rows, type, title: entry.movie.title, year: releaseYear(entry.movie), reason });
+  };
+
+  if (actions.watchlistCreate.length) {
+    const { inserted, failed } = await insertEach(WatchlistItem, actions.watchlistCreate.map(({ movie, watchlist: entry }) => ({
+      user: userId,
+      movieId: movie.id,
+      movieTitle: movie.title || movie.original_title || `#${movie.id}`,
+      // a movie without a poster shows the /img/poster placeholder
+      poster_url: movie.poster_url || `/img/poster/${movie.id}/w342`,
+      status: entry.status,
+      priority: entry.priority || undefined,
+      notes: entry.notes || '',
+      watchedAt: entry.status === 'watched' ? (entry.watchedAt || new Date()) : null,
+      createdAt: entry.addedAt || undefined
+    })), 'already on your watchlist');
+
+    failed.forEach(([index, reason]) => skip(actions.watchlistCreate[index], 'watchlist', reason));
+    watchlist.create -= failed.length;
+
+    for (const [, item] of inserted) {
+      await recordWatchlistActivity('watchlist_add', item, item.createdAt);
+    }
+  }
+
+  if (actions.watchlistWatched.length) {
+    const watched = actions.watchlistWatched.map(({ item, watchlist: entry }) => ({
+      _id: item._id,
+      user: userId,
+      movieId: item.movieId,
+      status: 'watched',
+      watchedAt: entry.watchedAt || new Date()
+    }));
+    await WatchlistItem.bulkWrite(watched.map(item => ({
+      updateOne: {
+        filter: { _id: item._id },
+        update: { $set: { status: item.status, watchedAt: item.watchedAt } }
+      }
+    })));
+
+    for (const item of watched) {
+      await recordWatchlistActivity('watchlist_status', item, item.watchedAt);
+    }
+  }
+
+  if (actions.reviewCreate.length) {
+    const { inserted, failed } = await insertEach(Review, actions.reviewCreate.map(({ movie, review }) => ({
+      user: userId,
+      movieId: movie.id,
+      rating: review.rating,
+      comment: review.comment,
+      createdAt: review.date || undefined
+    })), 'already reviewed');
+
+    failed.forEach(([index, reason]) => skip(actions.reviewCreate[index], 'review', reason));
+    reviews.create -= failed.length;
+
+    // only movies that actually gained a review need a new average
+    for (const [, review] of inserted) {
+      await Review.refreshMovieRating(review.movieId);
+      await recordReviewActivity('review_create', review, review.createdAt);
+    }
+  }
+
+  return { ...summary, watchlist, reviews, skipped: skipped.sort((a, b) => a.rows[0] - b.rows[0]) };
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  IMPORT_FORMATS,
+  buildExport,
+  exportToCSV,
+  readImportFile,
+  planImport,
+  applyImport
+};
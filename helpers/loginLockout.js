@@ -0,0 +1,69 @@
+// helpers/loginLockout.js
+// Per-account brute-force protection for /auth/login. Failed attempts are
+// counted per email (whether or not the account exists, so a lockout reveals
+// nothing); from the LOGIN_LOCK_AFTER-th failure on, the account is locked
+// for a delay that doubles with every further failure, up to LOGIN_LOCK_MAX.
+// A successful login clears the count.
+//
+// The lock check and the failure count fail closed: if the store cannot be
+// reached they throw a 503 rather than let unlimited guesses through.
+const { getRateLimitStore } = require('./rateLimitStore');
+const { serviceUnavailable } = require('./errors');
+
+const LOCK_AFTER = parseInt(process.env.LOGIN_LOCK_AFTER) || 5;
+const LOCK_BASE_MS = (parseInt(process.env.LOGIN_LOCK_BASE_SECONDS) || 60) * 1000;
+const LOCK_MAX_MS = (parseInt(process.env.LOGIN_LOCK_MAX_SECONDS) || 60 * 60) * 1000;
+
+// failures are forgotten a day after the first one in a row
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function accountKey(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Runs a store call; a store failure becomes a 503
+async function failClosed(call) {
+  try {
+    return await call();
+  } catch (err) {
+    console.error('Login lockout store error:', err);
+    throw serviceUnavailable('Sign-in is temporarily unavailable, please try again shortly', 'RATE_LIMIT_UNAVAILABLE');
+  }
+}
+
+// Seconds until the account unlocks, or 0 when it is not locked
+async function loginLockRemaining(email) {
+  const lock = await failClosed(() => getRateLimitStore().get(`login-lock:${accountKey(email)}`));
+  if (!lock) return 0;
+  return Math.max(1, Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000));
+}
+
+// Count a failed attempt; resolves to the new lock in seconds (0 = not locked)
+async function recordLoginFailure(email) {
+  const key = accountKey(email);
+  const store = getRateLimitStore();
+  const failures = await failClosed(() => store.increment(`login-fail:${key}`, FAILURE_WINDOW_MS));
+  if (failures.count < LOCK_AFTER) return 0;
+
+  const lockMs = Math.min(LOCK_BASE_MS * 2 ** (failures.count - LOCK_AFTER), LOCK_MAX_MS);
+  await failClosed(() => store.set(`login-lock:${key}`, failures.count, new Date(Date.now() + lockMs)));
+  return Math.ceil(lockMs / 1000);
+}
+
+// Only runs after a correct password, so a store failure here is logged
+// rather than turned into a failed login
+async function clearLoginFailures(email) {
+  const key = accountKey(email);
+  const store = getRateLimitStore();
+  try {
+    await Promise.all([store.reset(`login-fail:${key}`), store.reset(`login-lock:${key}`)]);
+  } catch (err) {
+    console.error('Login lockout store error:', err);
+  }
+}
+
+module.exports = {
+  loginLockRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,97 @@
+// helpers/mailer.js
+// Outgoing mail behind a tiny transport interface: { send(message) } where
+// message is { to, subject, text }. Development and tests use the console or
+// file transport; a real provider only needs to implement send().
+//
+//   MAIL_TRANSPORT=console (default) | file
+//   MAIL_DIR=<directory for the file transport>
+//   MAIL_FROM="Movies Explorer <no-reply@example.com>"
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_FROM = 'Movies Explorer <no-reply@movies-explorer.local>';
+
+// Prints each message to stdout
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+    }
+  };
+}
+
+// Writes each message as a JSON file (handy for tests reading the last link)
+function createFileTransport(dir = path.join(os.tmpdir(), 'movies-explorer-mail')) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(16).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return file;
+    }
+  };
+}
+
+function transportFromEnv() {
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    return createFileTransport(process.env.MAIL_DIR || undefined);
+  }
+  return createConsoleTransport();
+}
+
+let transport = transportFromEnv();
+
+// Swap the transport (e.g. a real provider, or a capturing stub in tests)
+function setMailTransport(next) {
+  if (!next || typeof next.send !== 'function') {
+    throw new TypeError('A mail transport must have a send(message) function');
+  }
+  transport = next;
+}
+
+function sendMail({ to, subject, text }) {
+  return transport.send({ from: process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text });
+}
+
+function sendPasswordResetEmail(user, url) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Movies Explorer password',
+    text: [
+      `Hi ${user.displayName || 'there'},`,
+      '',
+      'Someone asked to reset the password for this account. If it was you, open this link:',
+      url,
+      '',
+      'The link works once and expires soon. If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+function sendVerificationEmail(user, url) {
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your Movies Explorer email address',
+    text: [
+      `Hi ${user.displayName || 'there'},`,
+      '',
+      'Please confirm your email address so you can post reviews:',
+      url,
+      '',
+      'If you did not create this account, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setMailTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
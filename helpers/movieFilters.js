@@ -0,0 +1,206 @@
+// helpers/movieFilters.js
+// Listing filters shared by /movies and /api/movies, plus facet counts
+// (computed with one $facet aggregation over the current result set).
+const Movie = require('../models/movie');
+const { escapeRegex } = require('./search');
+
+const FACET_LIMIT = 15;
+
+// "a,b" | ["a", "b,c"] -> ['a', 'b', 'c']
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// Validated query (MOVIE_FILTER_QUERY in server.js) -> filters object
+function parseMovieFilters(query = {}) {
+  return {
+    genres: toList(query.genres !== undefined ? query.genres : query.genre),
+    genreMode: query.genreMode === 'and' ? 'and' : 'or',
+    minRating: query.minRating ?? null,
+    yearFrom: query.yearFrom ?? null,
+    yearTo: query.yearTo ?? null,
+    runtimeMin: query.runtimeMin ?? null,
+    runtimeMax: query.runtimeMax ?? null,
+    languages: toList(query.language).map(l => l.toLowerCase()),
+    countries: toList(query.country).map(c => c.toUpperCase()),
+    companies: toList(query.company).map(Number).filter(Number.isInteger),
+    collections: toList(query.collection).map(Number).filter(Number.isInteger),
+    adult: query.adult ?? null,
+    statuses: toList(query.status)
+  };
+}
+
+// Filters object -> list of Mongo conditions to AND together
+function buildFilterConditions(filters) {
+  const conditions = [];
+
+  // genre names match whole but in any case (?genre=drama finds "Drama")
+  if (filters.genres.length) {
+    const names = filters.genres.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+    conditions.push({
+      'genres.name': filters.genreMode === 'and'
+        ? { $all: names }
+        : { $in: names }
+    });
+  }
+
+  if (filters.minRating !== null) {
+    conditions.push({ vote_average: { $gte: filters.minRating } });
+  }
+
+  if (filters.yearFrom !== null || filters.yearTo !== null) {
+    const range = {};
+    if (filters.yearFrom !== null) range.$gte = new Date(Date.UTC(filters.yearFrom, 0, 1));
+    if (filters.yearTo !== null) range.$lt = new Date(Date.UTC(filters.yearTo + 1, 0, 1));
+    conditions.push({ release_date: range });
+  }
+
+  if (filters.runtimeMin !== null || filters.runtimeMax !== null) {
+    const range = {};
+    if (filters.runtimeMin !== null) range.$gte = filters.runtimeMin;
+    if (filters.runtimeMax !== null) range.$lte = filters.runtimeMax;
+    conditions.push({ runtime: range });
+  }
+
+  if (filters.languages.length) {
+    conditions.push({ original_language: { $in: filters.languages } });
+  }
+
+  if (filters.countries.length) {
+    conditions.push({ 'production_countries.iso_3166_1': { $in: filters.countries } });
+  }
+
+  if (filters.companies.length) {
+    conditions.push({ 'production_companies.id': { $in: filters.companies } });
+  }
+
+  if (filters.collections.length) {
+    conditions.push({ 'belongs_to_collection.id': { $in: filters.collections } });
+  }
+
+  if (filters.adult !== null) {
+    conditions.push({ adult: filters.adult });
+  }
+
+  if (filters.statuses.length) {
+    conditions.push({ status: { $in: filters.statuses } });
+  }
+
+  return conditions;
+}
+
+// Filters object -> query string (for pagination links); page is left out
+function filtersToQueryString(filters, extra = {}) {
+  const params = new URLSearchParams();
+
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value);
+  });
+
+  filters.genres.forEach(g => params.append('genre', g));
+  if (filters.genres.length > 1 && filters.genreMode === 'and') params.append('genreMode', 'and');
+  if (filters.minRating !== null) params.append('minRating', filters.minRating);
+  if (filters.yearFrom !== null) params.append('yearFrom', filters.yearFrom);
+  if (filters.yearTo !== null) params.append('yearTo', filters.yearTo);
+  if (filters.runtimeMin !== null) params.append('runtimeMin', filters.runtimeMin);
+  if (filters.runtimeMax !== null) params.append('runtimeMax', filters.runtimeMax);
+  filters.languages.forEach(l => params.append('language', l));
+  filters.countries.forEach(c => params.append('country', c));
+  filters.companies.forEach(c => params.append('company', c));
+  filters.collections.forEach(c => params.append('collection', c));
+  if (filters.adult !== null) params.append('adult', filters.adult);
+  filters.statuses.forEach(s => params.append('status', s));
+
+  return params.toString();
+}
+
+// Group by a (possibly unwound) field into { value, label, count }
+function facetPipeline(field, { unwind, label, limit } = {}) {
+  const pipeline = [];
+  if (unwind) pipeline.push({ $unwind: `$${unwind}` });
+  pipeline.push(
+    { $match: { [field]: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: `$${field}`,
+        label: { $first: label ? `$${label}` : `$${field}` },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } }
+  );
+  if (limit) pipeline.push({ $limit: limit });
+  pipeline.push({ $project: { _id: 0, value: '$_id', label: 1, count: 1 } });
+  return pipeline;
+}
+
+// Facet counts for every movie matching `matchFilter`
+async function getMovieFacets(matchFilter) {
+  const [facets] = await Movie.aggregate([
+    { $match: matchFilter },
+    {
+      $facet: {
+        genres: facetPipeline('genres.name', { unwind: 'genres' }),
+        languages: facetPipeline('original_language', { limit: FACET_LIMIT }),
+        countries: facetPipeline('production_countries.iso_3166_1', {
+          unwind: 'production_countries',
+          label: 'production_countries.name',
+          limit: FACET_LIMIT
+        }),
+        companies: facetPipeline('production_companies.id', {
+          unwind: 'production_companies',
+          label: 'production_companies.name',
+          limit: FACET_LIMIT
+        }),
+        collections: facetPipeline('belongs_to_collection.id', {
+          label: 'belongs_to_collection.name',
+          limit: FACET_LIMIT
+        }),
+        statuses: facetPipeline('status'),
+        adult: [
+          { $group: { _id: { $ifNull: ['$adult', false] }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, value: '$_id', label: { $cond: ['$_id', 'Adult', 'Not adult'] }, count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return facets;
+}
+
+// Flag selected facet values for checkboxes; selected values missing from
+// the counts (e.g. no results) are kept with a 0 count so they can be unticked.
+function markSelectedFacets(facets, filters) {
+  const mark = (items, selected, same = (a, b) => a === b) => {
+    const list = items.map(item => ({ ...item, selected: selected.some(value => same(item.value, value)) }));
+    selected
+      .filter(value => !list.some(item => same(item.value, value)))
+      .forEach(value => list.push({ value, label: String(value), count: 0, selected: true }));
+    return list;
+  };
+  const sameGenre = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  return {
+    genres: mark(facets.genres, filters.genres, sameGenre),
+    languages: mark(facets.languages, filters.languages),
+    countries: mark(facets.countries, filters.countries),
+    companies: mark(facets.companies, filters.companies),
+    collections: mark(facets.collections, filters.collections),
+    statuses: mark(facets.statuses, filters.statuses),
+    adult: facets.adult
+  };
+}
+
+module.exports = {
+  parseMovieFilters,
+  buildFilterConditions,
+  filtersToQueryString,
+  getMovieFacets,
+  markSelectedFacets
+};
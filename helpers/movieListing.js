@@ -0,0 +1,50 @@
+// helpers/movieListing.js
+// One place that runs a movie listing query for /movies and /api/movies:
+// optional text search, whitelisted sort, offset or keyset paging.
+const Movie = require('../models/movie');
+const { searchMovies, withCondition } = require('./search');
+const { sortStage, encodeCursor, keysetCondition } = require('./movieSort');
+
+const DEFAULT_ORDER = { popularity: -1, id: -1 };
+
+// Resolves to { items, totalCount, fuzzy, matchFilter, nextCursor }.
+// `cursor` is a decoded cursor ({ value, id } or { offset }) and wins over `skip`.
+async function listMovies({ q = '', filter = {}, sortSpec, cursor = null, skip = 0, limit = 10 }) {
+  const sort = sortStage(sortSpec);
+  const after = cursor && cursor.id !== undefined ? keysetCondition(sortSpec, cursor) : null;
+  const offset = cursor && cursor.offset !== undefined ? cursor.offset : (after ? 0 : skip);
+
+  // one extra row tells us whether there is a next page
+  const search = q
+    ? await searchMovies(q, { filter, after, sort, skip: offset, limit: limit + 1 })
+    : null;
+
+  const [rows, totalCount] = search
+    ? [search.items, search.totalCount]
+    : await Promise.all([
+      Movie.find(withCondition(filter, after))
+        .sort(sort || DEFAULT_ORDER)
+        .skip(offset)
+        .limit(limit + 1)
+        .lean(),
+      Movie.countDocuments(filter)
+    ]);
+
+  const items = rows.slice(0, limit);
+  let nextCursor = null;
+  if (rows.length > limit) {
+    nextCursor = sort
+      ? encodeCursor(sortSpec, { lastDoc: items[items.length - 1] })
+      : encodeCursor(sortSpec, { offset: offset + limit });
+  }
+
+  return {
+    items,
+    totalCount,
+    fuzzy: Boolean(search && search.fuzzy),
+    matchFilter: search ? search.matchFilter : filter,
+    nextCursor
+  };
+}
+
+module.exports = { listMovies };
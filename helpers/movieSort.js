@@ -0,0 +1,159 @@
+// helpers/movieSort.js
+// Whitelisted listing sorts and opaque keyset cursors for /api/movies.
+// Every sort key here has a matching { field: 1, id: 1 } index in models/movie.js,
+// and ties are always broken on the unique TMDB `id` so pages never overlap.
+const { ApiError } = require('./errors');
+
+// `type` is what the field holds, and so what a cursor's value must be
+const SORT_OPTIONS = {
+  popularity: { field: 'popularity', label: 'Popularity', type: 'number' },
+  rating: { field: 'vote_average', label: 'Rating', type: 'number' },
+  votes: { field: 'vote_count', label: 'Vote count', type: 'number' },
+  release_date: { field: 'release_date', label: 'Release date', type: 'date' },
+  revenue: { field: 'revenue', label: 'Revenue', type: 'number' },
+  runtime: { field: 'runtime', label: 'Runtime', type: 'number' },
+  title: { field: 'title', label: 'Title', type: 'string' }
+};
+
+const DEFAULT_SORT = '-popularity';
+
+class CursorError extends ApiError {
+  constructor(message) {
+    super(400, 'INVALID_CURSOR', message);
+    this.name = 'CursorError';
+  }
+}
+
+// "-rating" -> { key: 'rating', field: 'vote_average', dir: -1 }
+// "relevance" is only valid for text searches (ranked, so paged by offset).
+// Returns null for anything not whitelisted.
+function parseSort(raw, { allowRelevance = false } = {}) {
+  const value = typeof raw === 'string' && raw.trim() !== ''
+    ? raw.trim()
+    : (allowRelevance ? 'relevance' : DEFAULT_SORT);
+
+  if (value === 'relevance') {
+    return allowRelevance ? { key: 'relevance', dir: -1 } : null;
+  }
+
+  const dir = value.startsWith('-') ? -1 : 1;
+  const key = value.replace(/^[-+]/, '');
+  const option = SORT_OPTIONS[key];
+  if (!option) return null;
+
+  return { key, field: option.field, dir };
+}
+
+// Sort spec -> Mongo sort document (null for relevance, which ranks itself)
+function sortStage(spec) {
+  if (spec.key === 'relevance') return null;
+  return { [spec.field]: spec.dir, id: spec.dir };
+}
+
+function sortParam(spec) {
+  return spec.key === 'relevance' ? 'relevance' : `${spec.dir === -1 ? '-' : ''}${spec.key}`;
+}
+
+// Options for the HTML sort <select>
+function sortChoices(selected) {
+  const choices = [];
+  Object.entries(SORT_OPTIONS).forEach(([key, option]) => {
+    [-1, 1].forEach(dir => {
+      const value = `${dir === -1 ? '-' : ''}${key}`;
+      const arrow = key === 'title'
+        ? (dir === 1 ? 'A → Z' : 'Z → A')
+        : (dir === -1 ? 'high → low' : 'low → high');
+      choices.push({ value, label: `${option.label} (${arrow})`, selected: value === selected });
+    });
+  });
+  return choices;
+}
+
+// ---------- CURSORS ----------
+
+function encode(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Cursor pointing just after `lastDoc` (keyset) or at `offset` (relevance)
+function encodeCursor(spec, { lastDoc, offset }) {
+  if (spec.key === 'relevance') {
+    return encode({ s: 'relevance', o: offset });
+  }
+
+  const value = lastDoc[spec.field];
+  return encode({
+    s: sortParam(spec),
+    v: value instanceof Date ? { d: value.toISOString() } : (value === undefined ? null : value),
+    id: lastDoc.id
+  });
+}
+
+// A cursor's sort value as the field stores it: null (no value), or a finite
+// number, a string or { d: <ISO date> } as `type` says. Anything else, such
+// as an object that would reach the query as an operator, is refused.
+function cursorValue(v, type) {
+  if (v === null) return null;
+  if (type === 'number' && typeof v === 'number' && Number.isFinite(v)) return v;
+  if (type === 'string' && typeof v === 'string') return v;
+  if (type === 'date' && v && typeof v === 'object' && Object.keys(v).length === 1 && typeof v.d === 'string') {
+    const date = new Date(v.d);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  throw new CursorError('Invalid cursor');
+}
+
+// Throws CursorError if the cursor is malformed or was issued for another sort
+function decodeCursor(raw, spec) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new CursorError('Invalid cursor');
+  }
+
+  if (!payload || payload.s !== sortParam(spec)) {
+    throw new CursorError('Cursor does not match the requested sort');
+  }
+
+  if (spec.key === 'relevance') {
+    if (!Number.isInteger(payload.o) || payload.o < 0) throw new CursorError('Invalid cursor');
+    return { offset: payload.o };
+  }
+
+  if (!Number.isInteger(payload.id)) throw new CursorError('Invalid cursor');
+  return { value: cursorValue(payload.v, SORT_OPTIONS[spec.key].type), id: payload.id };
+}
+
+// Condition selecting documents strictly after the cursor position.
+// Null/missing values sort lowest in Mongo, so they come first ascending
+// and last descending.
+function keysetCondition(spec, { value, id }) {
+  const { field, dir } = spec;
+  const idOp = dir === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return dir === 1
+      ? { $or: [{ [field]: null, id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, id: { $lt: id } };
+  }
+
+  const after = [
+    { [field]: { [dir === 1 ? '$gt' : '$lt']: value } },
+    { [field]: value, id: { [idOp]: id } }
+  ];
+  if (dir === -1) after.push({ [field]: null });
+  return { $or: after };
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  CursorError,
+  parseSort,
+  sortStage,
+  sortParam,
+  sortChoices,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition
+};
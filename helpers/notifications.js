@@ -0,0 +1,179 @@
+// helpers/notifications.js
+// Watchlist notifications about catalog changes. Whatever writes movies (the
+// admin API, scripts/catalog.js) hands the before/after state of what it
+// changed to notifyMovieChanges(), which picks out the transitions of
+// upcoming titles (released, new release date, other status change) and
+// notifies everyone who has the movie planned or watching.
+//
+// Notifications are stored, then delivered through channels, objects with
+// deliver(notifications, users). "in-app" (the navbar bell and /notifications,
+// which read the stored notifications) is the default; "email" sends them
+// through helpers/mailer.js; registerNotificationChannel() adds others.
+//
+//   NOTIFICATION_CHANNELS=in-app   comma-separated, e.g. in-app,email
+//   APP_URL=https://...            absolute links in emails
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const WatchlistItem = require('../models/watchlistItem');
+const { sendMail } = require('./mailer');
+
+// TMDB production statuses that matter here
+const RELEASED = 'Released';
+const CANCELED = 'Canceled';
+
+// Watchlist entries whose owners still wait for the movie
+const NOTIFY_STATUSES = ['planned', 'watching'];
+
+// ---------- TRANSITIONS ----------
+
+function dayOf(date) {
+  const value = date ? new Date(date) : null;
+  return value && !Number.isNaN(value.getTime()) ? value.toISOString().slice(0, 10) : null;
+}
+
+function formatDay(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// What changed between two states ({ id, title, status, release_date }) of
+// a movie that was not yet released: the notification fields, or null
+function movieTransition(before, after) {
+  if (!before || !after || before.status === RELEASED) return null;
+
+  const title = after.title || before.title || `Movie #${after.id}`;
+  const fields = {
+    movieId: after.id,
+    movieTitle: title,
+    previousStatus: before.status || null,
+    status: after.status || null,
+    previousReleaseDate: before.release_date || null,
+    releaseDate: after.release_date || null
+  };
+
+  if (after.status === RELEASED) {
+    return { ...fields, type: 'movie_released', message: `${title} has been released` };
+  }
+  if (fields.status !== fields.previousStatus) {
+    let message = `${title} is now ${fields.status}`;
+    if (fields.status === CANCELED) message = `${title} has been canceled`;
+    if (!fields.status) message = `${title} no longer has a production status`;
+    return { ...fields, type: 'status_changed', message };
+  }
+  if (dayOf(before.release_date) !== dayOf(after.release_date)) {
+    const message = dayOf(after.release_date)
+      ? `${title} now comes out on ${formatDay(after.release_date)}`
+      : `${title} no longer has a release date`;
+    return { ...fields, type: 'release_date_changed', message };
+  }
+  return null;
+}
+
+// ---------- CHANNELS ----------
+
+const channels = new Map();
+
+// Add (or replace) a delivery channel; `users` maps user ids to { email, displayName }
+function registerNotificationChannel(name, channel) {
+  if (!channel || typeof channel.deliver !== 'function') {
+    throw new TypeError('A notification channel must have a deliver(notifications, users) function');
+  }
+  channels.set(name, channel);
+}
+
+// Nothing to send: the bell and /notifications read the stored notifications
+registerNotificationChannel('in-app', {
+  async deliver() {}
+});
+
+registerNotificationChannel('email', {
+  async deliver(notifications, users) {
+    const base = (process.env.APP_URL || '').replace(/\/$/, '');
+    for (const notification of notifications) {
+      const user = users.get(String(notification.user));
+      if (!user || !user.email) continue;
+      await sendMail({
+        to: user.email,
+        subject: notification.message,
+        text: [
+          `Hi ${User.publicName(user)},`,
+          '',
+          `${notification.message}. It is on your Movies Explorer watchlist.`,
+          ...(base ? [`${base}/movie/${notification.movieId}`] : []),
+          '',
+          'You get these emails for movies on your watchlist that you have not watched yet.'
+        ].join('\n')
+      });
+    }
+  }
+});
+
+// Channel names from NOTIFICATION_CHANNELS (read on every call), unknown ones dropped
+function enabledChannels() {
+  const names = (process.env.NOTIFICATION_CHANNELS || 'in-app').split(',').map(name => name.trim()).filter(Boolean);
+  names.filter(name => !channels.has(name)).forEach(name => {
+    console.warn(`Unknown notification channel "${name}" in NOTIFICATION_CHANNELS`);
+  });
+  return [...new Set(names.filter(name => channels.has(name)))];
+}
+
+// Hand stored notifications to each channel. A failing channel is logged and
+// left out of deliveredVia; the others still run.
+async function deliver(notifications, channelNames) {
+  const needsUsers = channelNames.some(name => name !== 'in-app');
+  const users = needsUsers
+    ? await User.find({ _id: { $in: notifications.map(n => n.user) } }, { email: 1, displayName: 1 }).lean()
+    : [];
+  const userById = new Map(users.map(u => [String(u._id), u]));
+
+  const delivered = [];
+  for (const name of channelNames) {
+    try {
+      await channels.get(name).deliver(notifications, userById);
+      delivered.push(name);
+    } catch (err) {
+      console.error(`Notification channel "${name}" failed:`, err);
+    }
+  }
+
+  if (delivered.length) {
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(n => n._id) } },
+      { $set: { deliveredVia: delivered } }
+    );
+  }
+}
+
+// ---------- ENTRY POINT ----------
+
+// changes: [{ before, after }] movie states around a catalog write.
+// Creates and delivers the notifications; resolves to how many were created.
+async function notifyMovieChanges(changes) {
+  const byMovie = new Map();
+  changes.forEach(({ before, after }) => {
+    const transition = movieTransition(before, after);
+    if (transition) byMovie.set(transition.movieId, transition);
+  });
+  if (!byMovie.size) return 0;
+
+  const items = await WatchlistItem.find(
+    { movieId: { $in: [...byMovie.keys()] }, status: { $in: NOTIFY_STATUSES } },
+    { user: 1, movieId: 1 }
+  ).lean();
+  if (!items.length) return 0;
+
+  const channelNames = enabledChannels();
+  const notifications = await Notification.insertMany(items.map(item => ({
+    ...byMovie.get(item.movieId),
+    user: item.user,
+    channels: channelNames
+  })));
+
+  await deliver(notifications, channelNames);
+  return notifications.length;
+}
+
+module.exports = {
+  movieTransition,
+  registerNotificationChannel,
+  notifyMovieChanges
+};
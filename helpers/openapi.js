@@ -0,0 +1,725 @@
+// helpers/openapi.js
+// OpenAPI 3 document for the JSON API (GET /api/openapi.json, /api/docs).
+// It is built from the app itself so it cannot drift from the code:
+//  - paths, methods, parameters, bodies, auth and rate limits come from the
+//    registered routes and their middleware (validate(), auth(), requireVerified(),
+//    rateLimit() and apiKey() tag themselves with `apiDocs`);
+//  - data shapes come from the Mongoose schemas.
+// ROUTE_DOCS only adds what the code cannot say: a summary, a tag and the
+// shape of the success response.
+const Movie = require('../models/movie');
+const WatchlistItem = require('../models/watchlistItem');
+const MovieList = require('../models/movieList');
+const Review = require('../models/review');
+const ReviewReport = require('../models/reviewReport');
+const ModerationLog = require('../models/moderationLog');
+const ApiKey = require('../models/apiKey');
+const User = require('../models/user');
+const Activity = require('../models/activity');
+const Notification = require('../models/notification');
+const { REFRESH_COOKIE } = require('./session');
+const { version } = require('../package.json');
+
+// Machine-readable `code` values of error responses
+const ERROR_CODES = {
+  VALIDATION_ERROR: 'A parameter or body field is invalid; `fields` says which and why',
+  BAD_REQUEST: 'The request cannot be carried out as sent (e.g. voting on your own review)',
+  INVALID_JSON: 'The request body is not valid JSON',
+  INVALID_CURSOR: 'The pagination cursor is malformed or belongs to another sort',
+  INVALID_TOKEN: 'A password reset or email verification token is invalid or expired',
+  UNAUTHORIZED: 'No access token was sent',
+  TOKEN_INVALID: 'The access token is malformed or expired (refresh it)',
+  SESSION_REVOKED: 'The access token belongs to a session that was logged out',
+  SESSION_INVALID: 'The refresh cookie is missing, expired or revoked (log in again)',
+  API_KEY_INVALID: 'The X-API-Key header holds an unknown or revoked key',
+  FORBIDDEN: 'The account may not do this (e.g. admin routes)',
+  EMAIL_NOT_VERIFIED: 'The account must verify its email address first',
+  NOT_FOUND: 'Nothing matches the path or id',
+  CONFLICT: 'The record already exists (e.g. a second review of the same movie)',
+  RATE_LIMITED: 'Too many requests; retry after the Retry-After header',
+  QUOTA_EXCEEDED: 'The API key has used up its daily quota; it resets at midnight UTC (Retry-After)',
+  INTERNAL_ERROR: 'Unexpected server error'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const listOf = items => ({ type: 'array', items });
+const object = properties => ({ type: 'object', properties });
+
+// The standard list envelope plus extra top-level fields
+function pageOf(item, extra = {}) {
+  return {
+    allOf: [ref('Page'), object({ ...extra, data: listOf(item) })]
+  };
+}
+
+const MESSAGE = object({ message: { type: 'string' } });
+const SUCCESS = object({ success: { type: 'boolean' } });
+const TOKEN_RESPONSE = object({ token: { type: 'string', description: 'Access token (JWT)' }, user: ref('Account') });
+const HELPFUL_COUNT = object({ helpfulCount: { type: 'integer' } });
+
+// "METHOD /express/path" -> { tag, summary, response, status?, body?, bodyTypes?, conflict?, security?, etag? }
+// (`etag: true` documents the ETag header and the 304 answer to If-None-Match)
+// Routes under /api/ without an entry are still documented (with a generic
+// summary); `hidden: true` leaves a route out.
+const ROUTE_DOCS = {
+  'POST /auth/register': {
+    tag: 'Auth', summary: 'Create an account (sends a verification email)', status: 201, response: MESSAGE, conflict: true
+  },
+  'POST /auth/login': { tag: 'Auth', summary: 'Log in: returns an access token and sets the refresh cookie', response: TOKEN_RESPONSE },
+  'POST /auth/refresh': {
+    tag: 'Auth', summary: 'Exchange the refresh cookie for a new access token', response: TOKEN_RESPONSE, security: 'refreshCookie'
+  },
+  'POST /auth/logout': { tag: 'Auth', summary: 'Log out this device', response: SUCCESS },
+  'POST /auth/logout-all': {
+    tag: 'Auth', summary: 'Log out on every device', response: object({ success: { type: 'boolean' }, revoked: { type: 'integer' } })
+  },
+  'POST /auth/forgot-password': { tag: 'Auth', summary: 'Email a password reset link', response: MESSAGE },
+  'POST /auth/reset-password': { tag: 'Auth', summary: 'Set a new password with a reset token', response: MESSAGE },
+  'POST /auth/verify-email': { tag: 'Auth', summary: 'Send (or resend) my verification email', response: MESSAGE },
+
+  'GET /api/movies': {
+    tag: 'Movies',
+    summary: 'Search, filter and sort movies (page or cursor pagination)',
+    description: 'Filters may repeat (`genre=Drama&genre=Crime`) or be comma-separated. ' +
+      'Pass `cursor` (from `nextCursor`) instead of `page` for cursor pagination.',
+    etag: true,
+    response: pageOf(ref('Movie'), {
+      sort: { type: 'string' },
+      nextCursor: { type: 'string', nullable: true },
+      fuzzy: { type: 'boolean' },
+      facets: { type: 'object', description: 'Counts per genre, language, decade... (unless facets=false)' }
+    })
+  },
+  'GET /api/movies/suggest': { tag: 'Movies', summary: 'Title suggestions while typing', response: listOf(ref('Movie')) },
+  'GET /api/movies/:id': { tag: 'Movies', summary: 'One movie by TMDB id', etag: true, response: ref('Movie') },
+  'GET /api/movies/:id/similar': {
+    tag: 'Movies', summary: 'Movies similar to one movie', response: object({ movieId: { type: 'integer' }, data: listOf(ref('Movie')) })
+  },
+  'POST /api/movies': { tag: 'Movies', summary: 'Create a movie', status: 201, body: ref('Movie'), response: ref('Movie'), conflict: true },
+  'PUT /api/movies/:id': { tag: 'Movies', summary: 'Replace a movie (fields not sent are cleared)', body: ref('Movie'), response: ref('Movie'), conflict: true },
+  'PATCH /api/movies/:id': { tag: 'Movies', summary: 'Update some fields of a movie', body: ref('Movie'), response: ref('Movie'), conflict: true },
+  'DELETE /api/movies/:id': { tag: 'Movies', summary: 'Delete a movie with its watchlist entries and reviews', response: SUCCESS },
+
+  'GET /api/collections/:key': { tag: 'Browse', summary: 'One collection with stats and its movies', response: pageOf(ref('Movie'), { name: { type: 'string' }, stats: { type: 'object' } }) },
+  'GET /api/companies/:key': { tag: 'Browse', summary: 'One production company with stats and its movies', response: pageOf(ref('Movie'), { name: { type: 'string' }, stats: { type: 'object' } }) },
+  'GET /api/countries/:key': { tag: 'Browse', summary: 'One production country with stats and its movies', response: pageOf(ref('Movie'), { name: { type: 'string' }, stats: { type: 'object' } }) },
+
+  'GET /api/analytics': { tag: 'Analytics', summary: 'Available reports', response: object({ data: listOf({ type: 'object' }) }) },
+  'GET /api/analytics/:report': {
+    tag: 'Analytics',
+    summary: 'Run one report over the filtered catalog',
+    description: 'Takes the filters of GET /api/movies. `limit`, `years`, `minBudget` and `minVotes` apply to ' +
+      'the reports whose `params` (GET /api/analytics) name them.',
+    response: object({ report: { type: 'string' }, filters: { type: 'object' }, data: {} })
+  },
+
+  'POST /api/watchlist': { tag: 'Watchlist', summary: 'Add a movie to my watchlist', status: 201, response: ref('WatchlistItem'), conflict: true },
+  'GET /api/watchlist': { tag: 'Watchlist', summary: 'My watchlist', response: listOf(ref('WatchlistItem')) },
+  'PATCH /api/watchlist/:id': { tag: 'Watchlist', summary: 'Change status, watched date, priority or notes', response: ref('WatchlistItem') },
+  'DELETE /api/watchlist/:id': { tag: 'Watchlist', summary: 'Remove a movie from my watchlist', response: SUCCESS },
+
+  'POST /api/lists': { tag: 'Lists', summary: 'Create a list', status: 201, response: ref('MovieList') },
+  'GET /api/lists': { tag: 'Lists', summary: 'My lists', response: listOf(ref('MovieList')) },
+  'GET /api/lists/shared/:slug': { tag: 'Lists', summary: 'A public or unlisted list by its slug', response: ref('MovieList') },
+  'POST /api/lists/shared/:slug/copy': { tag: 'Lists', summary: 'Copy a shared list into my account', status: 201, response: ref('MovieList') },
+  'GET /api/lists/:id': { tag: 'Lists', summary: 'One of my lists', response: ref('MovieList') },
+  'PATCH /api/lists/:id': { tag: 'Lists', summary: 'Change title, description or visibility', response: ref('MovieList') },
+  'DELETE /api/lists/:id': { tag: 'Lists', summary: 'Delete a list', response: SUCCESS },
+  'POST /api/lists/:id/entries': { tag: 'Lists', summary: 'Add a movie to the end of a list', status: 201, response: ref('MovieList'), conflict: true },
+  'DELETE /api/lists/:id/entries/:movieId': { tag: 'Lists', summary: 'Remove a movie from a list', response: ref('MovieList') },
+  'PUT /api/lists/:id/order': { tag: 'Lists', summary: 'Reorder a list', response: ref('MovieList') },
+
+  'GET /api/recommendations': {
+    tag: 'Account',
+    summary: 'Picks based on my watchlist and reviews',
+    response: object({ personalized: { type: 'boolean' }, profile: { type: 'object', nullable: true }, data: listOf(ref('Movie')) })
+  },
+  'GET /api/me': { tag: 'Account', summary: 'My account', response: ref('Account') },
+  'PATCH /api/me': { tag: 'Account', summary: 'Change my display name', response: ref('Account') },
+  'GET /api/me/privacy': { tag: 'Account', summary: 'Who sees my activity', response: ref('ActivityPrivacy') },
+  'PATCH /api/me/privacy': {
+    tag: 'Account',
+    summary: 'Change who sees my activity',
+    description: '`public`: any signed-in user; `followers`: people who follow me; `private`: only me. ' +
+      'A change also applies to activity recorded before it.',
+    response: ref('ActivityPrivacy')
+  },
+  'GET /api/me/stats': { tag: 'Account', summary: 'My viewing stats (optionally for one year)', response: { type: 'object' } },
+  'GET /api/me/export': {
+    tag: 'Account',
+    summary: 'Download my watchlist and reviews',
+    description: 'JSON by default; `format=csv` gives one row per watchlist entry or review, told apart by `type`.',
+    response: object({
+      format: { type: 'string', enum: ['movie-explorer'] },
+      version: { type: 'integer' },
+      exportedAt: { type: 'string', format: 'date-time' },
+      watchlist: listOf({ type: 'object' }),
+      reviews: listOf({ type: 'object' })
+    })
+  },
+  'POST /api/me/import': {
+    tag: 'Account',
+    summary: 'Import a watchlist and reviews (preview first)',
+    description: 'Send the file itself as the body: a Movie Explorer export (JSON or CSV) or a Letterboxd ' +
+      'watchlist, diary, ratings or reviews CSV. Rows are matched to movies by id, imdb_id, or title plus year. ' +
+      'Without `commit=true` nothing is saved and the answer previews the changes and lists unmatched rows. ' +
+      'Existing watchlist entries and reviews are kept; Letterboxd stars count double (4.5 stars = 9).',
+    bodyTypes: ['text/csv', 'text/plain'],
+    body: { type: 'string', description: 'The file contents (up to 5 MB, 10000 rows)' },
+    response: object({
+      format: { type: 'string', enum: ['movie-explorer', 'letterboxd'] },
+      committed: { type: 'boolean' },
+      rows: { type: 'integer' },
+      matched: { type: 'integer' },
+      unmatched: listOf(object({ row: { type: 'integer' }, title: { type: 'string' }, year: { type: 'integer', nullable: true }, reason: { type: 'string' } })),
+      matches: listOf({ type: 'object', description: 'Matched rows with the movie they matched (first 500)' }),
+      watchlist: object({ create: { type: 'integer' }, update: { type: 'integer' }, unchanged: { type: 'integer' } }),
+      reviews: object({ create: { type: 'integer' }, unchanged: { type: 'integer' }, needsVerifiedEmail: { type: 'integer' } }),
+      skipped: {
+        ...listOf(object({
+          rows: listOf({ type: 'integer' }),
+          type: { type: 'string', enum: ['watchlist', 'review'] },
+          title: { type: 'string' },
+          year: { type: 'integer', nullable: true },
+          reason: { type: 'string' }
+        })),
+        description: 'On commit: entries that could not be written, e.g. added or reviewed since the preview'
+      }
+    })
+  },
+
+  'POST /api/movies/:id/reviews': { tag: 'Reviews', summary: 'Review a movie', status: 201, response: ref('Review'), conflict: true },
+  'GET /api/movies/:id/reviews': { tag: 'Reviews', summary: 'Published reviews of a movie', response: pageOf(ref('Review'), { sort: { type: 'string' } }) },
+  'GET /api/movies/:id/reviews/me': { tag: 'Reviews', summary: 'My review of a movie', response: ref('Review') },
+  'PUT /api/reviews/:id': { tag: 'Reviews', summary: 'Change my review', response: ref('Review') },
+  'DELETE /api/reviews/:id': { tag: 'Reviews', summary: 'Delete my review', response: SUCCESS },
+  'POST /api/reviews/:id/helpful': { tag: 'Reviews', summary: 'Mark a review helpful', status: 201, response: HELPFUL_COUNT, conflict: true },
+  'DELETE /api/reviews/:id/helpful': { tag: 'Reviews', summary: 'Undo a helpful vote', response: HELPFUL_COUNT },
+  'POST /api/reviews/:id/report': { tag: 'Reviews', summary: 'Report a review to the moderators', status: 201, response: MESSAGE, conflict: true },
+
+  'GET /api/users': { tag: 'Social', summary: 'Find people to follow by display name', response: listOf(ref('UserCard')) },
+  'GET /api/users/:id': {
+    tag: 'Social',
+    summary: 'A user\'s public profile',
+    response: object({
+      _id: { type: 'string' },
+      displayName: { type: 'string' },
+      followers: { type: 'integer' },
+      following: { type: 'integer' },
+      isFollowing: { type: 'boolean', description: 'Whether I follow them' }
+    })
+  },
+  'GET /api/users/:id/activity': {
+    tag: 'Social', summary: 'A user\'s activity, as far as their privacy settings allow', response: pageOf(ref('ActivityEvent'))
+  },
+  'PUT /api/users/:id/follow': { tag: 'Social', summary: 'Follow a user', response: object({ following: { type: 'boolean' } }) },
+  'DELETE /api/users/:id/follow': { tag: 'Social', summary: 'Unfollow a user', response: object({ following: { type: 'boolean' } }) },
+  'GET /api/me/following': { tag: 'Social', summary: 'People I follow', response: pageOf(ref('UserCard')) },
+  'GET /api/me/followers': { tag: 'Social', summary: 'People who follow me', response: pageOf(ref('UserCard')) },
+  'GET /api/feed': {
+    tag: 'Social',
+    summary: 'Activity of the people I follow, newest first',
+    description: 'Watchlist additions, status changes and reviews, each shown only if its author\'s privacy settings allow it. ' +
+      'Events of reviews hidden by moderators are left out, so a page can hold fewer than perPage events.',
+    response: pageOf(ref('ActivityEvent'))
+  },
+
+  'GET /api/notifications': {
+    tag: 'Notifications',
+    summary: 'My notifications, newest first',
+    description: 'Sent when a movie I plan to watch (or am watching) is released, gets a new release date ' +
+      'or changes production status after a catalog update.',
+    response: pageOf(ref('Notification'), { unreadCount: { type: 'integer' } })
+  },
+  'GET /api/notifications/unread-count': {
+    tag: 'Notifications', summary: 'How many of my notifications are unread', response: object({ unread: { type: 'integer' } })
+  },
+  'POST /api/notifications/:id/read': { tag: 'Notifications', summary: 'Mark a notification read', response: ref('Notification') },
+  'POST /api/notifications/read-all': {
+    tag: 'Notifications', summary: 'Mark all my notifications read', response: object({ updated: { type: 'integer' } })
+  },
+
+  'GET /api/admin/reviews': {
+    tag: 'Moderation',
+    summary: 'Moderation queue with open reports and history',
+    response: pageOf(ref('Review'), { status: { type: 'string' }, threshold: { type: 'integer' } })
+  },
+  'POST /api/admin/reviews/:id/moderation': {
+    tag: 'Moderation', summary: 'Approve, hide or delete a review', response: object({ review: ref('Review'), log: ref('ModerationLog') })
+  },
+  'GET /api/admin/moderation-log': { tag: 'Moderation', summary: 'Moderation audit log', response: pageOf(ref('ModerationLog')) },
+
+  'POST /api/admin/api-keys': {
+    tag: 'API keys',
+    summary: 'Issue an API key for a partner app',
+    description: 'The key is only ever returned here; store it right away.',
+    status: 201,
+    response: object({ key: { type: 'string', description: 'The API key (shown once)' }, apiKey: ref('ApiKey') })
+  },
+  'GET /api/admin/api-keys': {
+    tag: 'API keys', summary: 'All API keys, revoked ones included', response: object({ defaultDailyQuota: { type: 'integer' }, data: listOf(ref('ApiKey')) })
+  },
+  'GET /api/admin/api-keys/usage': {
+    tag: 'API keys',
+    summary: 'Requests per key and UTC day',
+    response: object({
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      data: listOf(object({
+        _id: { type: 'string' },
+        name: { type: 'string' },
+        prefix: { type: 'string' },
+        dailyQuota: { type: 'integer' },
+        today: { type: 'integer', description: 'Requests counted today' },
+        total: { type: 'integer', description: 'Requests counted in the period' },
+        rejected: { type: 'integer', description: 'Requests refused over quota in the period' },
+        daily: listOf(object({ day: { type: 'string', format: 'date' }, count: { type: 'integer' }, rejected: { type: 'integer' } }))
+      }))
+    })
+  },
+  'PATCH /api/admin/api-keys/:id': { tag: 'API keys', summary: 'Rename a key or change its daily quota', response: ref('ApiKey') },
+  'DELETE /api/admin/api-keys/:id': {
+    tag: 'API keys', summary: 'Revoke an API key', response: object({ success: { type: 'boolean' }, apiKey: ref('ApiKey') })
+  },
+
+  'GET /api/admin/cache': {
+    tag: 'Cache',
+    summary: 'Movie cache counters',
+    description: 'Hits and misses of the in-process cache behind /movies, /api/movies and /api/movies/{id}, ' +
+      'counted since the process started.',
+    response: object({ movies: ref('CacheStats') })
+  },
+
+  'GET /api/openapi.json': { hidden: true },
+  'GET /api/docs': { hidden: true }
+};
+
+const TAGS = [
+  { name: 'Auth', description: 'Accounts, login and sessions' },
+  { name: 'Movies', description: 'The movie catalog' },
+  { name: 'Browse', description: 'Collections, production companies and countries' },
+  { name: 'Analytics', description: 'Catalog reports' },
+  { name: 'Watchlist', description: 'My watchlist' },
+  { name: 'Lists', description: 'Custom movie lists' },
+  { name: 'Account', description: 'My profile, stats and recommendations' },
+  { name: 'Reviews', description: 'Reviews, helpful votes and reports' },
+  { name: 'Social', description: 'Following people and the activity feed' },
+  { name: 'Notifications', description: 'Release and status news about movies on my watchlist' },
+  { name: 'Moderation', description: 'Review moderation (admins)' },
+  { name: 'API keys', description: 'Keys and daily quotas for partner apps (admins)' },
+  { name: 'Cache', description: 'Movie read cache (admins)' }
+];
+
+// ---------- MONGOOSE SCHEMA -> JSON SCHEMA ----------
+
+const PRIMITIVES = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  ObjectId: { type: 'string', pattern: '^[a-f\\d]{24}$' },
+  Mixed: {}
+};
+
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function schemaTypeToJson(schemaType) {
+  if (schemaType.instance === 'Embedded') return mongooseToJson(schemaType.schema);
+  if (schemaType.instance === 'Array') {
+    return listOf(schemaType.schema
+      ? mongooseToJson(schemaType.schema)
+      : schemaTypeToJson(schemaType.embeddedSchemaType));
+  }
+
+  const options = schemaType.options || {};
+  return compact({
+    ...(PRIMITIVES[schemaType.instance] || {}),
+    enum: schemaType.enumValues && schemaType.enumValues.length ? schemaType.enumValues : undefined,
+    minimum: typeof options.min === 'number' ? options.min : undefined,
+    maximum: typeof options.max === 'number' ? options.max : undefined,
+    minLength: options.minlength,
+    maxLength: options.maxlength,
+    default: typeof options.default === 'function' ? undefined : options.default,
+    readOnly: options.immutable || undefined
+  });
+}
+
+// Mongoose schema -> JSON Schema object; `only` keeps a subset of paths.
+// Dotted paths ("snapshot.rating") become nested objects.
+function mongooseToJson(schema, { only = null } = {}) {
+  const result = { type: 'object', properties: {} };
+  const required = [];
+
+  schema.eachPath((name, schemaType) => {
+    if (name === '__v' || (only && !only.includes(name))) return;
+
+    const parts = name.split('.');
+    let target = result;
+    parts.slice(0, -1).forEach(part => {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+      target = target.properties[part];
+    });
+    target.properties[parts[parts.length - 1]] = schemaTypeToJson(schemaType);
+    if (schemaType.isRequired && parts.length === 1) required.push(name);
+  });
+
+  if (required.length) result.required = required;
+  return result;
+}
+
+function componentSchemas() {
+  return {
+    Movie: mongooseToJson(Movie.schema),
+    WatchlistItem: mongooseToJson(WatchlistItem.schema),
+    MovieList: mongooseToJson(MovieList.schema),
+    Review: mongooseToJson(Review.schema),
+    ReviewReport: mongooseToJson(ReviewReport.schema),
+    ModerationLog: mongooseToJson(ModerationLog.schema),
+    Notification: mongooseToJson(Notification.schema),
+    // what login, refresh and /api/me return (never the password hash)
+    Account: mongooseToJson(User.schema, { only: ['_id', 'email', 'role', 'displayName', 'emailVerified'] }),
+    // the stored hash is never sent
+    ApiKey: mongooseToJson(ApiKey.schema, {
+      only: ['_id', 'name', 'prefix', 'dailyQuota', 'createdBy', 'revokedAt', 'revokedBy', 'lastUsedAt', 'createdAt', 'updatedAt']
+    }),
+    ActivityPrivacy: mongooseToJson(User.schema, { only: ['activityPrivacy.watchlist', 'activityPrivacy.reviews'] })
+      .properties.activityPrivacy,
+    UserCard: object({
+      _id: { type: 'string' },
+      displayName: { type: 'string' },
+      isFollowing: { type: 'boolean', description: 'Whether I follow them' },
+      since: { type: 'string', format: 'date-time', description: 'When the follow started (follow lists only)' }
+    }),
+    ActivityEvent: object({
+      _id: { type: 'string' },
+      type: { type: 'string', enum: Activity.ACTIVITY_TYPES },
+      createdAt: { type: 'string', format: 'date-time' },
+      user: object({ _id: { type: 'string' }, displayName: { type: 'string' } }),
+      movie: object({
+        id: { type: 'integer' },
+        title: { type: 'string' },
+        year: { type: 'integer', nullable: true },
+        posterSrc: { type: 'string' }
+      }),
+      status: { type: 'string', nullable: true, description: 'Watchlist status (watchlist events)' },
+      rating: { type: 'number', nullable: true, description: 'Rating given (review events)' },
+      excerpt: { type: 'string', description: 'Start of the review text (review events)' }
+    }),
+    CacheStats: object({
+      entries: { type: 'integer', description: 'Cached results right now' },
+      maxEntries: { type: 'integer' },
+      ttlSeconds: { type: 'integer' },
+      hits: { type: 'integer' },
+      misses: { type: 'integer' },
+      evictions: { type: 'integer', description: 'Least recently used results dropped to stay under maxEntries' },
+      expirations: { type: 'integer', description: 'Results dropped after ttlSeconds' },
+      invalidations: { type: 'integer', description: 'Times a movie write emptied the cache' },
+      hitRate: { type: 'number', nullable: true },
+      lastInvalidatedAt: { type: 'string', format: 'date-time', nullable: true }
+    }),
+    Page: {
+      type: 'object',
+      description: 'Envelope of every paginated list. Ask for a page with ?page= (from 1) and ?perPage=.',
+      properties: {
+        page: { type: 'integer', minimum: 1, nullable: true, description: 'Current page (null with cursor pagination)' },
+        perPage: { type: 'integer', minimum: 1 },
+        totalPages: { type: 'integer', minimum: 0 },
+        totalCount: { type: 'integer', minimum: 0, description: 'Items across all pages' },
+        data: { type: 'array', items: {} }
+      },
+      required: ['page', 'perPage', 'totalPages', 'totalCount', 'data']
+    },
+    Error: {
+      type: 'object',
+      description: 'Body of every error response',
+      properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+        fields: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Per-field messages, e.g. { "rating": "must be at most 10" } (VALIDATION_ERROR only)'
+        },
+        debug: { type: 'string', description: 'Underlying message of a 500 (not sent in production)' }
+      },
+      required: ['error', 'code']
+    }
+  };
+}
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const ERROR_RESPONSES = {
+  BadRequest: errorResponse('Invalid parameters or body (VALIDATION_ERROR lists each field)'),
+  Unauthorized: errorResponse('Missing, expired or revoked access token'),
+  Forbidden: errorResponse('Not allowed for this account'),
+  NotFound: errorResponse('Nothing found for this path or id'),
+  Conflict: errorResponse('The record already exists'),
+  TooManyRequests: {
+    ...errorResponse('Rate limit or API key quota exceeded'),
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } }
+  },
+  ServerError: errorResponse('Unexpected server error')
+};
+
+// ---------- ROUTES -> PATHS ----------
+
+// validate({ body }) rules -> JSON Schema object
+function rulesToJson(rules) {
+  const required = Object.keys(rules).filter(name => rules[name].required);
+  return compact({
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, rule.schema || {}])),
+    required: required.length ? required : undefined
+  });
+}
+
+// 900000 -> "15 minutes"
+function formatWindow(ms) {
+  const units = [['hour', 3600000], ['minute', 60000], ['second', 1000]];
+  const [unit, size] = units.find(([, size]) => ms % size === 0) || units[2];
+  const count = Math.round(ms / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Everything the route's middleware says about itself
+function routeMeta(route) {
+  return route.stack.reduce((meta, layer) => ({ ...meta, ...(layer.handle.apiDocs || {}) }), {});
+}
+
+function buildOperation(method, path, route, docs) {
+  const meta = routeMeta(route);
+  const schema = meta.schema || {};
+  const pathKeys = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  const parameters = [
+    ...pathKeys.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: schema.params && schema.params[name] ? schema.params[name].schema : { type: 'string' }
+    })),
+    ...Object.entries(schema.query || {}).map(([name, rule]) => compact({
+      name,
+      in: 'query',
+      required: rule.required || undefined,
+      schema: rule.schema
+    }))
+  ];
+
+  const notes = [];
+  if (docs.description) notes.push(docs.description);
+  if (meta.auth === 'admin') notes.push('Admins only.');
+  if (meta.verifiedEmail) notes.push('Needs a verified email address.');
+  if (meta.apiKey) notes.push('Open to anonymous requests; partner apps send their API key, which counts against its daily quota.');
+  if (meta.rateLimit && meta.rateLimit.length) {
+    notes.push(`Rate limited${meta.apiKey ? ' without an API key' : ''}: ${meta.rateLimit
+      .map(limit => `${limit.max} requests per ${formatWindow(limit.windowMs)} per ${limit.scope === 'ip' ? 'IP' : 'account'}`)
+      .join(', ')}.`);
+  }
+
+  const status = String(docs.status || 200);
+  const responses = {
+    [status]: {
+      description: status === '201' ? 'Created' : 'OK',
+      content: { 'application/json': { schema: docs.response || {} } }
+    }
+  };
+  if (docs.etag) {
+    responses[status].headers = {
+      ETag: { schema: { type: 'string' }, description: 'Weak validator; send it back as If-None-Match' },
+      'Cache-Control': { schema: { type: 'string' } }
+    };
+    responses['304'] = { description: 'Not modified: If-None-Match matches the current ETag (no body)' };
+  }
+  if (meta.schema || docs.body || method !== 'get') responses['400'] = { $ref: '#/components/responses/BadRequest' };
+  if (meta.auth || meta.apiKey || docs.security) responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  if (meta.auth === 'admin' || meta.verifiedEmail) responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  if (pathKeys.length) responses['404'] = { $ref: '#/components/responses/NotFound' };
+  if (docs.conflict) responses['409'] = { $ref: '#/components/responses/Conflict' };
+  if (meta.rateLimit || meta.apiKey) responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+  responses['500'] = { $ref: '#/components/responses/ServerError' };
+
+  const bodySchema = schema.body ? rulesToJson(schema.body) : docs.body;
+  let security;
+  if (docs.security) security = [{ [docs.security]: [] }];
+  else if (meta.auth) security = [{ bearerAuth: [] }];
+  else if (meta.apiKey) security = [{}, { apiKeyAuth: [] }];
+
+  return compact({
+    tags: [docs.tag || 'Other'],
+    summary: docs.summary || `${method.toUpperCase()} ${path}`,
+    description: notes.length ? notes.join('\n\n') : undefined,
+    operationId: `${method}${path.replace(/[/:](\w)/g, (_, c) => c.toUpperCase()).replace(/\W/g, '')}`,
+    security,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: bodySchema
+      ? {
+        required: true,
+        content: Object.fromEntries((docs.bodyTypes || ['application/json']).map(type => [type, { schema: bodySchema }]))
+      }
+      : undefined,
+    responses
+  });
+}
+
+// Every documented route of an Express app: /api/* plus the JSON /auth/* endpoints
+function collectOperations(app) {
+  const operations = [];
+  app.router.stack.forEach(layer => {
+    const { route } = layer;
+    if (!route || typeof route.path !== 'string') return;
+
+    Object.keys(route.methods).forEach(method => {
+      const docs = ROUTE_DOCS[`${method.toUpperCase()} ${route.path}`];
+      if (docs ? docs.hidden : !route.path.startsWith('/api/')) return;
+      operations.push({ method, path: route.path, route, docs: docs || {} });
+    });
+  });
+  return operations;
+}
+
+function buildOpenApiSpec(app) {
+  const paths = {};
+  collectOperations(app).forEach(({ method, path, route, docs }) => {
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = buildOperation(method, path, route, docs);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Movie Explorer API',
+      version,
+      description: 'JSON API behind the Movie Explorer site. Requests and responses are JSON; ' +
+        'lists use the Page envelope and every error uses the Error body.'
+    },
+    servers: [{ url: '/' }],
+    tags: TAGS,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Short-lived access token from POST /auth/login or POST /auth/refresh, ' +
+            'sent as "Authorization: Bearer <token>". When it expires (401), call POST /auth/refresh ' +
+            'to get a new one.'
+        },
+        refreshCookie: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: REFRESH_COOKIE,
+          description: 'httpOnly refresh token set by login and rotated by every refresh. ' +
+            'Logging out (or a password reset) revokes it.'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Key issued to a partner app by an admin. Each key has a daily quota (UTC days); ' +
+            'responses carry X-Quota-Limit, X-Quota-Remaining and X-Quota-Reset headers and are ' +
+            'Cache-Control: private. Calls without a key share a much lower per-IP rate limit.'
+        }
+      },
+      schemas: componentSchemas(),
+      responses: ERROR_RESPONSES
+    }
+  };
+}
+
+// Flat view model of the spec for views/api-docs.hbs
+function typeLabel(schema = {}) {
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.allOf) return 'Page';
+  if (schema.type === 'array') return `${typeLabel(schema.items)}[]`;
+  const bits = [schema.format || schema.type || 'any'];
+  if (schema.enum) bits.push(`one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined) bits.push(`≥ ${schema.minimum}`);
+  if (schema.maximum !== undefined) bits.push(`≤ ${schema.maximum}`);
+  if (schema.maxLength !== undefined) bits.push(`max ${schema.maxLength} chars`);
+  if (schema.default !== undefined) bits.push(`default ${JSON.stringify(schema.default)}`);
+  return bits.join(', ');
+}
+
+function propertyRows(schema = {}) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    type: typeLabel(property),
+    required: required.includes(name),
+    description: property.description || ''
+  }));
+}
+
+// [{ bearerAuth: [] }] -> "bearerAuth"; [{}, { apiKeyAuth: [] }] -> "apiKeyAuth (optional)"
+function securityLabel(security) {
+  if (!security) return null;
+  const names = security.flatMap(requirement => Object.keys(requirement));
+  const optional = security.some(requirement => !Object.keys(requirement).length);
+  return `${names.join(' or ')}${optional ? ' (optional)' : ''}`;
+}
+
+function docsPageModel(spec) {
+  const byTag = new Map(spec.tags.map(tag => [tag.name, { ...tag, operations: [] }]));
+
+  Object.entries(spec.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      const tag = operation.tags[0];
+      if (!byTag.has(tag)) byTag.set(tag, { name: tag, description: '', operations: [] });
+
+      const bodyTypes = operation.requestBody ? Object.keys(operation.requestBody.content) : [];
+      const body = bodyTypes.length ? operation.requestBody.content[bodyTypes[0]].schema : null;
+      byTag.get(tag).operations.push({
+        id: operation.operationId,
+        method: method.toUpperCase(),
+        path,
+        summary: operation.summary,
+        description: operation.description || '',
+        auth: securityLabel(operation.security),
+        parameters: (operation.parameters || []).map(p => ({
+          name: p.name,
+          in: p.in,
+          type: typeLabel(p.schema),
+          required: Boolean(p.required)
+        })),
+        body: body ? (body.$ref || body.type === 'string'
+          ? [{ name: '(body)', type: typeLabel(body), required: true, description: body.description || '' }]
+          : propertyRows(body)) : [],
+        // the try-it form sends these as typed, not as JSON
+        rawBody: bodyTypes.length > 0 && !bodyTypes.includes('application/json'),
+        responses: Object.entries(operation.responses).map(([status, response]) => ({
+          status,
+          description: response.$ref
+            ? spec.components.responses[response.$ref.split('/').pop()].description
+            : (response.content
+              ? `${response.description} — ${typeLabel(response.content['application/json'].schema)}`
+              : response.description)
+        }))
+      });
+    });
+  });
+
+  return {
+    info: spec.info,
+    security: Object.entries(spec.components.securitySchemes).map(([id, scheme]) => ({ id, ...scheme })),
+    pageFields: propertyRows(spec.components.schemas.Page),
+    errorFields: propertyRows(spec.components.schemas.Error),
+    errorCodes: Object.entries(ERROR_CODES).map(([code, description]) => ({ code, description })),
+    tags: [...byTag.values()].filter(tag => tag.operations.length)
+  };
+}
+
+module.exports = {
+  ROUTE_DOCS,
+  ERROR_CODES,
+  buildOpenApiSpec,
+  docsPageModel
+};
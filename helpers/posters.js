@@ -0,0 +1,203 @@
+// helpers/posters.js
+// Poster images served from our own origin (GET /img/poster/:movieId/:size)
+// instead of hotlinking image.tmdb.org. Posters are fetched once per size
+// from the upstream origin and kept on disk; movies without a poster (or
+// whose poster is gone upstream) get an SVG placeholder with their title.
+//
+//   POSTER_ORIGIN=https://image.tmdb.org/t/p   upstream base; the size and file are appended
+//   POSTER_CACHE_DIR=<tmp>/movie-explorer-posters
+//   POSTER_FETCH_TIMEOUT_MS=8000
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { int, oneOf, string } = require('./validation');
+
+const POSTER_SIZES = ['w185', 'w342', 'w500'];
+const DEFAULT_POSTER_SIZE = 'w342';
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.POSTER_FETCH_TIMEOUT_MS) || 8000;
+const MAX_POSTER_BYTES = 5 * 1024 * 1024;
+
+// "https://image.tmdb.org/t/p/w500/abc.jpg" -> "/abc.jpg"; anything else -> null
+const TMDB_POSTER = /^https?:\/\/image\.tmdb\.org\/t\/p\/[^/]+(\/[\w-]+\.(?:jpe?g|png|webp))$/i;
+
+// Read on every call so a test run can point them at a local stand-in
+function posterOrigin() {
+  return (process.env.POSTER_ORIGIN || 'https://image.tmdb.org/t/p').replace(/\/+$/, '');
+}
+
+function cacheDir() {
+  return process.env.POSTER_CACHE_DIR || path.join(os.tmpdir(), 'movie-explorer-posters');
+}
+
+function posterFile(posterUrl) {
+  const match = TMDB_POSTER.exec(String(posterUrl || '').trim());
+  return match ? match[1] : null;
+}
+
+// Changes with the poster, so the proxied URLs can be cached "forever"
+function posterVersion(posterUrl) {
+  return crypto.createHash('sha1').update(String(posterUrl || '')).digest('hex').slice(0, 10);
+}
+
+// { posterSrc, posterSrcset } for a movie-like { id, poster_url }
+function posterUrls(movie, size = DEFAULT_POSTER_SIZE) {
+  const url = s => `/img/poster/${movie.id}/${s}?v=${posterVersion(movie.poster_url)}`;
+  return {
+    posterSrc: url(size),
+    posterSrcset: POSTER_SIZES.map(s => `${url(s)} ${s.slice(1)}w`).join(', ')
+  };
+}
+
+// ---------- DISK CACHE ----------
+
+const pending = new Map();
+
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Download one size of a poster into the cache. Resolves to the file path,
+// or null when the origin has no such image.
+async function download(file, size, target) {
+  const res = await fetch(`${posterOrigin()}/${size}${file}`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Poster origin answered ${res.status}`);
+
+  const type = (res.headers.get('content-type') || '').split(';')[0].trim();
+  if (!type.startsWith('image/')) throw new Error(`Poster origin sent ${type || 'no content type'}`);
+
+  const body = Buffer.from(await res.arrayBuffer());
+  if (body.length > MAX_POSTER_BYTES) throw new Error('Poster is too large');
+
+  // write then rename, so a half-written file is never served
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const temp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(temp, body);
+  await fs.rename(temp, target);
+  return target;
+}
+
+// Path of the cached image for `posterUrl` at `size`, downloading it on the
+// first request. Resolves to null when there is no poster to show.
+// Errors (origin down, timeout) are thrown and nothing is cached.
+async function getPosterFile(posterUrl, size) {
+  const file = posterFile(posterUrl);
+  if (!file || !POSTER_SIZES.includes(size)) return null;
+
+  const target = path.join(cacheDir(), size, path.basename(file));
+  if (await fileExists(target)) return target;
+
+  // concurrent requests for one image share a download
+  if (!pending.has(target)) {
+    pending.set(target, download(file, size, target).finally(() => pending.delete(target)));
+  }
+  return pending.get(target);
+}
+
+// ---------- PLACEHOLDER ----------
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  }[c]));
+}
+
+// Greedy word wrap; the last line is cut with an ellipsis
+function wrapTitle(title, maxChars = 14, maxLines = 4) {
+  const lines = [];
+  String(title || 'No poster').toUpperCase().split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word);
+    }
+  });
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+  }
+  return lines;
+}
+
+// 2:3 SVG: the title in capitals on the site's dark red-to-black gradient
+function placeholderSvg(title, size = DEFAULT_POSTER_SIZE) {
+  const width = Number(size.slice(1)) || 342;
+  const height = Math.round(width * 1.5);
+  const lines = wrapTitle(title);
+  const fontSize = Math.round(width / 12);
+  const lineHeight = Math.round(fontSize * 1.3);
+  const firstY = Math.round(height / 2 - ((lines.length - 1) * lineHeight) / 2);
+
+  const text = lines
+    .map((line, i) => `<tspan x="50%" y="${firstY + i * lineHeight}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">` +
+    `<title>${escapeXml(title || 'No poster')}</title>` +
+    '<defs><radialGradient id="g" cx="50%" cy="0%" r="100%">' +
+    '<stop offset="0" stop-color="#852502"/><stop offset="0.45" stop-color="#0f172a"/><stop offset="1" stop-color="#000"/>' +
+    '</radialGradient></defs>' +
+    `<rect width="${width}" height="${height}" fill="url(#g)"/>` +
+    `<text fill="#e5e7eb" font-family="system-ui, sans-serif" font-size="${fontSize}" letter-spacing="1" ` +
+    `text-anchor="middle" dominant-baseline="middle">${text}</text>` +
+    '</svg>';
+}
+
+// ---------- RESPONSE ----------
+
+// Route params of GET /img/poster/:movieId/:size
+const POSTER_PARAMS = {
+  movieId: int({ min: 1, required: true }),
+  size: oneOf(POSTER_SIZES, { required: true })
+};
+
+// ...and its query: the poster version posterUrls() adds
+const POSTER_QUERY = { v: string({ maxLength: 40 }) };
+
+// Answer a poster request for `movie` ({ id, title, poster_url }) with the
+// cached image, or the placeholder when there is none. The ?v= in the URLs
+// posterUrls() builds changes with the poster, so a versioned URL may be
+// cached for a year.
+async function sendPoster(req, res, movie, size) {
+  const versioned = req.validated.query.v === posterVersion(movie.poster_url);
+  let file;
+  try {
+    file = await getPosterFile(movie.poster_url, size);
+  } catch (err) {
+    // origin down or slow: show the placeholder, but only briefly
+    console.error('Poster fetch error:', err.message);
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.type('image/svg+xml').send(placeholderSvg(movie.title, size));
+  }
+
+  if (!file) {
+    // "no poster" holds until the poster (and so ?v=) changes; one missing upstream may come back
+    const settled = versioned && !posterFile(movie.poster_url);
+    res.set('Cache-Control', settled ? 'public, max-age=31536000, immutable' : 'public, max-age=86400');
+    return res.type('image/svg+xml').send(placeholderSvg(movie.title, size));
+  }
+  res.sendFile(file, { maxAge: versioned ? '1y' : '1d', immutable: versioned });
+}
+
+module.exports = {
+  POSTER_SIZES,
+  POSTER_PARAMS,
+  POSTER_QUERY,
+  DEFAULT_POSTER_SIZE,
+  posterFile,
+  posterVersion,
+  posterUrls,
+  getPosterFile,
+  placeholderSvg,
+  sendPoster
+};
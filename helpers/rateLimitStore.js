@@ -0,0 +1,120 @@
+// helpers/rateLimitStore.js
+// Where rate-limit counters live, behind a small store interface:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a new window when the old one is over)
+//   get(key)                 -> { count, resetAt } | null
+//   set(key, count, resetAt)
+//   reset(key)
+// The memory store suits a single long-running process; serverless instances
+// share nothing, so api/server.js switches to the Mongo store.
+//
+//   RATE_LIMIT_STORE=memory (default) | mongo
+const RateLimit = require('../models/rateLimit');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters in a Map, swept once a minute
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  // never keep the process alive just for this
+  if (sweeper.unref) sweeper.unref();
+
+  function live(key) {
+    const entry = counters.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  }
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+    async set(key, count, resetAt) {
+      counters.set(key, { count, resetAt: resetAt.getTime() });
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+// Counters in the RateLimit collection; one atomic update per hit
+function createMongoStore() {
+  return {
+    name: 'mongo',
+    async increment(key, windowMs) {
+      const hit = () => {
+        const now = new Date();
+        const active = { $gt: ['$resetAt', now] };
+        return RateLimit.findOneAndUpdate(
+          { key },
+          [{
+            $set: {
+              count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+              resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+            }
+          }],
+          { upsert: true, new: true, updatePipeline: true }
+        ).lean();
+      };
+      // two first hits on the same key can both try to insert it; the loser
+      // gets a duplicate-key error, and its retry finds the row and updates it
+      const entry = await hit().catch((err) => {
+        if (err && err.code === 11000) return hit();
+        throw err;
+      });
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    async get(key) {
+      // the TTL monitor runs about once a minute, so expired rows can linger
+      const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    async set(key, count, resetAt) {
+      await RateLimit.updateOne({ key }, { $set: { count, resetAt } }, { upsert: true });
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+}
+
+function storeFromEnv() {
+  if (process.env.RATE_LIMIT_STORE === 'mongo') return createMongoStore();
+  return createMemoryStore();
+}
+
+let store = storeFromEnv();
+
+// Swap the store (e.g. Mongo for serverless, or a fresh memory store in tests)
+function setRateLimitStore(next) {
+  const methods = ['increment', 'get', 'set', 'reset'];
+  if (!next || methods.some(m => typeof next[m] !== 'function')) {
+    throw new TypeError('A rate-limit store must implement increment, get, set and reset');
+  }
+  store = next;
+}
+
+function getRateLimitStore() {
+  return store;
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  setRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,238 @@
+// helpers/recommendations.js
+// "More like this" for one movie and personalized picks for a user.
+// Both score candidates inside one aggregation: shared genres, collection and
+// production companies, same original language, a nearby release era and a
+// similar rating, with a small popularity boost to break ties.
+const Movie = require('../models/movie');
+const WatchlistItem = require('../models/watchlistItem');
+const Review = require('../models/review');
+
+const WEIGHTS = {
+  genres: 4,
+  collection: 5,
+  companies: 2,
+  language: 1,
+  era: 1.5,
+  rating: 1,
+  popularity: 0.5
+};
+
+const ERA_SPAN_YEARS = 20;    // release years further apart than this score 0
+const RATING_SPAN = 4;        // vote_average differences beyond this score 0
+const MIN_LIKED_RATING = 7;   // reviews at or above this feed the taste profile
+
+const CARD_PROJECTION = {
+  id: 1,
+  title: 1,
+  original_title: 1,
+  poster_url: 1,
+  release_date: 1,
+  vote_average: 1,
+  genres: 1,
+  production_countries: 1,
+  runtime: 1,
+  overview: 1,
+  score: 1
+};
+
+const HAS_POSTER = { poster_url: { $type: 'string', $ne: '' } };
+
+// Sum the weights of `weighted` ([{ id, w }]) whose id is in `values`
+// (an expression resolving to an array)
+function weightedOverlap(values, weighted) {
+  if (!weighted.length) return 0;
+  return {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $literal: weighted },
+            cond: { $in: ['$$this.id', values] }
+          }
+        },
+        in: '$$this.w'
+      }
+    }
+  };
+}
+
+// 1 when `path` equals `target`, fading linearly to 0 at `span` apart
+function closeness(path, target, span) {
+  if (target === null || target === undefined) return 0;
+  return {
+    $cond: [
+      { $eq: [{ $ifNull: [path, null] }, null] },
+      0,
+      { $max: [0, { $subtract: [1, { $divide: [{ $abs: { $subtract: [path, target] } }, span] }] }] }
+    ]
+  };
+}
+
+const RELEASE_YEAR = {
+  $cond: [{ $eq: [{ $type: '$release_date' }, 'date'] }, { $year: '$release_date' }, null]
+};
+
+// Profile -> score expression. Every component is normalised to 0..1 first.
+function scoreExpression(profile) {
+  return {
+    $add: [
+      { $multiply: [WEIGHTS.genres, weightedOverlap({ $ifNull: ['$genres.id', []] }, profile.genres)] },
+      { $multiply: [WEIGHTS.collection, weightedOverlap(['$belongs_to_collection.id'], profile.collections)] },
+      {
+        $multiply: [
+          WEIGHTS.companies,
+          { $min: [1, weightedOverlap({ $ifNull: ['$production_companies.id', []] }, profile.companies)] }
+        ]
+      },
+      { $multiply: [WEIGHTS.language, weightedOverlap(['$original_language'], profile.languages)] },
+      { $multiply: [WEIGHTS.era, closeness(RELEASE_YEAR, profile.year, ERA_SPAN_YEARS)] },
+      { $multiply: [WEIGHTS.rating, closeness('$vote_average', profile.rating, RATING_SPAN)] },
+      {
+        $multiply: [
+          WEIGHTS.popularity,
+          { $min: [1, { $divide: [{ $log10: { $add: [1, { $max: [{ $ifNull: ['$popularity', 0] }, 0] }] } }, 3] }] }
+        ]
+      }
+    ]
+  };
+}
+
+// Candidates share at least one genre, collection or company with the profile
+function candidateFilter(profile, excludeIds) {
+  const or = [];
+  if (profile.genres.length) or.push({ 'genres.id': { $in: profile.genres.map(g => g.id) } });
+  if (profile.collections.length) or.push({ 'belongs_to_collection.id': { $in: profile.collections.map(c => c.id) } });
+  if (profile.companies.length) or.push({ 'production_companies.id': { $in: profile.companies.map(c => c.id) } });
+
+  const filter = { ...HAS_POSTER, id: { $nin: excludeIds } };
+  if (or.length) filter.$or = or;
+  return filter;
+}
+
+async function scoreCandidates(profile, { excludeIds = [], limit = 12 } = {}) {
+  return Movie.aggregate([
+    { $match: candidateFilter(profile, excludeIds) },
+    { $addFields: { score: scoreExpression(profile) } },
+    { $sort: { score: -1, popularity: -1, id: 1 } },
+    { $limit: limit },
+    { $project: CARD_PROJECTION }
+  ]);
+}
+
+// Profile of a single movie (genres share the weight, companies cap at 1)
+function movieProfile(movie) {
+  const genres = (movie.genres || []).map(g => g.id);
+  return {
+    // share of the source movie's genres a candidate covers
+    genres: genres.map(id => ({ id, w: 1 / genres.length })),
+    collections: movie.belongs_to_collection ? [{ id: movie.belongs_to_collection.id, w: 1 }] : [],
+    companies: (movie.production_companies || []).map(c => ({ id: c.id, w: 0.5 })),
+    languages: movie.original_language ? [{ id: movie.original_language, w: 1 }] : [],
+    year: movie.release_date ? new Date(movie.release_date).getUTCFullYear() : null,
+    rating: typeof movie.vote_average === 'number' ? movie.vote_average : null
+  };
+}
+
+// Movies most similar to `movie` (a Movie document or lean object)
+async function findSimilarMovies(movie, limit = 12) {
+  return scoreCandidates(movieProfile(movie), { excludeIds: [movie.id], limit });
+}
+
+// Map of key -> accumulated weight, normalised so the top entry is 1
+function normalise(totals, limit) {
+  const entries = [...totals.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+  const top = entries.length ? entries[0][1] : 1;
+  return entries.map(([id, w]) => ({ id, w: w / top }));
+}
+
+function addWeight(totals, key, weight) {
+  if (key === undefined || key === null || key === '') return;
+  totals.set(key, (totals.get(key) || 0) + weight);
+}
+
+// Taste profile from seed movies, each with a weight (how much the user likes it)
+function tasteProfile(seeds) {
+  const genres = new Map();
+  const collections = new Map();
+  const companies = new Map();
+  const languages = new Map();
+  let yearSum = 0;
+  let yearWeight = 0;
+  let ratingSum = 0;
+  let ratingWeight = 0;
+
+  seeds.forEach(({ movie, weight }) => {
+    (movie.genres || []).forEach(g => addWeight(genres, g.id, weight));
+    (movie.production_companies || []).forEach(c => addWeight(companies, c.id, weight));
+    if (movie.belongs_to_collection) addWeight(collections, movie.belongs_to_collection.id, weight);
+    addWeight(languages, movie.original_language, weight);
+
+    if (movie.release_date) {
+      yearSum += new Date(movie.release_date).getUTCFullYear() * weight;
+      yearWeight += weight;
+    }
+    if (typeof movie.vote_average === 'number') {
+      ratingSum += movie.vote_average * weight;
+      ratingWeight += weight;
+    }
+  });
+
+  // genre weights sum to 1 so a candidate's genre score stays in 0..1
+  const genreList = normalise(genres, 8);
+  const genreTotal = genreList.reduce((sum, g) => sum + g.w, 0) || 1;
+
+  return {
+    genres: genreList.map(g => ({ id: g.id, w: g.w / genreTotal })),
+    collections: normalise(collections, 10),
+    companies: normalise(companies, 15).map(c => ({ id: c.id, w: c.w / 2 })),
+    languages: normalise(languages, 3),
+    year: yearWeight ? Math.round(yearSum / yearWeight) : null,
+    rating: ratingWeight ? Math.round((ratingSum / ratingWeight) * 10) / 10 : null
+  };
+}
+
+// Personalized picks from the user's watchlist and well-rated reviews.
+// Resolves to { profile, items }; profile is null for a user with no history,
+// in which case well-rated popular movies are returned instead.
+async function recommendForUser(userId, limit = 20) {
+  const [watchlist, reviews] = await Promise.all([
+    WatchlistItem.find({ user: userId }, { movieId: 1, status: 1, priority: 1 }).lean(),
+    Review.find({ user: userId }, { movieId: 1, rating: 1 }).lean()
+  ]);
+
+  // anything already saved or reviewed is never recommended
+  const excludeIds = [...new Set([...watchlist.map(w => w.movieId), ...reviews.map(r => r.movieId)])];
+
+  const seedWeights = new Map();
+  watchlist
+    .filter(w => w.status !== 'dropped')
+    .forEach(w => seedWeights.set(w.movieId, (w.priority || 3) / 3));
+  reviews
+    .filter(r => r.rating >= MIN_LIKED_RATING)
+    .forEach(r => {
+      // a 10/10 counts twice as much as a 7/10; reviews override watchlist weight
+      seedWeights.set(r.movieId, 1 + (r.rating - MIN_LIKED_RATING) / (10 - MIN_LIKED_RATING));
+    });
+
+  if (!seedWeights.size) {
+    const items = await Movie.find(
+      { ...HAS_POSTER, id: { $nin: excludeIds }, vote_count: { $gte: 500 } },
+      CARD_PROJECTION
+    )
+      .sort({ vote_average: -1, popularity: -1, id: 1 })
+      .limit(limit)
+      .lean();
+    return { profile: null, items };
+  }
+
+  const seedMovies = await Movie.find({ id: { $in: [...seedWeights.keys()] } }).lean();
+  const profile = tasteProfile(seedMovies.map(movie => ({ movie, weight: seedWeights.get(movie.id) })));
+  const items = await scoreCandidates(profile, { excludeIds, limit });
+
+  return { profile, items };
+}
+
+module.exports = {
+  findSimilarMovies,
+  recommendForUser
+};
@@ -0,0 +1,182 @@
+// helpers/responseCache.js
+// In-process LRU cache for movie reads (/movies, /api/movies, /api/movies/:id).
+// Entries expire after a TTL and the whole cache is emptied by any write to
+// the Movie collection (hooks in models/movie.js), except a community rating
+// refresh, which only evicts that movie's entries and the listings. Each
+// process has its own cache, so on serverless instances a write elsewhere
+// shows up after the TTL.
+//
+//   MOVIE_CACHE_MAX_ENTRIES=500   (0 turns the cache off)
+//   MOVIE_CACHE_TTL=300           seconds an entry is served
+//   MOVIE_CACHE_MAX_AGE=60        seconds browsers / proxies may reuse movie JSON
+const crypto = require('crypto');
+
+const MOVIE_CACHE_MAX_AGE = parseInt(process.env.MOVIE_CACHE_MAX_AGE) || 60;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Cache of { value, expiresAt } in a Map; Map order is the LRU order
+// (oldest first), so a hit moves its key to the end.
+function createLruCache({ maxEntries = 500, ttlMs = 5 * 60 * 1000 } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0, partialInvalidations: 0 };
+  let generation = 0;
+  let lastInvalidatedAt = null;
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      counters.expirations += 1;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (maxEntries < 1) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions += 1;
+    }
+  }
+
+  // Cached value for `key`, else the result of `loader()` (stored unless the
+  // key was cleared or evicted while it ran). Resolves to { value, hit }.
+  // Concurrent misses on one key share a single load.
+  async function fetch(key, loader) {
+    const cached = get(key);
+    if (cached !== undefined) {
+      counters.hits += 1;
+      return { value: cached, hit: true };
+    }
+    counters.misses += 1;
+
+    if (!pending.has(key)) {
+      const startedIn = generation;
+      const load = Promise.resolve()
+        .then(loader)
+        .then(value => {
+          if (startedIn === generation && pending.get(key) === load && value !== undefined) set(key, value);
+          return value;
+        })
+        .finally(() => {
+          if (pending.get(key) === load) pending.delete(key);
+        });
+      pending.set(key, load);
+    }
+    return { value: await pending.get(key), hit: false };
+  }
+
+  function clear() {
+    entries.clear();
+    pending.clear();
+    generation += 1;
+    counters.invalidations += 1;
+    lastInvalidatedAt = new Date();
+  }
+
+  // Drop the entries (and forget the loads in flight) whose key passes `test`
+  function evict(test) {
+    [...entries.keys()].filter(test).forEach(key => entries.delete(key));
+    [...pending.keys()].filter(test).forEach(key => pending.delete(key));
+    counters.partialInvalidations += 1;
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      entries: entries.size,
+      maxEntries,
+      ttlSeconds: Math.round(ttlMs / 1000),
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+      lastInvalidatedAt
+    };
+  }
+
+  return { get, set, fetch, clear, evict, stats };
+}
+
+// Same parameters -> same key, whatever their order. Empty values are
+// dropped and arrays (filter value sets) are sorted.
+function cacheKey(scope, params) {
+  const normalize = value => {
+    if (Array.isArray(value)) return value.map(normalize).sort();
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .sort()
+        .filter(name => value[name] !== undefined && value[name] !== null && value[name] !== '' &&
+          !(Array.isArray(value[name]) && !value[name].length))
+        .map(name => [name, normalize(value[name])]);
+    }
+    return value;
+  };
+  return `${scope}:${JSON.stringify(normalize(params))}`;
+}
+
+// W/"<length>-<hash>", the same shape Express gives rendered pages
+function weakEtag(body) {
+  const hash = crypto.createHash('sha1').update(body).digest('base64').slice(0, 27);
+  return `W/"${Buffer.byteLength(body).toString(16)}-${hash}"`;
+}
+
+// JSON body serialized once, with its ETag, ready to cache
+function jsonEntry(data) {
+  const body = JSON.stringify(data);
+  return { body, etag: weakEtag(body) };
+}
+
+// Send a jsonEntry(). Express compares the ETag with If-None-Match and
+// answers 304 (no body) when the client's copy is current. Answers to an
+// API key are private: a shared cache must not replay them to other callers
+// (or answer the key's next request without counting it against its quota).
+function sendJsonEntry(res, entry, { hit, keyed = false }) {
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', `${keyed ? 'private' : 'public'}, max-age=${MOVIE_CACHE_MAX_AGE}`);
+  res.set('Vary', 'X-API-Key');
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+  res.type('json').send(entry.body);
+}
+
+// Pages may show the visitor's own data, so only anonymous ones are shared
+function setPageCacheHeaders(req, res, { hit }) {
+  res.set('Cache-Control', req.currentUser ? 'private, no-cache' : `public, max-age=${MOVIE_CACHE_MAX_AGE}`);
+  res.set('Vary', 'Cookie');
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+}
+
+const movieCache = createLruCache({
+  maxEntries: envInt('MOVIE_CACHE_MAX_ENTRIES', 500),
+  ttlMs: envInt('MOVIE_CACHE_TTL', 300) * 1000
+});
+
+// Listing scopes (cacheKey() in server.js) whose pages may show any movie
+const MOVIE_LISTING_SCOPES = ['page:movies:', 'api:movies:'];
+
+// Evict what one movie's change can affect: its own detail, API and poster
+// entries (keys as server.js builds them) and every cached listing
+function evictMovie(movieId) {
+  const own = new Set([`page:movie:${movieId}`, `api:movie:${movieId}`, `poster:${movieId}`]);
+  movieCache.evict(key => own.has(key) || MOVIE_LISTING_SCOPES.some(scope => key.startsWith(scope)));
+}
+
+module.exports = {
+  movieCache,
+  evictMovie,
+  createLruCache,
+  cacheKey,
+  weakEtag,
+  jsonEntry,
+  sendJsonEntry,
+  setPageCacheHeaders
+};
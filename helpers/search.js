@@ -0,0 +1,173 @@
+// helpers/search.js
+// Full-text movie search: weighted $text index ranked with popularity,
+// a fuzzy title fallback for typos, and as-you-type title suggestions.
+const Movie = require('../models/movie');
+
+const MAX_QUERY_LENGTH = 100;
+const SUGGEST_LIMIT = 8;
+
+// Escape user text so it can be embedded in a RegExp literally
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Clean raw input into a safe $text search string. Keeps words, "quoted
+// phrases" and -exclusions (the only $text operators); drops anything else.
+function parseSearchQuery(raw) {
+  if (typeof raw !== 'string') return '';
+
+  let text = raw
+    .slice(0, MAX_QUERY_LENGTH)
+    .replace(/[^\p{L}\p{N}\s"'-]/gu, ' ')
+    .replace(/(^|\s)-+(?=\s|$)/g, ' ')   // lone dashes
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // an unbalanced quote would turn the rest of the query into one phrase
+  if ((text.match(/"/g) || []).length % 2 !== 0) {
+    text = text.replace(/"/g, '');
+  }
+
+  // a query of only exclusions matches nothing in $text
+  const hasPositiveTerm = text.split(' ').some(word => word && !word.startsWith('-'));
+  return hasPositiveTerm ? text : '';
+}
+
+// Title pattern that tolerates one typo (wrong, missing or extra letter) per word
+function fuzzyTitlePattern(query) {
+  const words = query
+    .replace(/["-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 5);
+
+  if (!words.length) return null;
+
+  const wordPatterns = words.map(word => {
+    const chars = [...word.toLowerCase()];
+    if (chars.length < 4) return escapeRegex(word);
+
+    const variants = new Set();
+    chars.forEach((_, i) => {
+      const before = chars.slice(0, i).map(escapeRegex).join('');
+      const after = chars.slice(i + 1).map(escapeRegex).join('');
+      variants.add(`${before}.?${after}`);                     // substitution / deletion
+      variants.add(`${before}.${escapeRegex(chars[i])}${after}`); // insertion
+    });
+    return `(?:${[...variants].join('|')})`;
+  });
+
+  return wordPatterns.join('.*');
+}
+
+// Relevance (textScore) boosted by log(popularity) so well-known titles win ties
+const RANK_STAGE = {
+  $addFields: {
+    searchScore: {
+      $multiply: [
+        { $meta: 'textScore' },
+        { $add: [1, { $log10: { $add: [1, { $max: [{ $ifNull: ['$popularity', 0] }, 0] }] } }] }
+      ]
+    }
+  }
+};
+
+// Add an extra condition (e.g. a keyset cursor) without touching $text
+function withCondition(filter, condition) {
+  if (!condition) return filter;
+  return { ...filter, $and: [...(filter.$and || []), condition] };
+}
+
+// Condition no movie meets
+const NO_MATCH = { _id: { $in: [] } };
+
+// Search movies matching `filter` (already-built listing conditions).
+// `sort` replaces relevance ranking when given; `after` narrows the page
+// (keyset cursor) without affecting totalCount.
+// Resolves to { items, totalCount, fuzzy, matchFilter } or null when no query
+// was given; matchFilter is the final query, for facet counts.
+async function searchMovies(rawQuery, { filter = {}, after = null, sort = null, skip = 0, limit = 10 } = {}) {
+  const text = parseSearchQuery(rawQuery);
+  if (!text) {
+    // a query with nothing searchable left ("!!", only -exclusions) finds
+    // nothing; it must not fall back to the unfiltered listing
+    const asked = typeof rawQuery === 'string' && rawQuery.trim() !== '';
+    return asked ? { items: [], totalCount: 0, fuzzy: false, matchFilter: withCondition(filter, NO_MATCH) } : null;
+  }
+
+  const textFilter = { ...filter, $text: { $search: text } };
+  const totalCount = await Movie.countDocuments(textFilter);
+
+  if (totalCount > 0) {
+    const items = await Movie.aggregate([
+      { $match: withCondition(textFilter, after) },
+      RANK_STAGE,
+      { $sort: sort || { searchScore: -1, id: 1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { searchScore: 0 } }
+    ]);
+    return { items, totalCount, fuzzy: false, matchFilter: textFilter };
+  }
+
+  // nothing matched word-for-word: retry on titles allowing small typos
+  const pattern = fuzzyTitlePattern(text);
+  if (!pattern) return { items: [], totalCount: 0, fuzzy: false, matchFilter: textFilter };
+
+  const fuzzyFilter = { ...filter, title: { $regex: pattern, $options: 'i' } };
+  const [items, fuzzyCount] = await Promise.all([
+    Movie.find(withCondition(fuzzyFilter, after))
+      .sort(sort || { popularity: -1, id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Movie.countDocuments(fuzzyFilter)
+  ]);
+  return { items, totalCount: fuzzyCount, fuzzy: true, matchFilter: fuzzyFilter };
+}
+
+// As-you-type suggestions: title prefix matches first, then word matches
+async function suggestMovies(rawQuery, limit = SUGGEST_LIMIT) {
+  const text = parseSearchQuery(rawQuery).replace(/"/g, '');
+  if (text.length < 2) return [];
+
+  const projection = { id: 1, title: 1, release_date: 1, poster_url: 1, popularity: 1 };
+  // a range over the case-insensitive title index: every title from `text`
+  // up to `text` + U+FFFF, which collates after any other character
+  const prefixMatches = await Movie.find(
+    { title: { $gte: text, $lt: `${text}\uffff` } },
+    projection
+  )
+    .collation(Movie.TITLE_COLLATION)
+    .sort({ popularity: -1 })
+    .limit(limit)
+    .lean();
+
+  let results = prefixMatches;
+  if (results.length < limit) {
+    const seen = results.map(m => m.id);
+    const wordMatches = await Movie.aggregate([
+      { $match: { $text: { $search: text }, id: { $nin: seen } } },
+      RANK_STAGE,
+      { $sort: { searchScore: -1 } },
+      { $limit: limit - results.length },
+      { $project: projection }
+    ]);
+    results = results.concat(wordMatches);
+  }
+
+  return results.map(m => ({
+    id: m.id,
+    title: m.title,
+    year: m.release_date ? new Date(m.release_date).getFullYear() : null,
+    poster_url: m.poster_url || ''
+  }));
+}
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  withCondition,
+  searchMovies,
+  suggestMovies
+};
@@ -0,0 +1,264 @@
+// helpers/session.js
+// Short-lived JWT access tokens plus rotating refresh tokens kept in an
+// httpOnly cookie and stored (hashed) in the Session collection. Server-rendered
+// pages recognise the same session through a second, signed page cookie.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const { ApiError } = require('./errors');
+
+const REFRESH_COOKIE = 'refresh_token';
+const PAGE_SESSION_COOKIE = 'session';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at once both present the same token. Only one can
+// rotate it; the other, arriving with the just-replaced token within this
+// window, still gets an access token (and no new refresh token: the winner's
+// cookie is the one the browser keeps). Later replays count as token theft.
+const REUSE_GRACE_MS = 30 * 1000;
+
+class SessionError extends ApiError {
+  constructor(message) {
+    super(401, 'SESSION_INVALID', message);
+    this.name = 'SessionError';
+  }
+}
+
+// "a=1; b=2" -> { a: '1', b: '2' }
+function parseCookies(req) {
+  const header = req.headers.cookie || '';
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return cookies;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (err) {
+      cookies[name] = value;
+    }
+    return cookies;
+  }, {});
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function setRefreshCookie(res, token, expires) {
+  res.cookie(REFRESH_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/auth',
+    expires
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/auth'
+  });
+}
+
+// Page cookies and CSRF tokens use their own keys so neither can pass as an access token
+function pageSessionSecret() {
+  return `${process.env.JWT_SECRET}:page-session`;
+}
+
+function csrfSecret() {
+  return `${process.env.JWT_SECRET}:csrf`;
+}
+
+// Cookie sent with page requests: names the session and its user, nothing else
+function setPageSessionCookie(res, user, session) {
+  const token = jwt.sign(
+    { id: String(user._id), sid: String(session._id) },
+    pageSessionSecret(),
+    { expiresIn: Math.max(1, Math.floor((session.expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+  // lax: following a link from another site keeps you logged in, while
+  // cross-site form posts arrive without the cookie
+  res.cookie(PAGE_SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    expires: session.expiresAt
+  });
+}
+
+function clearPageSessionCookie(res) {
+  res.clearCookie(PAGE_SESSION_COOKIE, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/'
+  });
+}
+
+// { id, sid } from a valid page cookie, else null (the session itself is not checked)
+function readPageSession(req) {
+  const token = parseCookies(req)[PAGE_SESSION_COOKIE];
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, pageSessionSecret());
+    return decoded.id && decoded.sid ? { id: decoded.id, sid: decoded.sid } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// CSRF token for forms rendered in one session (stable for the session's lifetime)
+function csrfTokenFor(sessionId) {
+  return crypto.createHmac('sha256', csrfSecret()).update(String(sessionId)).digest('base64url');
+}
+
+function isValidCsrfToken(sessionId, token) {
+  if (!sessionId || typeof token !== 'string' || !token) return false;
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip || ''
+  };
+}
+
+// New session for a user who just proved their credentials.
+// Resolves to { session, refreshToken, accessToken }.
+async function startSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return { session, refreshToken, accessToken: signAccessToken(user, session._id) };
+}
+
+// Swap a refresh token for a new one (and a new access token). `loadUser`
+// fetches the session's user. Resolves to { session, user, refreshToken,
+// accessToken }; refreshToken is null for the loser of a concurrent refresh
+// (see REUSE_GRACE_MS), which must leave the refresh cookie as it is.
+// Throws SessionError when the token is unknown, expired or revoked;
+// replaying an already-rotated token after the grace window revokes the session.
+async function rotateSession(refreshToken, req, loadUser) {
+  if (!refreshToken) throw new SessionError('No refresh token');
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  // conditional on the presented token still being the current one, so of
+  // several refreshes racing with it exactly one rotates
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: tokenHash,
+        tokenHash: hashToken(nextToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    const user = await loadUser(session.user);
+    if (!user) throw new SessionError('Invalid refresh token');
+    return { session, user, refreshToken: nextToken, accessToken: signAccessToken(user, session._id) };
+  }
+
+  if (await Session.exists({ tokenHash })) {
+    throw new SessionError('Session expired or revoked');
+  }
+
+  const rotated = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } });
+  if (rotated) {
+    if (now - rotated.rotatedAt.getTime() <= REUSE_GRACE_MS) {
+      const user = await loadUser(rotated.user);
+      if (!user) throw new SessionError('Invalid refresh token');
+      return { session: rotated, user, refreshToken: null, accessToken: signAccessToken(user, rotated._id) };
+    }
+    await revokeSession({ _id: rotated._id }, 'refresh token reused');
+  }
+  throw new SessionError('Invalid refresh token');
+}
+
+async function revokeSession(filter, reason) {
+  await Session.updateOne({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// Revoke the session behind a refresh token (logout on this device)
+async function revokeRefreshToken(refreshToken, reason = 'logout') {
+  if (!refreshToken) return;
+  await revokeSession({ tokenHash: hashToken(refreshToken) }, reason);
+}
+
+// Revoke every session of a user ("log out everywhere"); resolves to the count
+async function revokeAllSessions(userId, reason = 'logout everywhere') {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+// True when the access token's session is still live
+async function isSessionActive(sessionId, userId) {
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  PAGE_SESSION_COOKIE,
+  SessionError,
+  parseCookies,
+  setRefreshCookie,
+  clearRefreshCookie,
+  setPageSessionCookie,
+  clearPageSessionCookie,
+  readPageSession,
+  csrfTokenFor,
+  isValidCsrfToken,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  isSessionActive
+};
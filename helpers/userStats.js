@@ -0,0 +1,185 @@
+// helpers/userStats.js
+// Personal viewing stats for /api/me/stats and the "year in review" pages.
+// A movie counts as watched when it is marked watched on the watchlist or the
+// user reviewed it; it is dated by watchedAt, else by the review date.
+const Movie = require('../models/movie');
+const WatchlistItem = require('../models/watchlistItem');
+const Review = require('../models/review');
+
+const TOP_N = 5;
+
+function round(value, digits = 1) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Count items by key(s) and keep the top N as { value, label, count, share }
+function topCounts(watched, keysOf, limit = TOP_N) {
+  const counts = new Map();
+  watched.forEach(entry => {
+    keysOf(entry).forEach(({ value, label }) => {
+      const current = counts.get(value) || { value, label, count: 0 };
+      current.count += 1;
+      counts.set(value, current);
+    });
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)))
+    .slice(0, limit)
+    .map(c => ({ ...c, share: round(c.count / watched.length, 3) }));
+}
+
+// Every watched movie with its date and the user's rating (if reviewed)
+async function loadWatched(userId) {
+  const [items, reviews] = await Promise.all([
+    WatchlistItem.find({ user: userId, status: 'watched' }, { movieId: 1, watchedAt: 1, updatedAt: 1 }).lean(),
+    Review.find({ user: userId }, { movieId: 1, rating: 1, createdAt: 1 }).lean()
+  ]);
+
+  const byMovie = new Map();
+  items.forEach(item => {
+    byMovie.set(item.movieId, { movieId: item.movieId, date: item.watchedAt || item.updatedAt, rating: null });
+  });
+  reviews.forEach(review => {
+    const entry = byMovie.get(review.movieId) || { movieId: review.movieId, date: review.createdAt };
+    entry.rating = review.rating;
+    byMovie.set(review.movieId, entry);
+  });
+
+  const movies = await Movie.find(
+    { id: { $in: [...byMovie.keys()] } },
+    {
+      id: 1,
+      title: 1,
+      poster_url: 1,
+      runtime: 1,
+      release_date: 1,
+      genres: 1,
+      original_language: 1,
+      production_countries: 1,
+      vote_average: 1
+    }
+  ).lean();
+  const movieById = new Map(movies.map(m => [m.id, m]));
+
+  // movies deleted from the catalog drop out of the stats
+  return [...byMovie.values()]
+    .filter(entry => movieById.has(entry.movieId))
+    .map(entry => ({ ...entry, date: entry.date ? new Date(entry.date) : null, movie: movieById.get(entry.movieId) }));
+}
+
+function ratingStats(watched) {
+  const rated = watched.filter(w => typeof w.rating === 'number');
+  const histogram = Array.from({ length: 10 }, (_, i) => ({ rating: i + 1, mine: 0, tmdb: 0 }));
+
+  rated.forEach(w => {
+    histogram[Math.min(10, Math.max(1, Math.round(w.rating))) - 1].mine += 1;
+    if (typeof w.movie.vote_average === 'number' && w.movie.vote_average > 0) {
+      histogram[Math.min(10, Math.max(1, Math.round(w.movie.vote_average))) - 1].tmdb += 1;
+    }
+  });
+
+  const compared = rated.filter(w => typeof w.movie.vote_average === 'number' && w.movie.vote_average > 0);
+  const disagreements = compared
+    .map(w => ({
+      id: w.movie.id,
+      title: w.movie.title,
+      mine: w.rating,
+      tmdb: w.movie.vote_average,
+      difference: round(w.rating - w.movie.vote_average)
+    }))
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+    .slice(0, 3);
+
+  return {
+    rated: rated.length,
+    averageMine: round(average(rated.map(w => w.rating))),
+    averageTmdb: round(average(compared.map(w => w.movie.vote_average))),
+    averageDifference: round(average(compared.map(w => w.rating - w.movie.vote_average))),
+    histogram,
+    biggestDisagreements: disagreements
+  };
+}
+
+function movieSummary(entry) {
+  return {
+    id: entry.movie.id,
+    title: entry.movie.title,
+    poster_url: entry.movie.poster_url || '',
+    rating: entry.rating,
+    date: entry.date
+  };
+}
+
+// Extra highlights that only make sense within one year
+function yearHighlights(watched) {
+  const dated = watched.filter(w => w.date).sort((a, b) => a.date - b.date);
+  const months = Array(12).fill(0);
+  dated.forEach(w => { months[w.date.getUTCMonth()] += 1; });
+  const busiest = months.indexOf(Math.max(...months));
+
+  const topRated = watched
+    .filter(w => typeof w.rating === 'number')
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, 3)
+    .map(movieSummary);
+
+  const longest = watched
+    .filter(w => w.movie.runtime)
+    .sort((a, b) => b.movie.runtime - a.movie.runtime)[0];
+
+  return {
+    firstWatch: dated.length ? movieSummary(dated[0]) : null,
+    lastWatch: dated.length ? movieSummary(dated[dated.length - 1]) : null,
+    moviesPerMonth: months,
+    busiestMonth: dated.length ? busiest + 1 : null,
+    topRated,
+    longest: longest ? { ...movieSummary(longest), runtime: longest.movie.runtime } : null
+  };
+}
+
+// Stats for one user, optionally limited to movies watched in `year`
+async function getUserStats(userId, { year = null } = {}) {
+  const allWatched = await loadWatched(userId);
+  const years = [...new Set(allWatched.filter(w => w.date).map(w => w.date.getUTCFullYear()))]
+    .sort((a, b) => b - a);
+
+  const watched = year
+    ? allWatched.filter(w => w.date && w.date.getUTCFullYear() === year)
+    : allWatched;
+
+  const minutes = watched.reduce((sum, w) => sum + (w.movie.runtime || 0), 0);
+
+  const stats = {
+    year,
+    availableYears: years,
+    totals: {
+      moviesWatched: watched.length,
+      minutesWatched: minutes,
+      hoursWatched: round(minutes / 60),
+      reviewsWritten: watched.filter(w => typeof w.rating === 'number').length
+    },
+    favoriteGenres: topCounts(watched, w => (w.movie.genres || []).map(g => ({ value: g.id, label: g.name }))),
+    favoriteDecades: topCounts(watched, w => {
+      if (!w.movie.release_date) return [];
+      const decade = Math.floor(new Date(w.movie.release_date).getUTCFullYear() / 10) * 10;
+      return [{ value: decade, label: `${decade}s` }];
+    }),
+    ratings: ratingStats(watched),
+    languages: topCounts(watched, w => (w.movie.original_language
+      ? [{ value: w.movie.original_language, label: w.movie.original_language }]
+      : [])),
+    countries: topCounts(watched, w => (w.movie.production_countries || [])
+      .map(c => ({ value: c.iso_3166_1, label: c.name })))
+  };
+
+  if (year) stats.highlights = yearHighlights(watched);
+  return stats;
+}
+
+module.exports = { getUserStats };
@@ -0,0 +1,153 @@
+// helpers/validation.js
+// Tiny request-schema rules for middleware/validate.js. A rule is a function
+// raw value -> clean value that throws FieldError with a short message
+// ("must be at most 10"); the message is reported under the field's name.
+//
+//   const { int, string, oneOf } = require('./helpers/validation');
+//   validate({
+//     params: { id: int({ min: 1, required: true }) },
+//     query: { page: int({ min: 1, default: 1 }) },
+//     body: { status: oneOf(['planned', 'watched']) }
+//   })
+//
+// Every rule also carries `rule.schema` (a JSON Schema fragment) and
+// `rule.required`, which helpers/openapi.js turns into the API docs.
+class FieldError extends Error {}
+
+// { type: 'integer', minimum: undefined } -> { type: 'integer' }
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// Shared handling of absent values: undefined (and '' for non-string rules,
+// as sent by empty query params and form fields) is "missing"
+function rule(parse, options = {}, schema = {}) {
+  const { required = false, nullable = false, allowEmpty = false } = options;
+  const check = (raw) => {
+    if (raw === undefined || (raw === '' && !allowEmpty)) {
+      if (required) throw new FieldError('is required');
+      return typeof options.default === 'function' ? options.default() : options.default;
+    }
+    if (raw === null) {
+      if (nullable) return null;
+      throw new FieldError(required ? 'is required' : 'must not be null');
+    }
+    return parse(raw);
+  };
+  check.schema = compact({
+    ...schema,
+    default: typeof options.default === 'function' ? undefined : options.default,
+    nullable: nullable || undefined
+  });
+  check.required = required;
+  return check;
+}
+
+function checkRange(value, { min, max }) {
+  if (min !== undefined && value < min) throw new FieldError(`must be at least ${min}`);
+  if (max !== undefined && value > max) throw new FieldError(`must be at most ${max}`);
+  return value;
+}
+
+function int(options = {}) {
+  return rule(raw => {
+    const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+    if (!Number.isSafeInteger(value)) throw new FieldError('must be an integer');
+    return checkRange(value, options);
+  }, options, { type: 'integer', minimum: options.min, maximum: options.max });
+}
+
+function number(options = {}) {
+  return rule(raw => {
+    const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() ? Number(raw) : NaN);
+    if (!Number.isFinite(value)) throw new FieldError('must be a number');
+    return checkRange(value, options);
+  }, options, { type: 'number', minimum: options.min, maximum: options.max });
+}
+
+function string(options = {}) {
+  const { minLength, maxLength, pattern, patternMessage, trim = true, lowercase = false } = options;
+  return rule(raw => {
+    if (typeof raw !== 'string') throw new FieldError('must be a string');
+    let value = trim ? raw.trim() : raw;
+    if (lowercase) value = value.toLowerCase();
+    if (options.required && !value) throw new FieldError('is required');
+    if (minLength !== undefined && value && value.length < minLength) {
+      throw new FieldError(`must be at least ${minLength} characters`);
+    }
+    if (maxLength !== undefined && value.length > maxLength) {
+      throw new FieldError(`must be at most ${maxLength} characters`);
+    }
+    if (pattern && value && !pattern.test(value)) throw new FieldError(patternMessage || 'is not valid');
+    return value;
+  }, { ...options, allowEmpty: true }, {
+    type: 'string',
+    minLength: minLength || (options.required ? 1 : undefined),
+    maxLength,
+    pattern: pattern ? pattern.source : undefined
+  });
+}
+
+function boolean(options = {}) {
+  return rule(raw => {
+    if (raw === true || raw === 'true' || raw === '1' || raw === 1) return true;
+    if (raw === false || raw === 'false' || raw === '0' || raw === 0) return false;
+    throw new FieldError('must be true or false');
+  }, options, { type: 'boolean' });
+}
+
+function oneOf(values, options = {}) {
+  return rule(raw => {
+    if (!values.includes(raw)) throw new FieldError(`must be one of: ${values.join(', ')}`);
+    return raw;
+  }, options, { type: typeof values[0] === 'number' ? 'number' : 'string', enum: values });
+}
+
+function objectId(options = {}) {
+  return rule(raw => {
+    if (typeof raw !== 'string' || !/^[a-f\d]{24}$/i.test(raw)) throw new FieldError('must be a valid id');
+    return raw;
+  }, options, { type: 'string', pattern: '^[a-f\\d]{24}$' });
+}
+
+function date(options = {}) {
+  return rule(raw => {
+    const value = new Date(raw);
+    if (typeof raw === 'boolean' || Number.isNaN(value.getTime())) throw new FieldError('must be a valid date');
+    return value;
+  }, options, { type: 'string', format: 'date-time' });
+}
+
+// Array of `item` values; query strings may also send "a,b,c"
+function arrayOf(item, options = {}) {
+  const { maxItems } = options;
+  return rule(raw => {
+    const values = Array.isArray(raw)
+      ? raw
+      : (typeof raw === 'string' ? raw.split(',').map(v => v.trim()).filter(Boolean) : null);
+    if (!values) throw new FieldError('must be a list');
+    if (maxItems !== undefined && values.length > maxItems) {
+      throw new FieldError(`must have at most ${maxItems} items`);
+    }
+    return values.map((value, i) => {
+      try {
+        return item(value);
+      } catch (err) {
+        if (err instanceof FieldError) throw new FieldError(`item ${i + 1} ${err.message}`);
+        throw err;
+      }
+    });
+  }, options, { type: 'array', items: item.schema, maxItems });
+}
+
+module.exports = {
+  FieldError,
+  int,
+  number,
+  string,
+  boolean,
+  oneOf,
+  objectId,
+  date,
+  arrayOf
+};
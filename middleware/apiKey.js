@@ -0,0 +1,48 @@
+// middleware: optional API key for partner apps, sent as "X-API-Key: mx_...".
+// Without the header the request is anonymous and counts against the much
+// lower per-IP "api-anonymous" rate limit (middleware/rateLimit.js); with it
+// the key must be valid and unrevoked, and the request counts against the
+// key's daily quota. Keyed responses carry X-Quota-Limit / -Remaining /
+// -Reset headers; an exhausted quota answers 429 with Retry-After.
+const { findActiveApiKey, recordApiKeyUsage } = require('../helpers/apiKeys');
+const { ApiError, unauthorized } = require('../helpers/errors');
+const rateLimit = require('./rateLimit');
+
+const API_KEY_HEADER = 'x-api-key';
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function apiKey() {
+  const anonymousLimit = rateLimit('api-anonymous');
+
+  const middleware = async (req, res, next) => {
+    const key = req.headers[API_KEY_HEADER];
+    if (key === undefined) return anonymousLimit(req, res, next);
+
+    const found = await findActiveApiKey(String(key).trim());
+    if (!found) {
+      return next(unauthorized('API key is not valid or has been revoked', 'API_KEY_INVALID'));
+    }
+
+    const usage = await recordApiKeyUsage(found);
+    res.set('X-Quota-Limit', String(usage.limit));
+    res.set('X-Quota-Remaining', String(Math.max(0, usage.limit - usage.count)));
+    res.set('X-Quota-Reset', String(secondsUntil(usage.resetAt)));
+
+    if (!usage.allowed) {
+      res.set('Retry-After', String(secondsUntil(usage.resetAt)));
+      return next(new ApiError(429, 'QUOTA_EXCEEDED', 'Daily quota for this API key is used up'));
+    }
+
+    req.apiKey = { id: String(found._id), name: found.name };
+    next();
+  };
+  // read by helpers/openapi.js: the route also accepts the apiKeyAuth scheme,
+  // and anonymous calls are rate limited
+  middleware.apiDocs = { apiKey: true, rateLimit: anonymousLimit.apiDocs.rateLimit };
+  return middleware;
+}
+
+module.exports = apiKey;
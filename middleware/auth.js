@@ -1,26 +1,45 @@
 // middleware
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../helpers/session');
+const { unauthorized, forbidden } = require('../helpers/errors');
 
 function auth(requiredRole = null) {
-  return (req, res, next) => {
+  const middleware = async (req, res, next) => {
     const header = req.headers.authorization || '';
     const token = header.startsWith('Bearer ') ? header.slice(7) : null;
 
     if (!token) {
-      return res.status(401).json({ error: 'No token, authorization denied' });
+      return next(unauthorized('No token, authorization denied'));
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded; 
-      if (requiredRole && decoded.role !== requiredRole) {
-        return res.status(403).json({ error: 'Forbidden' });
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return next(unauthorized('Token is not valid', 'TOKEN_INVALID'));
+    }
+
+    // every access token belongs to a session; logging out revokes it
+    try {
+      if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+        return next(unauthorized('Session has been revoked', 'SESSION_REVOKED'));
       }
-      next();
     } catch (err) {
-      return res.status(401).json({ error: 'Token is not valid' });
+      if (err.name === 'CastError') {
+        return next(unauthorized('Token is not valid', 'TOKEN_INVALID'));
+      }
+      return next(err);
+    }
+
+    req.user = decoded;
+    if (requiredRole && decoded.role !== requiredRole) {
+      return next(forbidden());
     }
+    next();
   };
+  // read by helpers/openapi.js: the route needs a bearer token (and maybe a role)
+  middleware.apiDocs = { auth: requiredRole || 'user' };
+  return middleware;
 }
 
 module.exports = auth;
@@ -0,0 +1,16 @@
+// middleware: run after currentUser() on cookie-authenticated form posts.
+// The token comes from the hidden _csrf field (or an X-CSRF-Token header for
+// fetch calls) and must match the one rendered for this session.
+const { isValidCsrfToken } = require('../helpers/session');
+const { forbidden } = require('../helpers/errors');
+
+function csrfProtection() {
+  return (req, res, next) => {
+    const token = (req.body && req.body._csrf) || req.get('x-csrf-token');
+    if (isValidCsrfToken(req.pageSessionId, token)) return next();
+
+    next(forbidden('This form has expired. Go back, reload the page and try again.', 'CSRF_INVALID'));
+  };
+}
+
+module.exports = csrfProtection;
@@ -0,0 +1,43 @@
+// middleware: recognise the logged-in user on server-rendered pages through
+// the page session cookie. Never rejects a request; anonymous visitors just
+// get no req.currentUser. /api/* keeps using Bearer tokens (see auth.js).
+const User = require('../models/user');
+const { readPageSession, isSessionActive, csrfTokenFor } = require('../helpers/session');
+
+function currentUser() {
+  return async (req, res, next) => {
+    res.locals.currentUser = null;
+    if (req.path.startsWith('/api/')) return next();
+
+    const cookie = readPageSession(req);
+    if (!cookie) return next();
+
+    try {
+      if (!(await isSessionActive(cookie.sid, cookie.id))) return next();
+
+      const user = await User.findById(cookie.id, {
+        email: 1,
+        role: 1,
+        displayName: 1,
+        emailVerified: 1
+      }).lean();
+      if (!user) return next();
+
+      req.currentUser = user;
+      req.pageSessionId = cookie.sid;
+      res.locals.currentUser = {
+        id: String(user._id),
+        email: user.email,
+        displayName: User.publicName(user),
+        isAdmin: user.role === 'admin',
+        emailVerified: Boolean(user.emailVerified)
+      };
+      res.locals.csrfToken = csrfTokenFor(cookie.sid);
+    } catch (err) {
+      if (err.name !== 'CastError') console.error('Error loading current user:', err);
+    }
+    next();
+  };
+}
+
+module.exports = currentUser;
@@ -0,0 +1,98 @@
+// middleware: the one place errors are turned into responses. Routes just
+// throw (Express 5 forwards rejected promises here). API calls get
+//   { error, code, fields? }
+// and browser page loads get the error page. Unexpected errors are logged and
+// answered with a bare 500; the underlying message is only included outside
+// production.
+const { ApiError } = require('../helpers/errors');
+
+const PAGE_TITLES = {
+  400: 'Bad request',
+  401: 'Login required',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  413: 'Too large',
+  429: 'Too many requests',
+  500: 'Server error'
+};
+
+// Mongoose validator kind -> short field message
+function mongooseFieldMessage(error) {
+  const props = error.properties || {};
+  switch (error.kind) {
+    case 'required': return 'is required';
+    case 'min': return `must be at least ${props.min}`;
+    case 'max': return `must be at most ${props.max}`;
+    case 'minlength': return `must be at least ${props.minlength} characters`;
+    case 'maxlength': return `must be at most ${props.maxlength} characters`;
+    case 'enum': return `must be one of: ${(props.enumValues || []).join(', ')}`;
+    default:
+      return error.name === 'CastError' ? 'has an invalid value' : 'is not valid';
+  }
+}
+
+// Any thrown value -> ApiError (or null for an unexpected error)
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+
+  if (err && err.name === 'ValidationError' && err.errors) {
+    const fields = {};
+    Object.entries(err.errors).forEach(([path, error]) => {
+      fields[path] = mongooseFieldMessage(error);
+    });
+    return new ApiError(400, 'VALIDATION_ERROR', 'Invalid data', fields);
+  }
+  if (err && err.name === 'CastError') {
+    return new ApiError(400, 'VALIDATION_ERROR', 'Invalid data', { [err.path]: 'has an invalid value' });
+  }
+  if (err && err.code === 11000) {
+    return new ApiError(409, 'CONFLICT', 'This record already exists');
+  }
+  // body-parser: malformed JSON, payload too large...
+  if (err && err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err && err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, 'BAD_REQUEST', err.message);
+  }
+  return null;
+}
+
+// API clients, fetch calls and JSON posts get JSON; browser navigation gets a page
+function wantsPage(req) {
+  if (req.path.startsWith('/api/')) return false;
+  return req.accepts(['json', 'html']) === 'html';
+}
+
+function errorHandler() {
+  // Express recognises an error handler by its four arguments
+  return (err, req, res, next) => {
+    const apiError = toApiError(err);
+    if (!apiError) {
+      console.error(`Error in ${req.method} ${req.path}:`, err);
+    }
+
+    const status = apiError ? apiError.status : 500;
+    const body = apiError
+      ? { error: apiError.message, code: apiError.code }
+      : { error: 'Server error', code: 'INTERNAL_ERROR' };
+    if (apiError && apiError.fields) body.fields = apiError.fields;
+    if (!apiError && process.env.NODE_ENV !== 'production') body.debug = err && err.message;
+
+    if (res.headersSent) return next(err);
+
+    res.status(status);
+    if (!wantsPage(req)) return res.json(body);
+
+    const details = body.fields
+      ? Object.entries(body.fields).map(([field, message]) => `${field} ${message}`).join('; ')
+      : '';
+    res.render('error', {
+      title: PAGE_TITLES[status] || 'Error',
+      message: details ? `${body.error}: ${details}` : body.error
+    });
+  };
+}
+
+module.exports = errorHandler;
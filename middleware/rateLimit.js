@@ -0,0 +1,131 @@
+// middleware: fixed-window rate limiting per route group, counted per client
+// IP and (once logged in) per account. Every limited response carries
+// RateLimit-Limit / -Remaining / -Reset headers; a 429 adds Retry-After.
+//
+// Limits are "<max>/<window>" with a window in s, m or h, and can be changed
+// per group and scope through the environment, e.g.
+//   RATE_LIMIT_LOGIN_IP=20/15m
+//   RATE_LIMIT_REVIEW_WRITE_ACCOUNT=20/10m
+//   RATE_LIMIT_WATCHLIST_WRITE_IP=off
+const { getRateLimitStore } = require('../helpers/rateLimitStore');
+const { ApiError, serviceUnavailable } = require('../helpers/errors');
+
+const RATE_LIMITS = {
+  login: { ip: '20/15m' },
+  register: { ip: '5/1h' },
+  // forgot password, reset password and verification resends (all send or use mail)
+  'account-email': { ip: '5/15m' },
+  'review-write': { ip: '60/10m', account: '20/10m' },
+  'watchlist-write': { ip: '300/10m', account: '120/10m' },
+  'follow-write': { ip: '120/10m', account: '60/10m' },
+  // import previews and commits (each reads a whole file)
+  'data-import': { ip: '60/1h', account: '30/1h' },
+  // the partner movie API called without an X-API-Key (middleware/apiKey.js)
+  'api-anonymous': { ip: '100/1h' }
+};
+
+// Groups that guard credentials: when the store is down these answer 503
+// instead of letting unlimited guesses through. Every other group fails open.
+const FAIL_CLOSED_GROUPS = new Set(['login', 'account-email']);
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "20/15m" -> { max: 20, windowMs: 900000 }; "off" (or garbage) -> null
+function parseLimit(value) {
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) < 1) return null;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * WINDOW_UNITS[match[3]] };
+}
+
+function envName(group, scope) {
+  return `RATE_LIMIT_${group.replace(/-/g, '_').toUpperCase()}_${scope.toUpperCase()}`;
+}
+
+// [{ scope, max, windowMs }] for a group, environment overrides applied
+function resolveLimits(group) {
+  const defaults = RATE_LIMITS[group];
+  if (!defaults) throw new Error(`Unknown rate limit group: ${group}`);
+
+  return Object.entries(defaults)
+    .map(([scope, value]) => {
+      const override = process.env[envName(group, scope)];
+      const limit = parseLimit(override !== undefined ? override : value);
+      return limit ? { scope, ...limit } : null;
+    })
+    .filter(Boolean);
+}
+
+// Bearer user on /api/*, page session user on form routes
+function accountId(req) {
+  if (req.user && req.user.id) return String(req.user.id);
+  if (req.currentUser) return String(req.currentUser._id);
+  return null;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function setRateLimitHeaders(res, state) {
+  res.set('RateLimit-Limit', String(state.limit));
+  res.set('RateLimit-Remaining', String(state.remaining));
+  res.set('RateLimit-Reset', String(secondsUntil(state.resetAt)));
+}
+
+// Sets Retry-After and returns the 429 error to throw / pass to next()
+function tooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return new ApiError(429, 'RATE_LIMITED', message);
+}
+
+function rateLimit(group) {
+  const limits = resolveLimits(group);
+
+  const middleware = async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      let tightest = null;
+
+      for (const limit of limits) {
+        const id = limit.scope === 'account' ? accountId(req) : req.ip;
+        if (!id) continue;
+
+        const hit = await store.increment(`${group}:${limit.scope}:${id}`, limit.windowMs);
+        const state = {
+          limit: limit.max,
+          remaining: Math.max(0, limit.max - hit.count),
+          resetAt: hit.resetAt,
+          exceeded: hit.count > limit.max
+        };
+        // report the limit closest to running out (an exceeded one always wins)
+        if (!tightest
+          || (state.exceeded && !tightest.exceeded)
+          || (state.exceeded === tightest.exceeded && state.remaining < tightest.remaining)) {
+          tightest = state;
+        }
+      }
+
+      if (!tightest) return next();
+      setRateLimitHeaders(res, tightest);
+
+      if (tightest.exceeded) {
+        return next(tooManyRequests(res, secondsUntil(tightest.resetAt), 'Too many requests, please try again later'));
+      }
+      next();
+    } catch (err) {
+      console.error('Rate limit store error:', err);
+      if (FAIL_CLOSED_GROUPS.has(group)) {
+        return next(serviceUnavailable('Temporarily unavailable, please try again shortly', 'RATE_LIMIT_UNAVAILABLE'));
+      }
+      // a broken store must not take the rest of the site down with it
+      next();
+    }
+  };
+  // read by helpers/openapi.js: "60 per 10m per ip" etc. in the route docs
+  middleware.apiDocs = { rateLimit: limits };
+  return middleware;
+}
+
+module.exports = rateLimit;
+module.exports.RATE_LIMITS = RATE_LIMITS;
+module.exports.tooManyRequests = tooManyRequests;
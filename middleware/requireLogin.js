@@ -0,0 +1,22 @@
+// middleware: run after currentUser() — pages that need a logged-in user send
+// everyone else to the login form and back again afterwards. With a role
+// (requireLogin('admin')) other logged-in users get a 403.
+const { unauthorized, forbidden } = require('../helpers/errors');
+
+function requireLogin(requiredRole = null) {
+  return (req, res, next) => {
+    if (!req.currentUser) {
+      if (req.method === 'GET') {
+        return res.redirect(`/auth/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return next(unauthorized('Your session has ended. Please log in again.'));
+    }
+
+    if (requiredRole && req.currentUser.role !== requiredRole) {
+      return next(forbidden());
+    }
+    next();
+  };
+}
+
+module.exports = requireLogin;
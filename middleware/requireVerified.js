@@ -0,0 +1,20 @@
+// middleware: run after auth() — only accounts with a confirmed email pass
+const User = require('../models/user');
+const { unauthorized, forbidden } = require('../helpers/errors');
+
+function requireVerified() {
+  const middleware = async (req, res, next) => {
+    const user = await User.findById(req.user.id, { emailVerified: 1 }).lean();
+    if (!user) {
+      return next(unauthorized('User not found'));
+    }
+    if (!user.emailVerified) {
+      return next(forbidden('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
+    }
+    next();
+  };
+  middleware.apiDocs = { verifiedEmail: true };
+  return middleware;
+}
+
+module.exports = requireVerified;
@@ -0,0 +1,43 @@
+// middleware: check req.params / req.query / req.body against a schema of
+// rules (helpers/validation.js). Clean values land in req.validated.<part>;
+// undeclared fields are dropped. Any failure becomes one 400 listing every
+// bad field, e.g. { error: 'Invalid data', code: 'VALIDATION_ERROR',
+// fields: { rating: 'must be at most 10' } }.
+const { FieldError } = require('../helpers/validation');
+const { badRequest } = require('../helpers/errors');
+
+const PARTS = ['params', 'query', 'body'];
+
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const fields = {};
+    const validated = {};
+
+    PARTS.forEach(part => {
+      if (!schema[part]) return;
+      const source = req[part] || {};
+      validated[part] = {};
+
+      Object.entries(schema[part]).forEach(([name, check]) => {
+        try {
+          const value = check(source[name]);
+          if (value !== undefined) validated[part][name] = value;
+        } catch (err) {
+          if (!(err instanceof FieldError)) throw err;
+          fields[name] = err.message;
+        }
+      });
+    });
+
+    if (Object.keys(fields).length) {
+      return next(badRequest('Invalid data', fields));
+    }
+    req.validated = { ...req.validated, ...validated };
+    next();
+  };
+  // read by helpers/openapi.js to document the route's parameters
+  middleware.apiDocs = { schema };
+  return middleware;
+}
+
+module.exports = validate;
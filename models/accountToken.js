@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const TOKEN_PURPOSES = ['password-reset', 'email-verify'];
+
+// Server-side record of an emailed account token. The token itself is a
+// signed JWT; this document makes it single-use (usedAt) and revocable.
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: TOKEN_PURPOSES, required: true },
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+accountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+
+// Mongo deletes tokens a day after they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
+module.exports.TOKEN_PURPOSES = TOKEN_PURPOSES;
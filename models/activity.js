@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// watchlist_add:    a movie was added to the watchlist (with its status)
+// watchlist_status: a watchlist entry changed status
+// review_create / review_update: a review was written or changed
+const ACTIVITY_TYPES = ['watchlist_add', 'watchlist_status', 'review_create', 'review_update'];
+
+// Each type belongs to one of the privacy settings on User.activityPrivacy
+const ACTIVITY_CATEGORIES = {
+  watchlist_add: 'watchlist',
+  watchlist_status: 'watchlist',
+  review_create: 'reviews',
+  review_update: 'reviews'
+};
+
+const activitySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ACTIVITY_TYPES, required: true },
+  category: { type: String, enum: ['watchlist', 'reviews'], required: true },
+  movieId: { type: Number, required: true },          // TMDB id
+  status: { type: String, default: null },            // watchlist events
+  review: { type: mongoose.Schema.Types.ObjectId, ref: 'Review', default: null },
+  rating: { type: Number, default: null },            // review events, as rated then
+  excerpt: { type: String, default: '' },             // start of the review text
+  hidden: { type: Boolean, default: false }           // its review is flagged or hidden by moderation
+}, { timestamps: true });
+
+activitySchema.pre('validate', function () {
+  if (!this.category) this.category = ACTIVITY_CATEGORIES[this.type];
+});
+
+// Feeds read many users' events newest first; review deletes remove theirs
+activitySchema.index({ user: 1, createdAt: -1 });
+activitySchema.index({ review: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Activity', activitySchema);
+module.exports.ACTIVITY_TYPES = ACTIVITY_TYPES;
+module.exports.ACTIVITY_CATEGORIES = ACTIVITY_CATEGORIES;
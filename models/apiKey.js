@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A key issued by an admin to a partner app for the read-only movie API.
+// Only the SHA-256 hash of the key is stored; `prefix` (the first characters)
+// is kept so admins can tell keys apart.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  dailyQuota: { type: Number, required: true, min: 1 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  lastUsedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
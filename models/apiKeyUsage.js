@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Requests made with one API key on one UTC day. `count` is what the quota
+// is checked against; `rejected` counts requests refused once it was used up.
+const apiKeyUsageSchema = new mongoose.Schema({
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', required: true },
+  day: { type: String, required: true },   // "2024-05-31" (UTC)
+  count: { type: Number, default: 0, min: 0 },
+  rejected: { type: Number, default: 0, min: 0 }
+});
+
+apiKeyUsageSchema.index({ apiKey: 1, day: 1 }, { unique: true });
+apiKeyUsageSchema.index({ day: 1 });
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// `follower` sees `following`'s activity in their feed
+const followSchema = new mongoose.Schema({
+  follower: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  following: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// One follow per pair; the others list someone's followers and, newest
+// first, who someone follows (the feed reads the most recent follows)
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
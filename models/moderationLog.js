@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = ['approve', 'hide', 'delete'];
+
+// Audit trail of admin decisions on reviews. Keeps a snapshot of the review
+// so deleted reviews can still be traced.
+const moderationLogSchema = new mongoose.Schema({
+  review: { type: mongoose.Schema.Types.ObjectId, required: true },
+  movieId: { type: Number, required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: MODERATION_ACTIONS, required: true },
+  reason: { type: String, required: true, trim: true, maxlength: 500 },
+  previousStatus: { type: String, default: null },
+  snapshot: {
+    rating: Number,
+    comment: String
+  }
+}, { timestamps: true });
+
+moderationLogSchema.index({ review: 1, createdAt: -1 });
+moderationLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
+module.exports.MODERATION_ACTIONS = MODERATION_ACTIONS;
@@ -1,45 +1,53 @@
 const mongoose = require('mongoose');
+const { movieCache, evictMovie } = require('../helpers/responseCache');
 
 // Nested schema for genres
 const genreSchema = new mongoose.Schema({
-  id: Number,
-  name: String
+  id: { type: Number, required: true },
+  name: { type: String, required: true, trim: true }
 }, { _id: false });
 
 // Nested schema for production companies
 const productionCompanySchema = new mongoose.Schema({
-  id: Number,
-  name: String
+  id: { type: Number, required: true },
+  name: { type: String, required: true, trim: true }
 }, { _id: false });
 
 // Nested schema for production countries
 const productionCountrySchema = new mongoose.Schema({
-  iso_3166_1: String,
-  name: String
+  iso_3166_1: { type: String, required: true, uppercase: true, match: /^[A-Z]{2}$/ },
+  name: { type: String, required: true, trim: true }
 }, { _id: false });
 
 // Nested schema for spoken languages
 const spokenLanguageSchema = new mongoose.Schema({
-  iso_639_1: String,
+  iso_639_1: { type: String, required: true, lowercase: true, match: /^[a-z]{2}$/ },
   name: String
 }, { _id: false });
 
 // Nested schema for collection
 const collectionSchema = new mongoose.Schema({
-  id: Number,
-  name: String,
+  id: { type: Number, required: true },
+  name: { type: String, required: true, trim: true },
   poster_path: String,
   backdrop_path: String
 }, { _id: false });
 
+// Nested schema for community ratings (maintained by Review.refreshMovieRating)
+const communityRatingSchema = new mongoose.Schema({
+  average: { type: Number, default: null },
+  count: { type: Number, default: 0 },
+  histogram: { type: [Number], default: () => Array(10).fill(0) }  // index 0 = rating 1
+}, { _id: false });
+
 // Main Movie Schema
 const movieSchema = new mongoose.Schema({
   adult: { type: Boolean, required: true },
   belongs_to_collection: { type: collectionSchema, default: null },
-  budget: { type: Number, required: true },
+  budget: { type: Number, required: true, min: 0 },
   genres: { type: [genreSchema], default: [] },
-  id: { type: Number, required: true, unique: true },
-  imdb_id: { type: String, unique: true },
+  id: { type: Number, required: true, unique: true, immutable: true },
+  imdb_id: { type: String, unique: true, sparse: true },
   original_language: { type: String },
   original_title: { type: String },
   overview: { type: String },
@@ -50,15 +58,66 @@ const movieSchema = new mongoose.Schema({
   production_companies: { type: [productionCompanySchema], default: [] },
   production_countries: { type: [productionCountrySchema], default: [] },
   release_date: { type: Date },
-  revenue: { type: Number },
-  runtime: { type: Number },
+  revenue: { type: Number, min: 0 },
+  runtime: { type: Number, min: 0 },
   spoken_languages: { type: [spokenLanguageSchema], default: [] },
   status: { type: String },
   tagline: { type: String },
   title: { type: String },
   video: { type: Boolean, default: false },
-  vote_average: { type: Number },
-  vote_count: { type: Number }
+  vote_average: { type: Number, min: 0, max: 10 },
+  vote_count: { type: Number, min: 0 },
+  community_rating: { type: communityRatingSchema, default: () => ({}) }
 }, { timestamps: true });
 
+// Weighted full-text index used by helpers/search.js (one text index per collection)
+movieSchema.index({
+  title: 'text',
+  original_title: 'text',
+  tagline: 'text',
+  overview: 'text',
+  'production_companies.name': 'text'
+}, {
+  name: 'movie_text_search',
+  weights: {
+    title: 10,
+    original_title: 6,
+    tagline: 3,
+    'production_companies.name': 2,
+    overview: 1
+  },
+  default_language: 'english',
+  // TMDB docs have no `language` field, but don't let one ever change stemming
+  language_override: 'search_language'
+});
+
+// Listing sorts (helpers/movieSort.js): one index per sortable field with the
+// `id` tie-breaker, usable in both directions.
+movieSchema.index({ popularity: 1, id: 1 });
+movieSchema.index({ vote_average: 1, id: 1 });
+movieSchema.index({ vote_count: 1, id: 1 });
+movieSchema.index({ release_date: 1, id: 1 });
+movieSchema.index({ revenue: 1, id: 1 });
+movieSchema.index({ runtime: 1, id: 1 });
+movieSchema.index({ title: 1, id: 1 });
+
+// Case-insensitive title order for suggestion prefixes (helpers/search.js);
+// a query only uses it when it runs with the same collation
+const TITLE_COLLATION = { locale: 'en', strength: 2 };
+movieSchema.index({ title: 1 }, { name: 'title_case_insensitive', collation: TITLE_COLLATION });
+
+// Any write to the catalog empties the movie read cache (helpers/responseCache.js).
+// A query run with { ratingOf: movieId } (Review.refreshMovieRating) only
+// changes that movie's community_rating, so it evicts just what shows it.
+const CATALOG_WRITES = [
+  'save', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany',
+  'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'insertMany', 'bulkWrite'
+];
+movieSchema.post(CATALOG_WRITES, function () {
+  const ratingOf = typeof this.getOptions === 'function' ? this.getOptions().ratingOf : undefined;
+  if (ratingOf !== undefined) evictMovie(ratingOf);
+  else movieCache.clear();
+});
+
 module.exports = mongoose.model('Movie', movieSchema);
+module.exports.TITLE_COLLATION = TITLE_COLLATION;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const LIST_VISIBILITIES = ['private', 'unlisted', 'public'];
+const MAX_LIST_ENTRIES = 500;
+
+// One movie in a list; array order is the list order
+const listEntrySchema = new mongoose.Schema({
+  movieId: { type: Number, required: true },   // TMDB id
+  note: { type: String, default: '', trim: true, maxlength: 500 },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const movieListSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, default: '', trim: true, maxlength: 2000 },
+  visibility: { type: String, enum: LIST_VISIBILITIES, default: 'private' },
+  slug: { type: String, required: true, unique: true },
+  entries: {
+    type: [listEntrySchema],
+    default: [],
+    validate: {
+      validator: entries => entries.length <= MAX_LIST_ENTRIES,
+      message: `A list can hold at most ${MAX_LIST_ENTRIES} movies`
+    }
+  },
+  copiedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'MovieList', default: null }
+}, { timestamps: true });
+
+movieListSchema.index({ owner: 1, updatedAt: -1 });
+
+const SLUG_ATTEMPTS = 3;
+
+// "Best of 2019" -> "best-of-2019-<22 random characters>"; the 128 random
+// bits are what keep an unlisted list's share link unguessable
+function makeSlug(title) {
+  const base = String(title || 'list')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'list';
+  return `${base}-${crypto.randomBytes(16).toString('base64url')}`;
+}
+
+movieListSchema.pre('validate', function () {
+  if (!this.slug) this.slug = makeSlug(this.title);
+});
+
+// save() for a new list: should its slug already be taken, it draws another
+// one and tries again
+movieListSchema.methods.saveWithUniqueSlug = async function () {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (err) {
+      const slugTaken = err.code === 11000 && err.keyPattern && err.keyPattern.slug;
+      if (!slugTaken || attempt >= SLUG_ATTEMPTS) throw err;
+      this.slug = makeSlug(this.title);
+    }
+  }
+};
+
+module.exports = mongoose.model('MovieList', movieListSchema);
+module.exports.LIST_VISIBILITIES = LIST_VISIBILITIES;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// movie_released:       an upcoming movie on the watchlist came out
+// release_date_changed: its release date moved (or was set or removed)
+// status_changed:       any other production status change (e.g. Canceled)
+const NOTIFICATION_TYPES = ['movie_released', 'release_date_changed', 'status_changed'];
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  movieId: { type: Number, required: true },          // TMDB id
+  movieTitle: { type: String, required: true },
+  message: { type: String, required: true },
+  // the change itself, as before -> after
+  previousStatus: { type: String, default: null },
+  status: { type: String, default: null },
+  previousReleaseDate: { type: Date, default: null },
+  releaseDate: { type: Date, default: null },
+  // channels it was meant for (helpers/notifications.js) and those that delivered it
+  channels: { type: [String], default: ['in-app'] },
+  deliveredVia: { type: [String], default: [] },
+  readAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Inbox (newest first) and the unread badge
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One rate-limit counter (or login lockout) for the Mongo-backed store.
+// `key` names the route group, scope and client, e.g. "login:ip:1.2.3.4".
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+// Mongo deletes counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -1,10 +1,77 @@
 const mongoose = require('mongoose');
 
+// published: visible to everyone
+// flagged:   auto-hidden after too many reports, waiting for an admin
+// hidden:    hidden by an admin
+const REVIEW_STATUSES = ['published', 'flagged', 'hidden'];
+
+// Reviews without a status predate moderation and count as published
+const PUBLIC_FILTER = { status: { $in: ['published', null] } };
+
+// Last moderation decision (the full history lives in ModerationLog)
+const moderationSchema = new mongoose.Schema({
+  action: { type: String, enum: ['approve', 'hide'], required: true },
+  reason: { type: String, required: true, trim: true, maxlength: 500 },
+  moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const reviewSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   movieId: { type: Number, required: true },
   rating: { type: Number, min: 1, max: 10, required: true },
-  comment: { type: String, default: '' }
+  comment: { type: String, default: '' },
+  helpfulCount: { type: Number, default: 0, min: 0 },
+  status: { type: String, enum: REVIEW_STATUSES, default: 'published' },
+  reportCount: { type: Number, default: 0, min: 0 },   // open (unresolved) reports
+  moderation: { type: moderationSchema, default: null }
 }, { timestamps: true });
 
+// One review per user per movie
+reviewSchema.index({ user: 1, movieId: 1 }, { unique: true });
+
+// Review listing sorts (newest, highest, most helpful)
+reviewSchema.index({ movieId: 1, createdAt: -1 });
+reviewSchema.index({ movieId: 1, rating: -1, createdAt: -1 });
+reviewSchema.index({ movieId: 1, helpfulCount: -1, createdAt: -1 });
+
+// Moderation queue
+reviewSchema.index({ status: 1, reportCount: -1, updatedAt: -1 });
+
+// Recompute a movie's community average, count and 1–10 histogram from its
+// public reviews and store them on the Movie document. Call after any review
+// write or moderation change.
+reviewSchema.statics.refreshMovieRating = async function (movieId) {
+  const groups = await this.aggregate([
+    { $match: { movieId, ...PUBLIC_FILTER } },
+    { $group: { _id: { $round: ['$rating', 0] }, count: { $sum: 1 }, total: { $sum: '$rating' } } }
+  ]);
+
+  const histogram = Array(10).fill(0);
+  let count = 0;
+  let total = 0;
+  groups.forEach(g => {
+    const bucket = Math.min(10, Math.max(1, g._id));
+    histogram[bucket - 1] += g.count;
+    count += g.count;
+    total += g.total;
+  });
+
+  const communityRating = {
+    average: count ? Math.round((total / count) * 10) / 10 : null,
+    count,
+    histogram
+  };
+
+  // ratingOf: the Movie write hook evicts only this movie and the listings
+  await mongoose.model('Movie').updateOne(
+    { id: movieId },
+    { $set: { community_rating: communityRating } },
+    { ratingOf: movieId }
+  );
+  return communityRating;
+};
+
 module.exports = mongoose.model('Review', reviewSchema);
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
+module.exports.PUBLIC_FILTER = PUBLIC_FILTER;
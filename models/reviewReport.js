@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'abuse', 'spoilers', 'off-topic', 'other'];
+
+// A user's report against a review. Open reports are counted in
+// Review.reportCount and resolved when an admin moderates the review.
+const reviewReportSchema = new mongoose.Schema({
+  review: { type: mongoose.Schema.Types.ObjectId, ref: 'Review', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, default: '', trim: true, maxlength: 500 },
+  resolved: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// One open report per user per review
+reviewReportSchema.index(
+  { review: 1, user: 1 },
+  { unique: true, partialFilterExpression: { resolved: false } }
+);
+
+module.exports = mongoose.model('ReviewReport', reviewReportSchema);
+module.exports.REPORT_REASONS = REPORT_REASONS;
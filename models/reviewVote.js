@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// One "helpful" vote per user per review; Review.helpfulCount mirrors the total
+const reviewVoteSchema = new mongoose.Schema({
+  review: { type: mongoose.Schema.Types.ObjectId, ref: 'Review', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReviewVote', reviewVoteSchema);
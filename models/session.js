@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token itself is never stored, only
+// its SHA-256 hash; rotating it replaces tokenHash and keeps the old hash so
+// a replayed (stolen) token can be detected.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  previousTokenHash: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Mongo deletes sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
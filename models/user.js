@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+// Who sees my activity (feed, profile): any signed-in user, my followers, or only me
+const ACTIVITY_VISIBILITIES = ['public', 'followers', 'private'];
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -12,8 +14,39 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     minlength: 6,
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  // Public name shown on reviews (never the email)
+  displayName: {
+    type: String,
+    trim: true,
+    minlength: 2,
+    maxlength: 40,
+  },
+  // One setting per kind of activity (see models/activity.js)
+  activityPrivacy: {
+    watchlist: { type: String, enum: ACTIVITY_VISIBILITIES, default: 'followers' },
+    reviews: { type: String, enum: ACTIVITY_VISIBILITIES, default: 'followers' }
   }
 }, { timestamps: true });
+// Default display name for accounts that did not pick one
+userSchema.pre('validate', function () {
+  if (!this.displayName) {
+    this.displayName = `user-${this._id.toString().slice(-6)}`;
+  }
+});
 // Hash password before save (promise style, NO next)
 userSchema.pre('save', async function () {
   if (!this.isModified('password')) return;
@@ -25,4 +58,10 @@ userSchema.pre('save', async function () {
 userSchema.methods.comparePassword = function (candidate) {
   return bcrypt.compare(candidate, this.password);
 };
+// Public name for a (possibly older) user document without one
+userSchema.statics.publicName = function (user) {
+  if (!user) return 'Deleted user';
+  return user.displayName || `user-${String(user._id).slice(-6)}`;
+};
 module.exports = mongoose.model('User', userSchema);
+module.exports.ACTIVITY_VISIBILITIES = ACTIVITY_VISIBILITIES;
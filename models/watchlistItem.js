@@ -1,10 +1,28 @@
 const mongoose = require('mongoose');
 
+const WATCH_STATUSES = ['planned', 'watching', 'watched', 'dropped'];
+
 const watchlistItemSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   movieId: { type: Number, required: true },          // TMDB id
   movieTitle: { type: String, required: true },
-  poster_url: { type: String, required: true }
+  poster_url: { type: String, required: true },
+  status: { type: String, enum: WATCH_STATUSES, default: 'planned' },
+  watchedAt: { type: Date, default: null },
+  priority: { type: Number, min: 1, max: 5, default: 3 },  // 1 = low, 5 = must watch
+  notes: { type: String, default: '', trim: true, maxlength: 1000 }
 }, { timestamps: true });
 
+// One entry per movie per user (older databases with duplicates need
+// scripts/dedupe-watchlist.js before this index can be built)
+watchlistItemSchema.index({ user: 1, movieId: 1 }, { unique: true });
+
+// Stamp watchedAt the first time an item is marked watched
+watchlistItemSchema.pre('validate', function () {
+  if (this.status === 'watched' && !this.watchedAt) {
+    this.watchedAt = new Date();
+  }
+});
+
 module.exports = mongoose.model('WatchlistItem', watchlistItemSchema);
+module.exports.WATCH_STATUSES = WATCH_STATUSES;
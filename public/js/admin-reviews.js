@@ -0,0 +1,11 @@
+// Admin moderation queue: the reviews and their decision forms are rendered
+// by the server (POST /admin/reviews/:id/moderation, cookie session + CSRF
+// field); this only asks before a review is deleted for good.
+(function () {
+  document.querySelectorAll('.moderation-form').forEach(form => {
+    form.addEventListener('submit', (e) => {
+      const action = e.submitter && e.submitter.value;
+      if (action === 'delete' && !confirm('Delete this review permanently?')) e.preventDefault();
+    });
+  });
+})();
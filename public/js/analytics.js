@@ -0,0 +1,304 @@
+// Analytics dashboard: fetches each /api/analytics report with the page's
+// filters and draws it as plain SVG (no chart library or external service).
+(function () {
+  const root = document.getElementById('analytics-root');
+  const query = root.dataset.query || '';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const PALETTE = [
+    '#0d6efd', '#ffc107', '#20c997', '#dc3545', '#6f42c1',
+    '#fd7e14', '#0dcaf0', '#d63384', '#198754', '#adb5bd'
+  ];
+
+  function svgEl(tag, attrs = {}, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function withTooltip(el, text) {
+    el.appendChild(svgEl('title', {}, text));
+    return el;
+  }
+
+  function formatNumber(value) {
+    return Number(value).toLocaleString('en-US');
+  }
+
+  function formatMoney(value) {
+    if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    return `$${formatNumber(value)}`;
+  }
+
+  function formatPercent(share) {
+    return `${(share * 100).toFixed(1)}%`;
+  }
+
+  function empty(container) {
+    container.innerHTML = '<p class="text-muted small">No data for these filters.</p>';
+  }
+
+  // Horizontal bars: items = [{ label, value, tooltip }]
+  function barChart(container, items, { format = formatNumber } = {}) {
+    if (!items.length) return empty(container);
+
+    const rowHeight = 24;
+    const labelWidth = 190;
+    const valueWidth = 70;
+    const width = 600;
+    const barSpace = width - labelWidth - valueWidth;
+    const max = Math.max(...items.map(i => i.value), 1);
+
+    const svg = svgEl('svg', {
+      viewBox: `0 0 ${width} ${items.length * rowHeight}`,
+      class: 'analytics-svg',
+      role: 'img'
+    });
+
+    items.forEach((item, i) => {
+      const y = i * rowHeight;
+      const label = item.label.length > 30 ? `${item.label.slice(0, 29)}…` : item.label;
+      svg.appendChild(svgEl('text', { x: labelWidth - 8, y: y + 16, 'text-anchor': 'end', class: 'chart-label' }, label));
+      svg.appendChild(withTooltip(svgEl('rect', {
+        x: labelWidth,
+        y: y + 4,
+        width: Math.max(1, (item.value / max) * barSpace),
+        height: rowHeight - 8,
+        rx: 3,
+        fill: PALETTE[0]
+      }), item.tooltip || `${item.label}: ${format(item.value)}`));
+      svg.appendChild(svgEl('text', {
+        x: labelWidth + (item.value / max) * barSpace + 6,
+        y: y + 16,
+        class: 'chart-value'
+      }, format(item.value)));
+    });
+
+    container.replaceChildren(svg);
+  }
+
+  // One line over years: points = [{ x, y }], nulls are gaps
+  function lineChart(container, points, { label, color, format = formatNumber }) {
+    const valid = points.filter(p => p.y !== null);
+    if (!valid.length) return empty(container);
+
+    const width = 600;
+    const height = 180;
+    const pad = { top: 12, right: 12, bottom: 24, left: 44 };
+    const xs = points.map(p => p.x);
+    const ys = valid.map(p => p.y);
+    const xMin = Math.min(...xs);
+    const xMax = Math.max(...xs);
+    const yMin = Math.min(...ys);
+    const yMax = Math.max(...ys);
+    const xScale = x => pad.left + ((x - xMin) / Math.max(1, xMax - xMin)) * (width - pad.left - pad.right);
+    const yScale = y => height - pad.bottom - ((y - yMin) / Math.max(1e-9, yMax - yMin)) * (height - pad.top - pad.bottom);
+
+    const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'analytics-svg', role: 'img' });
+
+    // axes labels: min/max on each axis
+    svg.appendChild(svgEl('text', { x: pad.left - 6, y: yScale(yMax) + 4, 'text-anchor': 'end', class: 'chart-label' }, format(yMax)));
+    svg.appendChild(svgEl('text', { x: pad.left - 6, y: yScale(yMin) + 4, 'text-anchor': 'end', class: 'chart-label' }, format(yMin)));
+    svg.appendChild(svgEl('text', { x: xScale(xMin), y: height - 6, class: 'chart-label' }, xMin));
+    svg.appendChild(svgEl('text', { x: xScale(xMax), y: height - 6, 'text-anchor': 'end', class: 'chart-label' }, xMax));
+    svg.appendChild(svgEl('line', {
+      x1: pad.left, y1: height - pad.bottom, x2: width - pad.right, y2: height - pad.bottom, class: 'chart-axis'
+    }));
+
+    // break the path wherever a year has no value
+    let d = '';
+    let penDown = false;
+    points.forEach(p => {
+      if (p.y === null) {
+        penDown = false;
+        return;
+      }
+      d += `${penDown ? 'L' : 'M'}${xScale(p.x).toFixed(1)},${yScale(p.y).toFixed(1)} `;
+      penDown = true;
+    });
+    svg.appendChild(svgEl('path', { d, fill: 'none', stroke: color, 'stroke-width': 2 }));
+
+    valid.forEach(p => {
+      svg.appendChild(withTooltip(
+        svgEl('circle', { cx: xScale(p.x), cy: yScale(p.y), r: 2.5, fill: color }),
+        `${p.x}: ${format(p.y)}`
+      ));
+    });
+
+    const wrapper = document.createElement('div');
+    const heading = document.createElement('div');
+    heading.className = 'small text-muted mb-1';
+    heading.textContent = label;
+    wrapper.append(heading, svg);
+    container.appendChild(wrapper);
+  }
+
+  // 100% stacked bars, one per decade, for the most common genres
+  function stackedShareChart(container, decades) {
+    if (!decades.length) return empty(container);
+
+    const totals = new Map();
+    decades.forEach(d => d.genres.forEach(g => totals.set(g.genre, (totals.get(g.genre) || 0) + g.count)));
+    const topGenres = [...totals.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, PALETTE.length - 1)
+      .map(([genre]) => genre);
+    const colorOf = genre => {
+      const index = topGenres.indexOf(genre);
+      return index === -1 ? PALETTE[PALETTE.length - 1] : PALETTE[index];
+    };
+
+    const width = 600;
+    const rowHeight = 26;
+    const labelWidth = 60;
+    const barSpace = width - labelWidth - 10;
+    const svg = svgEl('svg', {
+      viewBox: `0 0 ${width} ${decades.length * rowHeight}`,
+      class: 'analytics-svg',
+      role: 'img'
+    });
+
+    decades.forEach((decade, i) => {
+      const y = i * rowHeight;
+      svg.appendChild(svgEl('text', { x: labelWidth - 8, y: y + 17, 'text-anchor': 'end', class: 'chart-label' }, `${decade.decade}s`));
+
+      // segments are sized by share of genre tags so each bar fills the row
+      const tagTotal = decade.genres.reduce((sum, g) => sum + g.count, 0) || 1;
+      const other = decade.genres.filter(g => !topGenres.includes(g.genre));
+      const segments = decade.genres
+        .filter(g => topGenres.includes(g.genre))
+        .concat(other.length ? [{
+          genre: 'Other',
+          count: other.reduce((sum, g) => sum + g.count, 0),
+          share: other.reduce((sum, g) => sum + g.share, 0)
+        }] : []);
+
+      let x = labelWidth;
+      segments.forEach(segment => {
+        const w = (segment.count / tagTotal) * barSpace;
+        svg.appendChild(withTooltip(
+          svgEl('rect', { x, y: y + 4, width: Math.max(0, w), height: rowHeight - 8, fill: colorOf(segment.genre) }),
+          `${decade.decade}s · ${segment.genre}: ${formatNumber(segment.count)} movies (${formatPercent(segment.share)} of ${formatNumber(decade.movies)})`
+        ));
+        x += w;
+      });
+    });
+
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend small mt-2';
+    topGenres.concat('Other').forEach(genre => {
+      const item = document.createElement('span');
+      const swatch = document.createElement('span');
+      swatch.className = 'chart-swatch';
+      swatch.style.background = colorOf(genre);
+      item.append(swatch, document.createTextNode(genre));
+      legend.appendChild(item);
+    });
+
+    container.replaceChildren(svg, legend);
+  }
+
+  // Years with their top films as a collapsible table under the chart
+  function filmsTable(rows, { metricLabel, metric }) {
+    const details = document.createElement('details');
+    details.className = 'small mt-2';
+    const summary = document.createElement('summary');
+    summary.textContent = 'All top films by year';
+    details.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'table table-sm table-dark mb-0';
+    table.innerHTML = `<thead><tr><th>Year</th><th>Film</th><th class="text-end">${metricLabel}</th></tr></thead>`;
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => row.films.forEach((film, i) => {
+      const tr = document.createElement('tr');
+      const year = document.createElement('td');
+      year.textContent = i === 0 ? row.year : '';
+      const title = document.createElement('td');
+      const link = document.createElement('a');
+      link.href = `/movie/${film.id}`;
+      link.textContent = film.title;
+      title.appendChild(link);
+      const value = document.createElement('td');
+      value.className = 'text-end';
+      value.textContent = metric(film);
+      tr.append(year, title, value);
+      tbody.appendChild(tr);
+    }));
+    table.appendChild(tbody);
+    details.appendChild(table);
+    return details;
+  }
+
+  const RENDERERS = {
+    'top-grossing'(container, rows) {
+      barChart(container, rows.filter(r => r.films.length).map(r => ({
+        label: `${r.year} · ${r.films[0].title}`,
+        value: r.films[0].revenue
+      })), { format: formatMoney });
+      if (rows.length) {
+        container.appendChild(filmsTable(rows, { metricLabel: 'Revenue', metric: f => formatMoney(f.revenue) }));
+      }
+    },
+
+    'best-roi'(container, rows) {
+      barChart(container, rows.filter(r => r.films.length).map(r => ({
+        label: `${r.year} · ${r.films[0].title}`,
+        value: r.films[0].roi,
+        tooltip: `${r.films[0].title}: ${formatMoney(r.films[0].revenue)} on a ${formatMoney(r.films[0].budget)} budget`
+      })), { format: v => `${v.toFixed(1)}×` });
+      if (rows.length) {
+        container.appendChild(filmsTable(rows, { metricLabel: 'ROI', metric: f => `${f.roi.toFixed(1)}×` }));
+      }
+    },
+
+    'genres-by-decade'(container, decades) {
+      stackedShareChart(container, decades);
+    },
+
+    trends(container, years) {
+      container.replaceChildren();
+      if (!years.length) return empty(container);
+      lineChart(container, years.map(y => ({ x: y.year, y: y.averageRuntime })), {
+        label: 'Average runtime (minutes)',
+        color: PALETTE[1],
+        format: v => Math.round(v)
+      });
+      lineChart(container, years.map(y => ({ x: y.year, y: y.averageRating })), {
+        label: 'Average rating (TMDB)',
+        color: PALETTE[2],
+        format: v => v.toFixed(1)
+      });
+    },
+
+    languages(container, result) {
+      barChart(container, result.values.map(v => ({
+        label: v.label,
+        value: v.count,
+        tooltip: `${v.label}: ${formatNumber(v.count)} movies (${formatPercent(v.share)})`
+      })));
+    },
+
+    countries(container, result) {
+      barChart(container, result.values.map(v => ({
+        label: v.label || v.value,
+        value: v.count,
+        tooltip: `${v.label || v.value}: ${formatNumber(v.count)} movies (${formatPercent(v.share)})`
+      })));
+    }
+  };
+
+  root.querySelectorAll('[data-report]').forEach(async (container) => {
+    const report = container.dataset.report;
+    try {
+      const res = await fetch(`/api/analytics/${report}${query ? `?${query}` : ''}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Request failed');
+      RENDERERS[report](container, body.data);
+    } catch (err) {
+      container.innerHTML = '<p class="text-danger small">Could not load this chart.</p>';
+    }
+  });
+})();
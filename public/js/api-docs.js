@@ -0,0 +1,72 @@
+// API docs page: each operation's "try it" form fills the path parameters,
+// adds the query string and sends the request with this browser's access
+// token (if logged in), then prints the status and the JSON answer.
+(function () {
+  const root = document.getElementById('api-docs-root');
+
+  function buildUrl(card, form) {
+    const query = new URLSearchParams();
+    let path = card.dataset.path;
+
+    form.querySelectorAll('input[data-in]').forEach(input => {
+      const value = input.value.trim();
+      if (input.dataset.in === 'path') {
+        path = path.replace(`{${input.name}}`, encodeURIComponent(value));
+      } else if (value) {
+        query.append(input.name, value);
+      }
+    });
+
+    const search = query.toString();
+    return search ? `${path}?${search}` : path;
+  }
+
+  async function send(card, form) {
+    const result = form.querySelector('[data-try-result]');
+    const bodyInput = form.querySelector('textarea[name="body"]');
+    const token = localStorage.getItem('jwt');
+
+    const headers = { Accept: 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const init = { method: card.dataset.method, headers, credentials: 'same-origin' };
+    if (bodyInput && bodyInput.value.trim() && bodyInput.hasAttribute('data-raw-body')) {
+      init.body = bodyInput.value;
+      headers['Content-Type'] = 'text/plain';
+    } else if (bodyInput && bodyInput.value.trim()) {
+      try {
+        init.body = JSON.stringify(JSON.parse(bodyInput.value));
+      } catch (err) {
+        result.textContent = 'The body is not valid JSON.';
+        result.hidden = false;
+        return;
+      }
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const url = buildUrl(card, form);
+    result.textContent = `${init.method} ${url} …`;
+    result.hidden = false;
+
+    try {
+      const res = await fetch(url, init);
+      const text = await res.text();
+      let pretty = text;
+      try {
+        pretty = JSON.stringify(JSON.parse(text), null, 2);
+      } catch (err) {
+        // not JSON: show as is
+      }
+      result.textContent = `${res.status} ${res.statusText}\n\n${pretty}`;
+    } catch (err) {
+      result.textContent = `Request failed: ${err.message}`;
+    }
+  }
+
+  root.addEventListener('submit', (e) => {
+    const form = e.target.closest('[data-try-form]');
+    if (!form) return;
+    e.preventDefault();
+    send(form.closest('[data-operation]'), form);
+  });
+})();
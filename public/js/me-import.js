@@ -0,0 +1,127 @@
+// Import & export page: the downloads are plain links to /me/export; this
+// sends a chosen file to POST /me/import (cookie session, CSRF token in the
+// X-CSRF-Token header), first as a preview and then (Import) with ?commit=true.
+(function () {
+  const fileInput = document.getElementById('importFile');
+  const previewBtn = document.getElementById('previewBtn');
+  const importBtn = document.getElementById('importBtn');
+  const errorMsg = document.getElementById('import-error');
+  const resultBox = document.getElementById('import-result');
+  const previewBox = document.getElementById('import-preview');
+
+  const csrfToken = fileInput.dataset.csrfToken;
+
+  let fileText = null;
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function showError(msg) {
+    errorMsg.textContent = msg;
+    errorMsg.style.display = 'block';
+  }
+
+  function titleWithYear(title, year) {
+    return `${escapeHtml(title || '(no title)')}${year ? ` <span class="text-muted">(${escapeHtml(year)})</span>` : ''}`;
+  }
+
+  function plural(count, word, words = `${word}s`) {
+    return `${count} ${count === 1 ? word : words}`;
+  }
+
+  function renderSummary(result) {
+    const { watchlist, reviews } = result;
+    const verb = result.committed ? 'Imported' : 'Will import';
+    const parts = [
+      plural(watchlist.create, 'new watchlist entry', 'new watchlist entries'),
+      `${watchlist.update} marked watched`,
+      plural(reviews.create, 'review')
+    ];
+    const skipped = watchlist.unchanged + reviews.unchanged;
+
+    resultBox.innerHTML = `
+      <strong>${verb}:</strong> ${parts.map(escapeHtml).join(', ')}.
+      ${skipped ? `<br>${escapeHtml(plural(skipped, 'entry', 'entries'))} already on your account left as they are.` : ''}
+      ${reviews.needsVerifiedEmail ? `<br>${escapeHtml(plural(reviews.needsVerifiedEmail, 'review'))} skipped: verify your email to import reviews.` : ''}
+      ${(result.skipped || []).map(s => `<br>Skipped ${escapeHtml(s.type)} for ${titleWithYear(s.title, s.year)}
+        (row ${escapeHtml(s.rows.join(', '))}): ${escapeHtml(s.reason)}.`).join('')}
+      <br><span class="text-muted">${escapeHtml(result.format === 'letterboxd' ? 'Letterboxd' : 'Movie Explorer')} file,
+      ${escapeHtml(plural(result.rows, 'row'))}, ${escapeHtml(result.matched)} matched.</span>
+    `;
+    resultBox.style.display = 'block';
+  }
+
+  function renderRows(result) {
+    document.getElementById('matchedCount').textContent = `(${result.matched})`;
+    document.getElementById('unmatchedCount').textContent = `(${result.unmatched.length})`;
+
+    document.getElementById('matchedRows').innerHTML = result.matches.map(m => `
+      <tr>
+        <td class="text-muted">${escapeHtml(m.row)}</td>
+        <td>${titleWithYear(m.title, m.year)}</td>
+        <td><a href="/movie/${escapeHtml(m.movie.id)}" target="_blank">${titleWithYear(m.movie.title, m.movie.year)}</a></td>
+      </tr>
+    `).join('') + (result.matched > result.matches.length
+      ? `<tr><td colspan="3" class="text-muted">…and ${escapeHtml(result.matched - result.matches.length)} more</td></tr>`
+      : '');
+
+    document.getElementById('unmatchedRows').innerHTML = result.unmatched.length
+      ? result.unmatched.map(u => `
+        <tr>
+          <td class="text-muted">${escapeHtml(u.row)}</td>
+          <td>${titleWithYear(u.title, u.year)}</td>
+          <td class="text-muted">${escapeHtml(u.reason)}</td>
+        </tr>
+      `).join('')
+      : '<tr><td colspan="3" class="text-muted">Every row was matched.</td></tr>';
+
+    previewBox.style.display = 'flex';
+  }
+
+  async function sendImport(commit) {
+    errorMsg.style.display = 'none';
+    previewBtn.disabled = true;
+    importBtn.disabled = true;
+
+    try {
+      const res = await fetch(`/me/import${commit ? '?commit=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'Content-Type': 'text/plain', 'X-CSRF-Token': csrfToken },
+        body: fileText
+      });
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(result.error || 'Could not read this file.');
+
+      renderSummary(result);
+      renderRows(result);
+      if (commit) {
+        // a second Import would only report everything as unchanged
+        fileText = null;
+        fileInput.value = '';
+      }
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      previewBtn.disabled = !fileText;
+      importBtn.disabled = !fileText;
+    }
+  }
+
+  fileInput.addEventListener('change', async () => {
+    errorMsg.style.display = 'none';
+    resultBox.style.display = 'none';
+    previewBox.style.display = 'none';
+    const file = fileInput.files[0];
+    fileText = file ? await file.text() : null;
+    if (fileText) sendImport(false);
+  });
+
+  previewBtn.addEventListener('click', () => sendImport(false));
+  importBtn.addEventListener('click', () => sendImport(true));
+})();
@@ -0,0 +1,20 @@
+// My stats page: the stats are rendered by the server; this switches the
+// period as soon as another one is picked and copies the share link.
+(function () {
+  const periodForm = document.getElementById('statsPeriod');
+  const copyShareBtn = document.getElementById('copyShareBtn');
+
+  document.getElementById('statsPeriodBtn').style.display = 'none';
+  periodForm.elements.year.addEventListener('change', () => periodForm.submit());
+
+  if (copyShareBtn) {
+    copyShareBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(document.getElementById('shareLink').href);
+        copyShareBtn.textContent = 'Copied!';
+      } catch (err) {
+        copyShareBtn.textContent = 'Copy it from the link';
+      }
+    });
+  }
+})();
@@ -0,0 +1,21 @@
+// Navbar bell: shows the unread notification count (/notifications/unread-count,
+// cookie session). Loaded on every page for logged-in users.
+(function () {
+  const badges = document.querySelectorAll('[data-unread-badge]');
+
+  async function loadUnreadCount() {
+    try {
+      const res = await fetch('/notifications/unread-count', { headers: { 'Accept': 'application/json' } });
+      if (!res.ok) return;
+      const { unread } = await res.json();
+      badges.forEach(badge => {
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+      });
+    } catch (err) {
+      // the bell is optional; leave it empty
+    }
+  }
+
+  loadUnreadCount();
+})();
@@ -0,0 +1,113 @@
+// As-you-type suggestions for the navbar search box (GET /api/movies/suggest)
+(function () {
+  const input = document.getElementById('searchInput');
+  const list = document.getElementById('searchSuggestions');
+  if (!input || !list) return;
+
+  let timer = null;
+  let lastQuery = '';
+  let activeIndex = -1;
+  let controller = null;
+
+  function hide() {
+    list.innerHTML = '';
+    list.style.display = 'none';
+    activeIndex = -1;
+  }
+
+  function render(items) {
+    list.innerHTML = '';
+    activeIndex = -1;
+
+    if (!items.length) {
+      hide();
+      return;
+    }
+
+    items.forEach(item => {
+      const link = document.createElement('a');
+      link.href = `/movie/${item.id}`;
+      link.className = 'search-suggestion d-flex align-items-center gap-2';
+
+      if (item.poster_url) {
+        const img = document.createElement('img');
+        img.src = `/img/poster/${item.id}/w185`;
+        img.alt = '';
+        img.loading = 'lazy';
+        link.appendChild(img);
+      }
+
+      const title = document.createElement('span');
+      title.textContent = item.title;
+      link.appendChild(title);
+
+      if (item.year) {
+        const year = document.createElement('small');
+        year.className = 'text-muted ms-auto';
+        year.textContent = item.year;
+        link.appendChild(year);
+      }
+
+      list.appendChild(link);
+    });
+
+    list.style.display = 'block';
+  }
+
+  async function fetchSuggestions(q) {
+    if (controller) controller.abort();
+    controller = new AbortController();
+
+    try {
+      const res = await fetch(`/api/movies/suggest?q=${encodeURIComponent(q)}`, {
+        signal: controller.signal
+      });
+      if (!res.ok) return hide();
+      const items = await res.json();
+      // ignore answers for a query the user already typed past
+      if (q === lastQuery) render(Array.isArray(items) ? items : []);
+    } catch (err) {
+      if (err.name !== 'AbortError') hide();
+    }
+  }
+
+  function setActive(index) {
+    const links = list.querySelectorAll('a');
+    if (!links.length) return;
+    activeIndex = (index + links.length) % links.length;
+    links.forEach((a, i) => a.classList.toggle('active', i === activeIndex));
+  }
+
+  input.addEventListener('input', () => {
+    const q = input.value.trim();
+    lastQuery = q;
+    clearTimeout(timer);
+
+    if (q.length < 2) {
+      hide();
+      return;
+    }
+    timer = setTimeout(() => fetchSuggestions(q), 200);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (list.style.display !== 'block') return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(activeIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(activeIndex - 1);
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      window.location.href = list.querySelectorAll('a')[activeIndex].href;
+    } else if (e.key === 'Escape') {
+      hide();
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (e.target !== input && !list.contains(e.target)) hide();
+  });
+})();
@@ -0,0 +1,44 @@
+// Keeps the short-lived access token in localStorage usable: an API call sent
+// with a Bearer token that comes back 401 triggers one /auth/refresh (which
+// uses the httpOnly refresh cookie) and is retried with the new token.
+(function () {
+  const originalFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  // One refresh at a time; concurrent callers share the same promise
+  function refreshAccessToken() {
+    if (!refreshing) {
+      refreshing = originalFetch('/auth/refresh', { method: 'POST', credentials: 'same-origin' })
+        .then(res => (res.ok ? res.json() : null))
+        .then(data => {
+          if (data && data.token) {
+            localStorage.setItem('jwt', data.token);
+            return data.token;
+          }
+          localStorage.removeItem('jwt');
+          return null;
+        })
+        .catch(() => null)
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const res = await originalFetch(input, init);
+    const headers = new Headers(init.headers || {});
+    const authHeader = headers.get('Authorization') || '';
+
+    if (res.status !== 401 || !authHeader.startsWith('Bearer ')) return res;
+
+    const token = await refreshAccessToken();
+    if (!token) return res;
+
+    headers.set('Authorization', `Bearer ${token}`);
+    return originalFetch(input, { ...init, headers });
+  };
+
+  window.refreshAccessToken = refreshAccessToken;
+})();
@@ -1,107 +1,133 @@
-
-
-async function loadWatchlist() {
+// Watchlist page: the cards are rendered by the server; this filters and
+// sorts them in place and submits each card's forms in the background
+// (POST /watchlist/:id and /watchlist/:id/delete, cookie session + CSRF field).
+(function () {
   const root = document.getElementById('watchlist-root');
   const emptyMsg = document.getElementById('watchlist-empty');
   const errorMsg = document.getElementById('watchlist-error');
+  const filtersEl = document.getElementById('watchlistFilters');
+  const sortEl = document.getElementById('watchlistSort');
 
-  root.innerHTML = '';
-  emptyMsg.style.display = 'none';
-  errorMsg.style.display = 'none';
+  let statusFilter = '';
 
-  const token = localStorage.getItem('jwt');
-  if (!token) {
-    errorMsg.textContent = 'You must be logged in to see your watchlist.';
+  function showError(msg) {
+    errorMsg.textContent = msg;
     errorMsg.style.display = 'block';
-    return;
   }
 
-  try {
-    const res = await fetch('/api/watchlist', {
-      headers: {
-        Authorization: `Bearer ${token}`
-      }
-    });
+  function cards() {
+    return Array.from(root.querySelectorAll('[data-item]'));
+  }
 
+  // Submit a card form and return the JSON answer
+  async function submit(form) {
+    const res = await fetch(form.action, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json' },
+      body: new URLSearchParams(new FormData(form))
+    });
+    const data = await res.json().catch(() => ({}));
     if (!res.ok) {
-      throw new Error('Failed to load watchlist');
+      throw new Error(data.error || 'Request failed');
     }
+    return data;
+  }
 
-    const items = await res.json();
-
-    if (!items.length) {
-      emptyMsg.style.display = 'block';
-      return;
-    }
+  function compare(a, b) {
+    const by = sortEl.value;
+    const created = (x) => new Date(x.dataset.created || 0);
+    if (by === 'priority') return Number(b.dataset.priority) - Number(a.dataset.priority) || created(b) - created(a);
+    if (by === 'title') return (a.dataset.title || '').localeCompare(b.dataset.title || '');
+    if (by === 'watched') return new Date(b.dataset.watched || 0) - new Date(a.dataset.watched || 0);
+    return created(b) - created(a);
+  }
 
-    items.forEach(item => {
-      const col = document.createElement('div');
-      col.className = 'col-md-3';
-
-      col.innerHTML = `
-        <div class="card border-0 shadow-sm h-100 bg-slate-900">
-          ${
-            item.poster_url
-              ? `<img src="${item.poster_url}" class="card-img-top" alt="${item.movieTitle || 'Movie'}">`
-              : `<div class="ratio ratio-2x3 d-flex align-items-center justify-content-center bg-dark text-light">
-                   <span>${item.movieTitle || 'Movie'}</span>
-                 </div>`
-          }
-          <div class="card-body d-flex flex-column">
-            <h5 class="card-title">${item.movieTitle || 'Movie'}</h5>
-            <p class="card-text text-muted mb-2">
-              Status: <span class="badge bg-info text-dark">${item.status || 'planned'}</span>
-            </p>
-            <button class="btn btn-outline-danger mt-auto"
-                    data-id="${item._id}">
-              Remove
-            </button>
-          </div>
-        </div>
-      `;
-
-      root.appendChild(col);
+  function updateCounts() {
+    const all = cards();
+    filtersEl.querySelectorAll('[data-count]').forEach(span => {
+      const status = span.dataset.count;
+      const count = status ? all.filter(c => c.dataset.status === status).length : all.length;
+      span.textContent = `(${count})`;
     });
-
-    root.addEventListener(
-      'click',
-      async (e) => {
-        if (e.target.tagName === 'BUTTON' && e.target.dataset.id) {
-          const id = e.target.dataset.id;
-          await deleteWatchlistItem(id, e.target.closest('.col-md-3'));
-        }
-      },
-      { once: true }
-    );
-  } catch (err) {
-    console.error(err);
-    errorMsg.style.display = 'block';
   }
-}
 
-async function deleteWatchlistItem(id, cardElement) {
-  const token = localStorage.getItem('jwt');
-  if (!token) return;
+  function render() {
+    errorMsg.style.display = 'none';
+    updateCounts();
 
-  if (!confirm('Remove this movie from your watchlist?')) return;
+    const all = cards();
+    all.sort(compare).forEach(card => root.appendChild(card));
 
-  try {
-    const res = await fetch(`/api/watchlist/${id}`, {
-      method: 'DELETE',
-      headers: {
-        Authorization: `Bearer ${token}`
-      }
+    let visible = 0;
+    all.forEach(card => {
+      const show = !statusFilter || card.dataset.status === statusFilter;
+      card.style.display = show ? '' : 'none';
+      if (show) visible += 1;
     });
 
-    if (!res.ok) {
-      throw new Error('Failed to delete');
+    emptyMsg.style.display = visible ? 'none' : 'block';
+    emptyMsg.textContent = all.length ? 'No movies with this status.' : 'Your watchlist is empty.';
+  }
+
+  async function updateItem(card, field) {
+    const form = card.querySelector('[data-update-form]');
+    try {
+      const updated = await submit(form);
+      card.dataset.status = updated.status;
+      card.dataset.priority = updated.priority;
+      card.dataset.watched = updated.watchedAt || '';
+      card.querySelector('[data-watched-label]').textContent = updated.status === 'watched' && updated.watchedAt
+        ? `Watched ${new Date(updated.watchedAt).toLocaleDateString()}`
+        : '';
+      // re-render only if the change affects filtering/sorting; keeps focus in notes
+      if (field === 'status' || field === 'priority') render();
+    } catch (err) {
+      console.error(err);
+      showError(err.message || 'Could not update item.');
     }
+  }
+
+  async function removeItem(card) {
+    if (!confirm('Remove this movie from your watchlist?')) return;
 
-    cardElement.remove();
-  } catch (err) {
-    console.error(err);
-    alert('Could not remove item. Please try again.');
+    try {
+      await submit(card.querySelector('[data-remove-form]'));
+      card.remove();
+      render();
+    } catch (err) {
+      console.error(err);
+      showError('Could not remove item. Please try again.');
+    }
   }
-}
 
-document.addEventListener('DOMContentLoaded', loadWatchlist);
+  // with JS every change saves on its own
+  root.querySelectorAll('.watchlist-save').forEach(btn => { btn.style.display = 'none'; });
+
+  root.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    const card = e.target.closest('[data-item]');
+    if (!field || !card) return;
+    updateItem(card, field);
+  });
+
+  root.addEventListener('submit', (e) => {
+    const card = e.target.closest('[data-item]');
+    if (!card) return;
+    e.preventDefault();
+    if (e.target.matches('[data-remove-form]')) {
+      removeItem(card);
+    } else {
+      updateItem(card, null);
+    }
+  });
+
+  filtersEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-status]');
+    if (!btn) return;
+    statusFilter = btn.dataset.status;
+    filtersEl.querySelectorAll('button').forEach(b => b.classList.toggle('active', b === btn));
+    render();
+  });
+
+  sortEl.addEventListener('change', render);
+})();
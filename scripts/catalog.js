@@ -0,0 +1,268 @@
+// scripts/catalog.js
+// Bulk import/export of the movie catalog in TMDB-shaped JSON, NDJSON or CSV.
+//
+//   node scripts/catalog.js import <file> [--format json|ndjson|csv] [--dry-run] [--report rejects.json]
+//   node scripts/catalog.js export [<file>] [--format json|ndjson|csv] [--limit N]
+//
+// Import upserts on the numeric TMDB `id` (and refuses rows whose `imdb_id`
+// belongs to a different movie or to an earlier row of the file), so it never
+// wipes the collection; rows without an id update the movie with their
+// `imdb_id`, and empty cells keep the stored value. Rows the database still
+// refuses are reported with the other rejects. Updates that release an
+// upcoming movie or change its status or release date notify the users who
+// have it on their watchlist (helpers/notifications.js).
+const fs = require('fs');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+require('dotenv').config({ quiet: true });
+
+const Movie = require('../models/movie');
+const {
+  RowError,
+  detectFormat,
+  readCatalogFile,
+  normalizeMovie,
+  createCatalogWriter
+} = require('../helpers/catalog');
+const { notifyMovieChanges } = require('../helpers/notifications');
+
+const BATCH_SIZE = 500;
+const MAX_REJECTS_PRINTED = 50;
+
+function usage() {
+  console.error('Usage:');
+  console.error('  node scripts/catalog.js import <file> [--format json|ndjson|csv] [--dry-run] [--report <file>]');
+  console.error('  node scripts/catalog.js export [<file>] [--format json|ndjson|csv] [--limit N]');
+  process.exit(1);
+}
+
+function validationReason(err) {
+  return Object.values(err.errors || {})
+    .map(e => `${e.path}: ${e.kind === 'required' ? 'is required' : e.message}`)
+    .join('; ') || err.message;
+}
+
+// A failed bulk write still reports what it did write; the ops it could not
+// carry out (a duplicate key, e.g. an imdb_id another movie took since the
+// batch was checked) are listed in its writeErrors
+async function writeBatch(ops) {
+  try {
+    return { result: await Movie.bulkWrite(ops, { ordered: false }), writeErrors: [] };
+  } catch (err) {
+    if (err.name !== 'MongoBulkWriteError' || !err.result) throw err;
+    return { result: err.result, writeErrors: [].concat(err.writeErrors || []) };
+  }
+}
+
+// Validate, check imdb_id conflicts and (unless dry run) write one batch.
+// Rows without an id update the movie that owns their imdb_id.
+// `imdbClaims` (imdb_id -> { row, id }) holds the imdb_ids earlier rows of
+// this run set, so two new movies cannot take the same one.
+async function importBatch(batch, { dryRun, report, imdbClaims }) {
+  const ids = batch.map(entry => entry.movie.id).filter(id => id !== undefined);
+  const imdbIds = batch.map(entry => entry.movie.imdb_id).filter(Boolean);
+
+  const existing = await Movie.find(
+    { $or: [{ id: { $in: ids } }, { imdb_id: { $in: imdbIds } }] },
+    { id: 1, imdb_id: 1, title: 1, status: 1, release_date: 1 }
+  ).lean();
+
+  const existingById = new Map(existing.map(m => [m.id, m]));
+  const imdbOwner = new Map(existing.filter(m => m.imdb_id).map(m => [m.imdb_id, m.id]));
+  const ops = [];
+  const planned = [];   // per op: { row, id, isNew, change } (change: { before, after } for notifications)
+
+  batch.forEach(({ row, movie }) => {
+    const owner = imdbOwner.get(movie.imdb_id);
+    const byImdb = movie.id === undefined;
+    if (byImdb && owner === undefined) {
+      report.rejected.push({ row, reason: `no id, and imdb_id ${movie.imdb_id} matches no movie` });
+      return;
+    }
+    if (!byImdb && movie.imdb_id && owner !== undefined && owner !== movie.id) {
+      report.rejected.push({ row, id: movie.id, reason: `imdb_id ${movie.imdb_id} already belongs to movie ${owner}` });
+      return;
+    }
+
+    const id = byImdb ? owner : movie.id;
+    const claim = movie.imdb_id && imdbClaims.get(movie.imdb_id);
+    if (claim && claim.id !== id) {
+      report.rejected.push({ row, id, reason: `imdb_id ${movie.imdb_id} is already used by row ${claim.row} (id ${claim.id})` });
+      return;
+    }
+    const isNew = !existingById.has(id);
+
+    // new movies must pass the whole schema; updates only the fields they carry
+    const doc = new Movie({ ...movie, id });
+    const err = isNew ? doc.validateSync() : doc.validateSync(Object.keys(movie));
+    if (err) {
+      report.rejected.push({ row, id, reason: validationReason(err) });
+      return;
+    }
+    if (movie.imdb_id) imdbClaims.set(movie.imdb_id, { row, id });
+
+    const fields = doc.toObject({ depopulate: true });
+    Object.keys(fields).forEach(key => {
+      if (!(key in movie) || key === 'id') delete fields[key];
+    });
+
+    ops.push({
+      updateOne: {
+        filter: byImdb ? { imdb_id: movie.imdb_id } : { id },
+        update: { $set: fields },
+        upsert: !byImdb
+      }
+    });
+    const before = existingById.get(id);
+    planned.push({ row, id, imdbId: movie.imdb_id, isNew, change: isNew ? null : { before, after: { ...before, ...fields } } });
+  });
+
+  if (dryRun || !ops.length) {
+    planned.forEach(({ isNew }) => { report[isNew ? 'inserted' : 'updated']++; });
+    return;
+  }
+
+  const { result, writeErrors } = await writeBatch(ops);
+  const failed = new Set();
+  writeErrors.forEach(writeError => {
+    const { row, id, imdbId } = planned[writeError.index];
+    failed.add(writeError.index);
+    if (imdbId && imdbClaims.get(imdbId).row === row) imdbClaims.delete(imdbId);
+    report.rejected.push({ row, id, reason: `not written: ${writeError.errmsg}` });
+  });
+  report.inserted += result.upsertedCount;
+  report.updated += result.modifiedCount;
+  report.notified += await notifyMovieChanges(
+    planned.filter((entry, index) => entry.change && !failed.has(index)).map(entry => entry.change)
+  );
+}
+
+async function runImport(file, options) {
+  if (!file) usage();
+
+  const format = detectFormat(file, options.format);
+  const entries = readCatalogFile(file, format);
+  const report = { read: entries.length, inserted: 0, updated: 0, notified: 0, rejected: [] };
+  const seen = new Map();
+  const imdbClaims = new Map();
+  let batch = [];
+
+  for (const entry of entries) {
+    if (entry.error) {
+      report.rejected.push({ row: entry.row, reason: entry.error });
+      continue;
+    }
+
+    let movie;
+    try {
+      movie = normalizeMovie(entry.data);
+    } catch (err) {
+      if (!(err instanceof RowError)) throw err;
+      report.rejected.push({ row: entry.row, id: entry.data && entry.data.id, reason: err.message });
+      continue;
+    }
+
+    const key = movie.id !== undefined ? movie.id : movie.imdb_id;
+    if (seen.has(key)) {
+      report.rejected.push({ row: entry.row, id: movie.id, reason: `duplicate of row ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, entry.row);
+
+    batch.push({ row: entry.row, movie });
+    if (batch.length >= BATCH_SIZE) {
+      await importBatch(batch, { dryRun: options['dry-run'], report, imdbClaims });
+      batch = [];
+    }
+  }
+
+  if (batch.length) {
+    await importBatch(batch, { dryRun: options['dry-run'], report, imdbClaims });
+  }
+
+  printReport(report, options);
+  return report;
+}
+
+function printReport(report, options) {
+  const prefix = options['dry-run'] ? '[dry run] would have ' : '';
+  console.log(`\nRead ${report.read} rows from file`);
+  console.log(`${prefix}inserted: ${report.inserted}`);
+  console.log(`${prefix}updated:  ${report.updated}`);
+  if (!options['dry-run']) console.log(`notifications sent: ${report.notified}`);
+  console.log(`rejected: ${report.rejected.length}`);
+
+  if (report.rejected.length) {
+    report.rejected.sort((a, b) => a.row - b.row);
+    console.log('\nRejected rows:');
+    report.rejected.slice(0, MAX_REJECTS_PRINTED).forEach(r => {
+      console.log(`  row ${r.row}${r.id !== undefined ? ` (id ${r.id})` : ''}: ${r.reason}`);
+    });
+    if (report.rejected.length > MAX_REJECTS_PRINTED) {
+      console.log(`  ... and ${report.rejected.length - MAX_REJECTS_PRINTED} more`);
+    }
+  }
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(report.rejected, null, 2));
+    console.log(`\nFull rejection report written to ${options.report}`);
+  }
+}
+
+async function runExport(file, options) {
+  const format = detectFormat(file, options.format);
+  const stream = file ? fs.createWriteStream(file) : process.stdout;
+  const writer = createCatalogWriter(stream, format);
+
+  let query = Movie.find({}, { _id: 0, __v: 0, createdAt: 0, updatedAt: 0 })
+    .sort({ id: 1 })
+    .lean();
+  if (options.limit) query = query.limit(Number(options.limit));
+
+  writer.start();
+  for await (const movie of query.cursor()) {
+    writer.write(movie);
+  }
+  const count = writer.end();
+
+  if (file) {
+    await new Promise(resolve => stream.end(resolve));
+    console.log(`Exported ${count} movies to ${file}`);
+  }
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      report: { type: 'string' },
+      limit: { type: 'string' }
+    }
+  });
+
+  const [command, file] = positionals;
+  if (!['import', 'export'].includes(command)) usage();
+  if (options.format && !['json', 'ndjson', 'csv'].includes(options.format)) usage();
+
+  // connect directly (not config/db) so nothing but data reaches stdout on export
+  await mongoose.connect(process.env.MONGO_URI);
+
+  if (command === 'import') {
+    await runImport(file, options);
+  } else {
+    await runExport(file, options);
+  }
+
+  await mongoose.disconnect();
+}
+
+module.exports = { runImport };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('catalog failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,88 @@
+// scripts/dedupe-watchlist.js
+// One-off migration for the unique { user, movieId } watchlist index
+// (models/watchlistItem.js): older databases can hold the same movie twice on
+// one watchlist, and the index cannot be built until those are merged.
+//
+//   node scripts/dedupe-watchlist.js [--dry-run]
+//
+// For each duplicated movie the most recently updated entry is kept (the
+// user's latest status, priority and watch date); it takes the earliest
+// createdAt of the group and, when its own notes are empty, the newest
+// non-empty notes. The other entries are deleted and the index is built.
+// Run it once before starting the new version; running it again is harmless.
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+require('dotenv').config({ quiet: true });
+
+const WatchlistItem = require('../models/watchlistItem');
+
+const MAX_GROUPS_PRINTED = 20;
+
+// Entries of one { user, movieId }, newest update first -> the writes that merge them
+function mergeGroup(items) {
+  const [keep, ...drop] = items;
+  const set = {};
+
+  const firstCreated = items.reduce((min, item) => (item.createdAt < min ? item.createdAt : min), keep.createdAt);
+  if (firstCreated < keep.createdAt) set.createdAt = firstCreated;
+
+  if (!keep.notes) {
+    const withNotes = drop.find(item => item.notes);
+    if (withNotes) set.notes = withNotes.notes;
+  }
+
+  return { keep, set, dropIds: drop.map(item => item._id) };
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: { 'dry-run': { type: 'boolean', default: false } }
+  });
+  const dryRun = options['dry-run'];
+
+  // don't let Mongoose try (and fail) to build the unique index on connect
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+
+  const groups = await WatchlistItem.aggregate([
+    { $sort: { updatedAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: { user: '$user', movieId: '$movieId' },
+        items: { $push: { _id: '$_id', createdAt: '$createdAt', notes: '$notes', status: '$status' } },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+
+  const merges = groups.map(group => ({ ...group._id, ...mergeGroup(group.items) }));
+  const removed = merges.reduce((sum, merge) => sum + merge.dropIds.length, 0);
+
+  merges.slice(0, MAX_GROUPS_PRINTED).forEach(merge => {
+    console.log(`user ${merge.user} movie ${merge.movieId}: keeping ${merge.keep._id} (${merge.keep.status}), removing ${merge.dropIds.length}`);
+  });
+  if (merges.length > MAX_GROUPS_PRINTED) console.log(`...and ${merges.length - MAX_GROUPS_PRINTED} more`);
+
+  if (dryRun) {
+    console.log(`Dry run: ${merges.length} duplicated watchlist movies, ${removed} entries would be removed`);
+  } else {
+    if (merges.length) {
+      // straight to the driver: Mongoose would drop a $set of the immutable createdAt
+      await WatchlistItem.collection.bulkWrite(merges.flatMap(merge => [
+        ...(Object.keys(merge.set).length
+          ? [{ updateOne: { filter: { _id: merge.keep._id }, update: { $set: merge.set } } }]
+          : []),
+        { deleteMany: { filter: { _id: { $in: merge.dropIds } } } }
+      ]), { ordered: true });
+    }
+    await WatchlistItem.createIndexes();
+    console.log(`Merged ${merges.length} duplicated watchlist movies, removed ${removed} entries; indexes are built`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('dedupe-watchlist failed:', err.message);
+  process.exit(1);
+});
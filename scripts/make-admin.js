@@ -0,0 +1,38 @@
+// scripts/make-admin.js
+// Usage: node scripts/make-admin.js user@example.com
+// Admins can't be created through /auth/register, so promote an existing account here.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const connectDB = require('../config/db');
+const User = require('../models/user');
+
+async function main() {
+  const email = (process.argv[2] || '').toLowerCase().trim();
+  if (!email) {
+    console.error('Usage: node scripts/make-admin.js <email>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email },
+    { role: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.email} is now an admin`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('make-admin failed:', err.message);
+  process.exit(1);
+});
@@ -10,14 +10,134 @@ const Movie = require('./models/movie');        // Movie model
 const User = require('./models/user');          // User model
 const WatchlistItem = require('./models/watchlistItem');
 const Review = require('./models/review');
+const ReviewVote = require('./models/reviewVote');
+const ReviewReport = require('./models/reviewReport');
+const ModerationLog = require('./models/moderationLog');
+const ApiKey = require('./models/apiKey');
+const MovieList = require('./models/movieList');
+const Follow = require('./models/follow');
+const Activity = require('./models/activity');
+const Notification = require('./models/notification');
 
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const auth = require('./middleware/auth');      // auth middleware
+const requireVerified = require('./middleware/requireVerified');
+const currentUser = require('./middleware/currentUser');
+const requireLogin = require('./middleware/requireLogin');
+const csrfProtection = require('./middleware/csrf');
+const rateLimit = require('./middleware/rateLimit');
+const apiKey = require('./middleware/apiKey');
+const { tooManyRequests } = require('./middleware/rateLimit');
+const validate = require('./middleware/validate');
+const errorHandler = require('./middleware/errorHandler');
+const { buildOpenApiSpec, docsPageModel } = require('./helpers/openapi');
+const {
+  badRequest,
+  forbidden,
+  notFound,
+  conflict,
+  conflictOnDuplicate
+} = require('./helpers/errors');
+const {
+  int,
+  number,
+  string,
+  boolean,
+  oneOf,
+  objectId,
+  date,
+  arrayOf
+} = require('./helpers/validation');
+const {
+  REFRESH_COOKIE,
+  SessionError,
+  parseCookies,
+  setRefreshCookie,
+  clearRefreshCookie,
+  setPageSessionCookie,
+  clearPageSessionCookie,
+  readPageSession,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('./helpers/session');
+const {
+  AccountTokenError,
+  issueAccountToken,
+  consumeAccountToken
+} = require('./helpers/accountTokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('./helpers/mailer');
+const {
+  loginLockRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('./helpers/loginLockout');
+const { escapeRegex, suggestMovies } = require('./helpers/search');
+const { listMovies } = require('./helpers/movieListing');
+const { findSimilarMovies, recommendForUser } = require('./helpers/recommendations');
+const { BROWSE_TYPES, getBrowsePage } = require('./helpers/browse');
+const { runReport, listReports } = require('./helpers/analytics');
+const { TMDB_GENRES } = require('./helpers/catalog');
+const { getUserStats } = require('./helpers/userStats');
+const {
+  activityPrivacy,
+  recordWatchlistActivity,
+  recordReviewActivity,
+  removeReviewActivity,
+  setReviewActivityHidden,
+  getFeed,
+  getUserActivity
+} = require('./helpers/activity');
+const {
+  IMPORT_FORMATS,
+  buildExport,
+  exportToCSV,
+  readImportFile,
+  planImport,
+  applyImport
+} = require('./helpers/importExport');
+const { notifyMovieChanges } = require('./helpers/notifications');
+const { DEFAULT_DAILY_QUOTA, issueApiKey, apiKeyUsageReport } = require('./helpers/apiKeys');
+const {
+  movieCache,
+  cacheKey,
+  jsonEntry,
+  sendJsonEntry,
+  setPageCacheHeaders
+} = require('./helpers/responseCache');
+const { POSTER_PARAMS, POSTER_QUERY, posterUrls, sendPoster } = require('./helpers/posters');
+const {
+  SORT_OPTIONS,
+  parseSort,
+  sortParam,
+  sortChoices,
+  decodeCursor
+} = require('./helpers/movieSort');
+const {
+  parseMovieFilters,
+  buildFilterConditions,
+  filtersToQueryString,
+  getMovieFacets,
+  markSelectedFacets
+} = require('./helpers/movieFilters');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy (Vercel, nginx) req.ip must come from X-Forwarded-For or
+// every client shares the proxy's rate limits. TRUST_PROXY=1 trusts one hop.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Responses get weak ETags and conditional requests a 304 (Express's default,
+// set here because the movie cache in helpers/responseCache.js relies on it)
+app.set('etag', 'weak');
+
 // ---------- MONGOOSE CONNECTION ----------
 async function connectDB() {
   try {
@@ -46,10 +166,29 @@ app.set('view options', { layout: 'layouts/main' });
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ---------- BODY PARSING & METHOD OVERRIDE ----------
+const IMPORT_PATHS = ['/api/me/import', '/me/import'];
 app.use(express.urlencoded({ extended: true })); // parse form data
-app.use(express.json());                         // parse JSON for API
+// parse JSON for API (the import upload reads its own, larger, raw body)
+app.use(express.json({ type: req => !IMPORT_PATHS.includes(req.path) && Boolean(req.is('application/json')) }));
 app.use(methodOverride('_method'));              // support PUT/DELETE in forms
 
+// ---------- POSTER IMAGES ----------
+// Posters from our own origin in the TMDB sizes the card and detail srcsets
+// use (helpers/posters.js). Registered before the page session so image
+// requests never look up a user.
+app.get('/img/poster/:movieId/:size', validate({ params: POSTER_PARAMS, query: POSTER_QUERY }), async (req, res) => {
+  const { movieId, size } = req.validated.params;
+  const { value: movie } = await movieCache.fetch(`poster:${movieId}`, () =>
+    Movie.findOne({ id: movieId }, { id: 1, title: 1, poster_url: 1 }).lean()
+  );
+  if (!movie) throw notFound('Movie not found');
+  await sendPoster(req, res, movie, size);
+});
+
+// ---------- CURRENT USER (PAGE SESSION COOKIE) ----------
+// sets req.currentUser / res.locals.currentUser for every page (never /api/*)
+app.use(currentUser());
+
 // ---------- HELPERS TO FLATTEN MOVIE DATA ----------
 function mapMovieForCard(movie) {
   const safeTitle =
@@ -82,6 +221,7 @@ function mapMovieForCard(movie) {
     title: safeTitle,
     year,
     poster_url: typeof movie.poster_url === 'string' ? movie.poster_url : '',
+    ...posterUrls(movie),
     genresText: genres,
     countryText: countries,
     rating: typeof movie.vote_average === 'number'
@@ -103,12 +243,44 @@ function mapMovieForDetail(movie) {
     ? movie.production_countries.map(c => c?.name).filter(Boolean).join(', ')
     : card.countryText;
 
+  // linked names for the browse pages
+  const companies = Array.isArray(movie.production_companies)
+    ? movie.production_companies.filter(c => c && c.id !== undefined && c.name)
+    : [];
+  const countries = Array.isArray(movie.production_countries)
+    ? movie.production_countries
+        .filter(c => c && c.iso_3166_1 && c.name)
+        .map(c => ({ iso: c.iso_3166_1.toLowerCase(), name: c.name }))
+    : [];
+  const collection = movie.belongs_to_collection && movie.belongs_to_collection.name
+    ? { id: movie.belongs_to_collection.id, name: movie.belongs_to_collection.name }
+    : null;
+
   const languagesText = Array.isArray(movie.spoken_languages)
     ? movie.spoken_languages.map(l => l?.name).filter(Boolean).join(', ')
     : '';
 
+  const community = movie.community_rating || {};
+  const communityCount = community.count || 0;
+  const histogram = Array.isArray(community.histogram) ? community.histogram : [];
+  const maxBucket = Math.max(1, ...histogram);
+  const ratingHistogram = communityCount
+    ? histogram
+        .map((count, i) => ({
+          rating: i + 1,
+          count,
+          percent: Math.round((count / maxBucket) * 100)
+        }))
+        .reverse()
+    : [];
+
   return {
     ...card,
+    communityAverage: typeof community.average === 'number'
+      ? community.average.toFixed(1)
+      : null,
+    communityCount,
+    ratingHistogram,
     overview: movie.overview,
     release_date: movie.release_date,
     vote_average: movie.vote_average,
@@ -118,10 +290,501 @@ function mapMovieForDetail(movie) {
     homepage: movie.homepage,
     countriesText,
     languagesText,
-    companiesText
+    companiesText,
+    companies,
+    countries,
+    collection
+  };
+}
+
+// ---------- HELPERS FOR BROWSE PAGES ----------
+
+function formatMoney(amount) {
+  return amount ? `$${amount.toLocaleString('en-US')}` : '—';
+}
+
+// Route handler for /collections/:key, /companies/:key and /countries/:key
+// (run after validate({ query: BROWSE_QUERY }))
+function browsePage(type, basePath) {
+  return async (req, res) => {
+    const { page, sort } = req.validated.query;
+    const result = await getBrowsePage(type, req.params.key, { page, sort });
+    if (!result) throw notFound(`${BROWSE_TYPES[type].label} not found`);
+
+    const { stats } = result;
+    res.render('browse', {
+      title: result.name,
+      ...result,
+      basePath: `${basePath}/${req.params.key}`,
+      movies: result.items.map(mapMovieForCard),
+      stats: {
+        ...stats,
+        averageRatingText: stats.averageRating !== null ? stats.averageRating.toFixed(1) : 'N/A',
+        totalRevenueText: formatMoney(stats.totalRevenue),
+        totalBudgetText: formatMoney(stats.totalBudget),
+        yearsText: stats.yearFrom && stats.yearTo
+          ? (stats.yearFrom === stats.yearTo ? String(stats.yearFrom) : `${stats.yearFrom}–${stats.yearTo}`)
+          : ''
+      },
+      sortChoices: sortChoices(result.sort),
+      hasPrevPage: page > 1,
+      hasNextPage: page < result.totalPages,
+      prevPage: page - 1,
+      nextPage: page + 1
+    });
+  };
+}
+
+// JSON twin of browsePage for /api/collections/:key etc.
+// (run after validate({ query: BROWSE_API_QUERY }))
+function browseApi(type) {
+  return async (req, res) => {
+    const { page, perPage, sort } = req.validated.query;
+    const result = await getBrowsePage(type, req.params.key, { page, perPage, sort });
+    if (!result) throw notFound(`${BROWSE_TYPES[type].label} not found`);
+
+    const { items, ...meta } = result;
+    res.json({ ...meta, data: items });
   };
 }
 
+// ---------- HELPERS FOR MOVIE WRITES (ADMIN) ----------
+
+// Top-level Movie fields an admin may set; nested docs are validated by movieSchema
+const MOVIE_WRITABLE_FIELDS = Object.keys(Movie.schema.paths)
+  .filter(p => !['_id', '__v', 'createdAt', 'updatedAt', 'community_rating'].includes(p));
+
+function pickMovieFields(body = {}) {
+  const fields = {};
+  MOVIE_WRITABLE_FIELDS.forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  // imdb_id has a sparse unique index: unset it instead of storing null/''
+  if (fields.imdb_id === null || fields.imdb_id === '') fields.imdb_id = undefined;
+  return fields;
+}
+
+function formatDateInput(date) {
+  if (!date) return '';
+  const d = new Date(date);
+  return Number.isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10);
+}
+
+// Turn a nested array into "id | name" lines for the edit textarea
+function toLines(items, key = 'id') {
+  return Array.isArray(items)
+    ? items.map(i => `${i?.[key] ?? ''} | ${i?.name ?? ''}`).join('\n')
+    : '';
+}
+
+const MOVIE_EXISTS = 'A movie with this id or imdb_id already exists';
+
+// Notify watchlists about release / status changes made by a saved edit.
+// `before` is movie.toObject() from before the change. Awaited before the
+// response, as a serverless instance may be frozen once it is sent; the edit
+// is already saved, so a failure is only logged.
+function notifyMovieEdit(before, movie) {
+  return notifyMovieChanges([{ before, after: movie.toObject() }])
+    .catch(err => console.error('Notification error:', err));
+}
+
+// Shared by the admin API and the admin pages' form posts
+async function createMovie(body) {
+  const movie = new Movie(pickMovieFields(body));
+  await movie.save().catch(conflictOnDuplicate(MOVIE_EXISTS));
+  return movie;
+}
+
+// Only the fields sent are changed
+async function updateMovie(id, body) {
+  const movie = await Movie.findOne({ id });
+  if (!movie) throw notFound('Movie not found');
+
+  const before = movie.toObject();
+  const fields = pickMovieFields(body);
+  delete fields.id; // the TMDB id is the movie's key
+  movie.set(fields);
+  await movie.save().catch(conflictOnDuplicate(MOVIE_EXISTS));
+  await notifyMovieEdit(before, movie);
+  return movie;
+}
+
+// The movie goes with its watchlist entries, reviews and everything hanging off them
+async function deleteMovie(id) {
+  const result = await Movie.deleteOne({ id });
+  if (result.deletedCount === 0) throw notFound('Movie not found');
+
+  const reviewIds = await Review.find({ movieId: id }).distinct('_id');
+  await Promise.all([
+    WatchlistItem.deleteMany({ movieId: id }),
+    Review.deleteMany({ movieId: id }),
+    ReviewVote.deleteMany({ review: { $in: reviewIds } }),
+    ReviewReport.deleteMany({ review: { $in: reviewIds } }),
+    Activity.deleteMany({ movieId: id }),
+    Notification.deleteMany({ movieId: id })
+  ]);
+}
+
+// ---------- HELPERS FOR VIEWING STATS ----------
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Share links are signed with their own key so they can never pass as a login token
+function yearInReviewSecret() {
+  return `${process.env.JWT_SECRET}:year-in-review`;
+}
+
+function yearInReviewToken(userId, year) {
+  return jwt.sign({ uid: String(userId), year }, yearInReviewSecret());
+}
+
+// Percent widths for bar rows ({ count } items) in the stats views
+function withPercent(items) {
+  const max = Math.max(1, ...items.map(i => i.count));
+  return items.map(i => ({ ...i, percent: Math.round((i.count / max) * 100) }));
+}
+
+// ---------- HELPERS FOR REVIEW MODERATION ----------
+// Shared by the admin API and the /admin/reviews page
+
+// ?status= values for the moderation queue
+const MODERATION_QUEUES = {
+  // auto-hidden reviews plus visible ones with open reports
+  pending: { $or: [{ status: 'flagged' }, { ...Review.PUBLIC_FILTER, reportCount: { $gt: 0 } }] },
+  flagged: { status: 'flagged' },
+  hidden: { status: 'hidden' },
+  published: Review.PUBLIC_FILTER
+};
+
+// Queue tabs and review status badges of the moderation page
+const MODERATION_QUEUE_TABS = [
+  { value: 'pending', label: 'Needs attention' },
+  { value: 'flagged', label: 'Auto-hidden' },
+  { value: 'hidden', label: 'Hidden' },
+  { value: 'published', label: 'Published' }
+];
+const REVIEW_STATUS_BADGES = {
+  published: 'bg-success',
+  flagged: 'bg-warning text-dark',
+  hidden: 'bg-secondary'
+};
+
+// One page of a moderation queue, each review with its open reports and history
+async function moderationQueue({ status, page, perPage }) {
+  const filter = MODERATION_QUEUES[status];
+
+  const [reviews, totalCount] = await Promise.all([
+    Review.find(filter)
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate('user', 'displayName email')
+      .lean(),
+    Review.countDocuments(filter)
+  ]);
+
+  const reviewIds = reviews.map(r => r._id);
+  const [reports, history, movies] = await Promise.all([
+    ReviewReport.find({ review: { $in: reviewIds }, resolved: false })
+      .sort({ createdAt: -1 })
+      .populate('user', 'displayName')
+      .lean(),
+    ModerationLog.find({ review: { $in: reviewIds } })
+      .sort({ createdAt: -1 })
+      .populate('moderator', 'displayName')
+      .lean(),
+    Movie.find({ id: { $in: reviews.map(r => r.movieId) } }, { id: 1, title: 1 }).lean()
+  ]);
+  const titles = new Map(movies.map(m => [m.id, m.title]));
+
+  return {
+    page,
+    perPage,
+    totalPages: Math.ceil(totalCount / perPage),
+    totalCount,
+    status,
+    threshold: REVIEW_REPORT_THRESHOLD,
+    data: reviews.map(r => ({
+      ...r,
+      user: r.user
+        ? { _id: r.user._id, email: r.user.email, displayName: User.publicName(r.user) }
+        : null,
+      movieTitle: titles.get(r.movieId) || null,
+      reports: reports
+        .filter(rep => String(rep.review) === String(r._id))
+        .map(rep => ({ ...rep, user: User.publicName(rep.user) })),
+      history: history
+        .filter(h => String(h.review) === String(r._id))
+        .map(h => ({ ...h, moderator: User.publicName(h.moderator) }))
+    }))
+  };
+}
+
+// Approve, hide or delete a review and log the decision
+async function moderateReview(reviewId, moderatorId, { action, reason }) {
+  const review = await Review.findById(reviewId);
+  if (!review) throw notFound('Review not found');
+
+  const log = new ModerationLog({
+    review: review._id,
+    movieId: review.movieId,
+    author: review.user,
+    moderator: moderatorId,
+    action,
+    reason,
+    previousStatus: review.status,
+    snapshot: { rating: review.rating, comment: review.comment }
+  });
+  await log.validate();
+
+  if (action === 'delete') {
+    await Promise.all([
+      Review.deleteOne({ _id: review._id }),
+      ReviewVote.deleteMany({ review: review._id }),
+      ReviewReport.deleteMany({ review: review._id }),
+      removeReviewActivity(review._id)
+    ]);
+  } else {
+    // either way the open reports have been dealt with
+    review.status = action === 'approve' ? 'published' : 'hidden';
+    review.reportCount = 0;
+    review.moderation = { action, reason, moderator: moderatorId, at: new Date() };
+    await review.save();
+    await Promise.all([
+      ReviewReport.updateMany({ review: review._id, resolved: false }, { $set: { resolved: true } }),
+      setReviewActivityHidden(review._id, action !== 'approve')
+    ]);
+  }
+
+  await log.save();
+  await Review.refreshMovieRating(review.movieId);
+
+  return action === 'delete' ? { success: true, log } : { review, log };
+}
+
+// ---------- HELPERS FOR ACCOUNT PAGES ----------
+
+// "Oct 19, 2026" for lists of events
+function formatDay(date) {
+  return date ? new Date(date).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: 'UTC' }) : '';
+}
+
+const ACTIVITY_STATUS_PHRASES = {
+  planned: 'plans to watch',
+  watching: 'started watching',
+  watched: 'watched',
+  dropped: 'dropped'
+};
+
+// The words around the movie title in a feed entry ("added <movie> to their watchlist")
+function describeActivity(event) {
+  switch (event.type) {
+    case 'watchlist_add':
+      return {
+        before: 'added',
+        after: `to their watchlist${event.status && event.status !== 'planned' ? ` (${event.status})` : ''}`
+      };
+    case 'watchlist_status':
+      return { before: ACTIVITY_STATUS_PHRASES[event.status] || event.status, after: '' };
+    case 'review_create':
+      return { before: 'reviewed', after: '', showRating: event.rating !== null && event.rating !== undefined };
+    case 'review_update':
+      return { before: 'updated their review of', after: '', showRating: event.rating !== null && event.rating !== undefined };
+    default:
+      return { before: '', after: '' };
+  }
+}
+
+// The /feed page as it was (one person's activity, a people search)
+function feedUrl({ user, q } = {}) {
+  const params = new URLSearchParams();
+  if (user) params.set('user', user);
+  if (q) params.set('q', q);
+  const query = params.toString();
+  return query ? `/feed?${query}` : '/feed';
+}
+
+// ---------- REQUEST SCHEMAS (SHARED) ----------
+// Rules are in helpers/validation.js; validate() puts clean values in req.validated.
+
+const MOVIE_ID_PARAMS = { id: int({ min: 1, required: true }) };
+const OBJECT_ID_PARAMS = { id: objectId({ required: true }) };
+
+// ?page= and ?perPage= with a default and an upper bound for perPage
+function paginationQuery(defaultPerPage, maxPerPage) {
+  return {
+    page: int({ min: 1, default: 1 }),
+    perPage: int({ min: 1, max: maxPerPage, default: defaultPerPage })
+  };
+}
+
+const SORT_QUERY = { sort: string({ maxLength: 40 }) };
+
+// Listing filters: checked here, turned into Mongo conditions by parseMovieFilters
+// (list filters take repeated params or "a,b"; ?genres= is an alias of ?genre=)
+const GENRE_LIST = arrayOf(string({ maxLength: 50 }), { maxItems: 20 });
+const MOVIE_FILTER_QUERY = {
+  genre: GENRE_LIST,
+  genres: GENRE_LIST,
+  language: arrayOf(string({ pattern: /^[a-z]{2,3}$/i, patternMessage: 'must be a language code like en' }), { maxItems: 20 }),
+  country: arrayOf(string({ pattern: /^[a-z]{2}$/i, patternMessage: 'must be a country code like US' }), { maxItems: 50 }),
+  status: arrayOf(string({ maxLength: 40 }), { maxItems: 10 }),
+  minRating: number({ min: 0, max: 10 }),
+  yearFrom: int({ min: 1800, max: 2200 }),
+  yearTo: int({ min: 1800, max: 2200 }),
+  runtimeMin: int({ min: 0 }),
+  runtimeMax: int({ min: 0 }),
+  genreMode: oneOf(['and', 'or']),
+  company: arrayOf(int({ min: 1 }), { maxItems: 50 }),
+  collection: arrayOf(int({ min: 1 }), { maxItems: 50 }),
+  adult: boolean()
+};
+
+// /movies and /api/movies: search, filters, sort and page
+const MOVIE_LISTING_QUERY = {
+  q: string({ maxLength: 200, default: '' }),
+  page: int({ min: 1, default: 1 }),
+  ...SORT_QUERY,
+  ...MOVIE_FILTER_QUERY
+};
+
+const MOVIES_API_QUERY = {
+  ...MOVIE_LISTING_QUERY,
+  ...paginationQuery(10, 100),
+  facets: boolean({ default: true }),
+  cursor: string({ maxLength: 500 })
+};
+
+// Report params on top of the listing filters (each report reads the ones it uses)
+const ANALYTICS_QUERY = {
+  ...MOVIE_FILTER_QUERY,
+  limit: int({ min: 1, max: 100 }),
+  years: int({ min: 1, max: 150 }),
+  minBudget: int({ min: 0 }),
+  minVotes: int({ min: 0 })
+};
+
+const BROWSE_QUERY = { page: int({ min: 1, default: 1 }), ...SORT_QUERY };
+const BROWSE_API_QUERY = { ...paginationQuery(30, 100), ...SORT_QUERY };
+
+// Review bodies (rating bounds as in models/review.js)
+const REVIEW_BODY = {
+  rating: int({ min: 1, max: 10, required: true }),
+  comment: string({ maxLength: 2000, default: '' })
+};
+
+// Review moderation queue and decisions (the admin API and /admin/reviews)
+const MODERATION_QUEUE_QUERY = {
+  ...paginationQuery(20, 100),
+  status: oneOf(Object.keys(MODERATION_QUEUES), { default: 'pending' })
+};
+const MODERATION_BODY = {
+  action: oneOf(ModerationLog.MODERATION_ACTIONS, { required: true }),
+  reason: string({ required: true, maxLength: 500 })
+};
+
+// My viewing stats, all time or one year (the API and /me/stats)
+const STATS_QUERY = { year: int({ min: 1000, max: 9999 }) };
+
+// Export / import of my watchlist and reviews (the API and /me/import)
+const EXPORT_QUERY = { format: oneOf(['json', 'csv'], { default: 'json' }) };
+const IMPORT_QUERY = {
+  format: oneOf(['auto', ...IMPORT_FORMATS], { default: 'auto' }),
+  commit: boolean({ default: false })
+};
+
+// Who sees my activity (the API and the /feed form)
+const PRIVACY_BODY = {
+  watchlist: oneOf(User.ACTIVITY_VISIBILITIES),
+  reviews: oneOf(User.ACTIVITY_VISIBILITIES)
+};
+
+// The /feed page: my feed or ?user= one person's activity, ?q= people search
+const FEED_PAGE_QUERY = {
+  ...paginationQuery(20, 50),
+  user: objectId(),
+  q: string({ maxLength: 40, default: '' })
+};
+// What the feed page showed when it posted a follow form
+const FEED_RETURN_BODY = {
+  user: objectId(),
+  q: string({ maxLength: 40, default: '' })
+};
+
+// My notifications, all or unread only (the API and /notifications)
+const NOTIFICATIONS_QUERY = {
+  ...paginationQuery(20, 100),
+  unread: boolean({ default: false })
+};
+
+// Watchlist changes from the page form; the API can also set watchedAt
+const WATCHLIST_FORM_BODY = {
+  status: oneOf(WatchlistItem.WATCH_STATUSES),
+  priority: int({ min: 1, max: 5 }),
+  notes: string({ maxLength: 1000 })
+};
+const WATCHLIST_UPDATE_BODY = {
+  ...WATCHLIST_FORM_BODY,
+  watchedAt: date({ nullable: true })
+};
+const WATCHLIST_CREATE_BODY = {
+  ...WATCHLIST_UPDATE_BODY,
+  movieId: int({ min: 1, required: true }),
+  movieTitle: string({ required: true, maxLength: 300 }),
+  poster_url: string({ required: true, maxLength: 500 }),
+  status: oneOf(WatchlistItem.WATCH_STATUSES, { default: 'planned' })
+};
+
+// ---------- HELPERS FOR AUTH ----------
+
+// Account fields returned by login/refresh (never the password hash)
+function publicAccount(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    displayName: User.publicName(user),
+    emailVerified: Boolean(user.emailVerified)
+  };
+}
+
+// Absolute link for emails. Set APP_URL in production so links never depend
+// on the request's Host header.
+function appUrl(req, pathname) {
+  const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+// Emails are stored lowercased (see models/user.js), so lookups are too
+const EMAIL = string({
+  required: true,
+  maxLength: 254,
+  lowercase: true,
+  pattern: /^[^\s@]+@[^\s@]+$/,
+  patternMessage: 'must be a valid email address'
+});
+const NEW_PASSWORD = string({ required: true, minLength: 6, maxLength: 200, trim: false });
+
+const REGISTER_BODY = {
+  email: EMAIL,
+  password: NEW_PASSWORD,
+  displayName: string({ minLength: 2, maxLength: 40 })
+};
+const LOGIN_BODY = {
+  email: EMAIL,
+  password: string({ required: true, maxLength: 200, trim: false })
+};
+const RESET_PASSWORD_BODY = {
+  token: string({ required: true, maxLength: 500 }),
+  password: NEW_PASSWORD
+};
+
+async function sendVerificationLink(user, req) {
+  const token = await issueAccountToken(user, 'email-verify');
+  await sendVerificationEmail(user, appUrl(req, `/auth/verify-email?token=${encodeURIComponent(token)}`));
+}
+
 // ---------- AUTH ROUTES (JWT) ----------
 
 // Render register form
@@ -135,57 +798,200 @@ app.get('/auth/login', (req, res) => {
 });
 
 // Register user
-app.post('/auth/register', async (req, res) => {
+app.post('/auth/register', rateLimit('register'), validate({ body: REGISTER_BODY }), async (req, res) => {
+  // role is never taken from the request: new accounts are always plain users
+  const { email, password, displayName } = req.validated.body;
+
+  const existing = await User.findOne({ email });
+  if (existing) throw conflict('User already exists');
+
+  const user = new User({ email, password, displayName, role: 'user' });
+  await user.save().catch(conflictOnDuplicate('User already exists'));
+
+  // the account exists either way; a mail failure only delays verification
   try {
-    const { email, password, role } = req.body;
+    await sendVerificationLink(user, req);
+  } catch (mailErr) {
+    console.error('Could not send verification email:', mailErr);
+  }
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+  res.status(201).json({ message: 'User registered successfully. Check your email to verify your address.' });
+});
 
-    const existing = await User.findOne({ email });
-    if (existing) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+// Login user
+app.post('/auth/login', rateLimit('login'), validate({ body: LOGIN_BODY }), async (req, res) => {
+  const { email, password } = req.validated.body;
 
-    const user = new User({ email, password, role });
-    await user.save();
+  const lockedFor = await loginLockRemaining(email);
+  if (lockedFor) {
+    throw tooManyRequests(res, lockedFor, 'Too many failed login attempts. Please try again later.');
+  }
 
-    res.status(201).json({ message: 'User registered successfully' });
-  } catch (err) {
-    console.error('Register error:', err);
-    res.status(500).json({ error: 'Server error' });
+  const user = await User.findOne({ email });
+  const isMatch = user ? await user.comparePassword(password) : false;
+  if (!isMatch) {
+    const lockSeconds = await recordLoginFailure(email);
+    if (lockSeconds) {
+      throw tooManyRequests(res, lockSeconds, 'Too many failed login attempts. Please try again later.');
+    }
+    throw badRequest('Invalid credentials');
   }
+  await clearLoginFailures(email);
+
+  // short-lived access token in the body, refresh token in an httpOnly cookie,
+  // plus the page cookie that server-rendered pages read
+  const { session, refreshToken, accessToken } = await startSession(user, req);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  setPageSessionCookie(res, user, session);
+
+  res.json({
+    token: accessToken,
+    user: publicAccount(user)
+  });
 });
 
-// Login user
-app.post('/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Render "forgot password" form
+app.get('/auth/forgot-password', (req, res) => {
+  res.render('auth-forgot', { title: 'Forgot password' });
+});
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+// Email a password reset link. Always answers the same way so the form
+// cannot be used to find out which emails have accounts.
+app.post('/auth/forgot-password', rateLimit('account-email'), validate({ body: { email: EMAIL } }), async (req, res) => {
+  const user = await User.findOne({ email: req.validated.body.email });
+  if (user) {
+    const token = await issueAccountToken(user, 'password-reset');
+    try {
+      await sendPasswordResetEmail(user, appUrl(req, `/auth/reset-password?token=${encodeURIComponent(token)}`));
+    } catch (mailErr) {
+      console.error('Could not send password reset email:', mailErr);
     }
+  }
+
+  res.json({ message: 'If an account exists for that email, a reset link is on its way.' });
+});
 
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials' });
+// Render "choose a new password" form (the token travels in the query string)
+app.get('/auth/reset-password', (req, res) => {
+  res.render('auth-reset', {
+    title: 'Reset password',
+    token: typeof req.query.token === 'string' ? req.query.token : ''
+  });
+});
 
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) return res.status(400).json({ error: 'Invalid credentials' });
+// Set a new password with a reset token; every existing session is logged out
+app.post('/auth/reset-password', rateLimit('account-email'), validate({ body: RESET_PASSWORD_BODY }), async (req, res) => {
+  const { token, password } = req.validated.body;
 
-    const payload = { id: user._id, role: user.role };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '1d',
+  const user = await consumeAccountToken(token, 'password-reset', id => User.findById(id));
+  user.password = password;
+  // following the emailed link proves the address too
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id, 'password reset');
+
+  clearRefreshCookie(res);
+  clearPageSessionCookie(res);
+  res.json({ message: 'Your password has been reset. Please log in.' });
+});
+
+// Send (or resend) my verification email
+app.post('/auth/verify-email', auth(), rateLimit('account-email'), async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw notFound('User not found');
+  if (user.emailVerified) {
+    return res.json({ message: 'Your email address is already verified.' });
+  }
+
+  await sendVerificationLink(user, req);
+  res.json({ message: 'Verification email sent.' });
+});
+
+// Confirm an email address from the emailed link
+app.get('/auth/verify-email', async (req, res) => {
+  let user;
+  try {
+    user = await consumeAccountToken(req.query.token, 'email-verify', id => User.findById(id));
+  } catch (err) {
+    if (!(err instanceof AccountTokenError)) throw err;
+    return res.status(400).render('auth-verify', {
+      title: 'Verification failed',
+      success: false,
+      message: `${err.message}. Log in and request a new verification email.`
     });
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  res.render('auth-verify', {
+    title: 'Email verified',
+    success: true,
+    message: 'Thanks! Your email address is confirmed and you can now post reviews.'
+  });
+});
+
+// Exchange the refresh cookie for a new access token (and rotate the cookie)
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { session, user, refreshToken, accessToken } = await rotateSession(
+      parseCookies(req)[REFRESH_COOKIE],
+      req,
+      id => User.findById(id)
+    );
+    // no new refresh token when a concurrent refresh already rotated this one
+    if (refreshToken) setRefreshCookie(res, refreshToken, session.expiresAt);
+    setPageSessionCookie(res, user, session);
 
     res.json({
-      token,
-      user: { id: user._id, email: user.email, role: user.role }
+      token: accessToken,
+      user: publicAccount(user)
     });
   } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: 'Server error' });
+    // a dead refresh token is answered by the error handler; its cookies go now
+    if (err instanceof SessionError) {
+      clearRefreshCookie(res);
+      clearPageSessionCookie(res);
+    }
+    throw err;
+  }
+});
+
+// Log out this device: revoke its session and drop the cookies
+app.post('/auth/logout', async (req, res) => {
+  await revokeRefreshToken(parseCookies(req)[REFRESH_COOKIE]);
+
+  const pageSession = readPageSession(req);
+  if (pageSession) await revokeSession({ _id: pageSession.sid, user: pageSession.id }, 'logout');
+
+  // a client without the cookie can still end its session with the access token
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    try {
+      const decoded = jwt.verify(header.slice(7), process.env.JWT_SECRET);
+      if (decoded.sid) await revokeSession({ _id: decoded.sid, user: decoded.id }, 'logout');
+    } catch (err) {
+      // expired or invalid access token: nothing more to revoke
+    }
   }
+
+  clearRefreshCookie(res);
+  clearPageSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Log out everywhere: revoke every session of the current user
+app.post('/auth/logout-all', auth(), async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.id);
+  clearRefreshCookie(res);
+  clearPageSessionCookie(res);
+  res.json({ success: true, revoked });
 });
 
 // ---------- PAGE ROUTES ----------
@@ -195,339 +1001,1704 @@ app.get('/', (req, res) => {
   res.redirect('/movies');
 });
 
-// All listings with search + pagination + genre + rating filters
-app.get('/movies', async (req, res) => {
-  try {
-    const query = req.query.q || '';               // name search
-    const genreFilter = req.query.genre || '';     // selected genre
-    const minRating = req.query.minRating
-      ? Number(req.query.minRating)
-      : null;
-
-    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
-    const limit = 30;
-    const skip = (page - 1) * limit;
-
-    const baseFilter = {
-      poster_url: {
-        $type: 'string',
-        $ne: ''
-      }
-    };
-
-    const andConditions = [];
-
-    if (query) {
-      andConditions.push({
-        title: { $regex: query, $options: 'i' }
-      });
-    }
+// All listings with search + pagination + faceted filters
+app.get('/movies', validate({ query: MOVIE_LISTING_QUERY }), async (req, res) => {
+  const { q: query, page } = req.validated.query;   // name search
+  const filters = parseMovieFilters(req.validated.query);
 
-    if (genreFilter) {
-      andConditions.push({
-        'genres.name': { $regex: genreFilter, $options: 'i' }
-      });
+  const limit = 30;
+  const skip = (page - 1) * limit;
+
+  const baseFilter = {
+    poster_url: {
+      $type: 'string',
+      $ne: ''
     }
+  };
 
-    if (minRating !== null && !Number.isNaN(minRating)) {
-      andConditions.push({
-        vote_average: { $gte: minRating }
-      });
+  const andConditions = buildFilterConditions(filters);
+
+  if (andConditions.length > 0) {
+    baseFilter.$and = andConditions;
+  }
+
+  // text search ranks by relevance unless a sort is picked; unknown sorts fall back
+  const sortSpec = parseSort(req.validated.query.sort, { allowRelevance: Boolean(query) }) ||
+    parseSort('', { allowRelevance: Boolean(query) });
+
+  // listing + facet counts come from the movie cache when the same query ran recently
+  const { value: cached, hit } = await movieCache.fetch(
+    cacheKey('page:movies', { q: query, page, sort: sortParam(sortSpec), filters }),
+    async () => {
+      const listing = await listMovies({ q: query, filter: baseFilter, sortSpec, skip, limit });
+      return { listing, facets: await getMovieFacets(listing.matchFilter) };
     }
+  );
+  const { listing, facets } = cached;
+  const totalCount = listing.totalCount;
+
+  const moviesMapped = listing.items.map(mapMovieForCard);
+
+  const movies = moviesMapped.filter(
+    m => typeof m.title === 'string' && m.title.trim() !== '' &&
+         typeof m.poster_url === 'string' && m.poster_url.trim() !== ''
+  );
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  setPageCacheHeaders(req, res, { hit });
+  res.render('movies', {
+    title: 'All Movies',
+    movies,
+    totalMovies: totalCount,
+    query,
+    fuzzyResults: listing.fuzzy,
+    filters,
+    facets: markSelectedFacets(facets, filters),
+    sortChoices: sortChoices(sortParam(sortSpec)),
+    sort: sortParam(sortSpec),
+    filterQuery: filtersToQueryString(filters, {
+      q: query,
+      sort: req.validated.query.sort ? sortParam(sortSpec) : ''
+    }),
+    minRating: filters.minRating !== null ? String(filters.minRating) : '',
+    adult: filters.adult !== null ? String(filters.adult) : '',
+    currentPage: page,
+    totalPages,
+    hasPrevPage: page > 1,
+    hasNextPage: page < totalPages,
+    prevPage: page > 1 ? page - 1 : 1,
+    nextPage: page < totalPages ? page + 1 : totalPages
+  });
+});
 
-    if (andConditions.length > 0) {
-      baseFilter.$and = andConditions;
+// Admin: create movie page (its script posts to POST /movies/new)
+app.get('/movies/new', requireLogin('admin'), (req, res) => {
+  res.render('movie-edit', {
+    title: 'Add Movie',
+    mode: 'create',
+    movie: {}
+  });
+});
+
+// Single movie detail page
+app.get('/movie/:id', validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  const { id } = req.validated.params; // TMDB numeric id
+
+  const [{ value: cached, hit }, myReview] = await Promise.all([
+    movieCache.fetch(`page:movie:${id}`, async () => {
+      const movieRaw = await Movie.findOne({ id }).lean();
+      return movieRaw ? { movieRaw, similar: await findSimilarMovies(movieRaw, 12) } : null;
+    }),
+    req.currentUser
+      ? Review.findOne({ movieId: id, user: req.currentUser._id }, { rating: 1, comment: 1, status: 1 }).lean()
+      : null
+  ]);
+  if (!cached) throw notFound('Movie not found');
+
+  const movie = mapMovieForDetail(cached.movieRaw);
+  const { similar } = cached;
+
+  setPageCacheHeaders(req, res, { hit });
+  res.render('movie-detail', {
+    title: movie.title,
+    ...movie,
+    similarMovies: similar.map(mapMovieForCard),
+    myReview: myReview ? { ...myReview, _id: String(myReview._id) } : null
+  });
+});
+
+// Admin: edit movie page (its script posts to POST /movie/:id/edit)
+app.get('/movie/:id/edit', requireLogin('admin'), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  const movie = await Movie.findOne({ id: req.validated.params.id }).lean();
+  if (!movie) throw notFound('Movie not found');
+
+  res.render('movie-edit', {
+    title: `Edit ${movie.title}`,
+    mode: 'edit',
+    movie: {
+      ...movie,
+      release_date: formatDateInput(movie.release_date),
+      genresText: toLines(movie.genres),
+      companiesText: toLines(movie.production_companies),
+      countriesText: toLines(movie.production_countries, 'iso_3166_1'),
+      languagesText: toLines(movie.spoken_languages, 'iso_639_1')
     }
+  });
+});
 
-    const [moviesRaw, totalCount] = await Promise.all([
-      Movie.find(baseFilter)
-        .sort({ popularity: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Movie.countDocuments(baseFilter)
-    ]);
+// Admin: delete confirmation page (its form posts to POST /movie/:id/delete)
+app.get('/movie/:id/delete', requireLogin('admin'), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  const movieRaw = await Movie.findOne({ id: req.validated.params.id }).lean();
+  if (!movieRaw) throw notFound('Movie not found');
 
-    const moviesMapped = moviesRaw.map(mapMovieForCard);
+  const movie = mapMovieForCard(movieRaw);
+  res.render('movie-delete', {
+    title: `Delete ${movie.title}`,
+    movie
+  });
+});
 
-    const movies = moviesMapped.filter(
-      m => typeof m.title === 'string' && m.title.trim() !== '' &&
-           typeof m.poster_url === 'string' && m.poster_url.trim() !== ''
-    );
+// Watchlist page, rendered for the logged-in user (filtering and edits via JS)
+app.get('/watchlist', requireLogin(), async (req, res) => {
+  const items = await WatchlistItem.find({ user: req.currentUser._id })
+    .sort(WATCHLIST_SORTS.added)
+    .lean();
 
-    const totalPages = Math.ceil(totalCount / limit);
-
-    const allGenres = [
-      'Action', 'Adventure', 'Animation', 'Comedy', 'Crime',
-      'Documentary', 'Drama', 'Family', 'Fantasy', 'History',
-      'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction',
-      'TV Movie', 'Thriller', 'War', 'Western'
-    ];
-
-    res.render('movies', {
-      title: 'All Movies',
-      movies,
-      totalMovies: totalCount,
-      query,
-      genre: genreFilter,
-      minRating: req.query.minRating || '',
-      currentPage: page,
-      totalPages,
-      hasPrevPage: page > 1,
-      hasNextPage: page < totalPages,
-      prevPage: page > 1 ? page - 1 : 1,
-      nextPage: page < totalPages ? page + 1 : totalPages,
-      genres: allGenres
-    });
-  } catch (err) {
-    console.error('Error loading movies:', err);
-    res.status(500).send('Server error');
-  }
+  const counts = { all: items.length };
+  WatchlistItem.WATCH_STATUSES.forEach(status => {
+    counts[status] = items.filter(i => i.status === status).length;
+  });
+
+  res.render('watchlist', {
+    title: 'My Watchlist',
+    items: items.map(item => ({
+      ...item,
+      _id: String(item._id),
+      ...posterUrls({ id: item.movieId, poster_url: item.poster_url }),
+      createdAt: item.createdAt ? item.createdAt.toISOString() : '',
+      watchedAt: item.watchedAt ? item.watchedAt.toISOString() : '',
+      watchedLabel: item.status === 'watched' && item.watchedAt
+        ? item.watchedAt.toISOString().slice(0, 10)
+        : ''
+    })),
+    counts,
+    statuses: WatchlistItem.WATCH_STATUSES.map(status => ({
+      value: status,
+      label: status[0].toUpperCase() + status.slice(1),
+      count: counts[status]
+    })),
+    priorities: WATCHLIST_PRIORITIES
+  });
 });
 
-// Single movie detail page
-app.get('/movie/:id', async (req, res) => {
+// Admin: review moderation queue; each review's form posts the decision
+app.get('/admin/reviews', requireLogin('admin'), validate({ query: MODERATION_QUEUE_QUERY }), async (req, res) => {
+  const queue = await moderationQueue(req.validated.query);
+
+  res.render('admin-reviews', {
+    title: 'Review moderation',
+    ...queue,
+    queues: MODERATION_QUEUE_TABS.map(tab => ({ ...tab, active: tab.value === queue.status })),
+    reviews: queue.data.map(r => ({
+      ...r,
+      _id: String(r._id),
+      statusBadge: REVIEW_STATUS_BADGES[r.status] || 'bg-light text-dark',
+      createdLabel: formatDay(r.createdAt),
+      reports: r.reports.map(rep => ({ ...rep, createdLabel: formatDay(rep.createdAt) })),
+      history: r.history.map(h => ({ ...h, createdLabel: formatDay(h.createdAt) }))
+    })),
+    hasPrevPage: queue.page > 1,
+    hasNextPage: queue.page < queue.totalPages,
+    prevPage: queue.page - 1,
+    nextPage: queue.page + 1
+  });
+});
+
+// Browse: one collection (release order), production company or country
+app.get('/collections/:key', validate({ query: BROWSE_QUERY }), browsePage('collection', '/collections'));
+app.get('/companies/:key', validate({ query: BROWSE_QUERY }), browsePage('company', '/companies'));
+app.get('/countries/:key', validate({ query: BROWSE_QUERY }), browsePage('country', '/countries'));
+
+// Catalog analytics dashboard (charts drawn client-side from /api/analytics)
+app.get('/analytics', validate({ query: MOVIE_FILTER_QUERY }), (req, res) => {
+  const filters = parseMovieFilters(req.validated.query);
+  res.render('analytics', {
+    title: 'Analytics',
+    filters,
+    genres: Object.keys(TMDB_GENRES).sort().map(name => ({
+      name,
+      selected: filters.genres.some(genre => genre.toLowerCase() === name.toLowerCase())
+    })),
+    language: filters.languages.join(','),
+    country: filters.countries.join(','),
+    filterQuery: filtersToQueryString(filters)
+  });
+});
+
+// My viewing stats, all time or ?year=YYYY (which adds a share link)
+app.get('/me/stats', requireLogin(), validate({ query: STATS_QUERY }), async (req, res) => {
+  const { year } = req.validated.query;
+  const stats = await getUserStats(req.currentUser._id, { year: year || null });
+  const { ratings } = stats;
+  const histogramMax = Math.max(1, ...ratings.histogram.map(h => Math.max(h.mine, h.tmdb)));
+
+  res.render('me-stats', {
+    title: 'My stats',
+    year,
+    years: stats.availableYears.map(value => ({ value, selected: value === year })),
+    totals: stats.totals,
+    averageDifferenceText: ratings.averageDifference === null
+      ? '–'
+      : `${ratings.averageDifference > 0 ? '+' : ''}${ratings.averageDifference}`,
+    favoriteGenres: withPercent(stats.favoriteGenres),
+    favoriteDecades: withPercent(stats.favoriteDecades),
+    languages: withPercent(stats.languages),
+    countries: withPercent(stats.countries),
+    ratings: {
+      ...ratings,
+      // highest rating first
+      histogram: ratings.histogram.slice().reverse().map(h => ({
+        ...h,
+        minePercent: Math.round((h.mine / histogramMax) * 100),
+        tmdbPercent: Math.round((h.tmdb / histogramMax) * 100)
+      }))
+    },
+    shareUrl: year ? appUrl(req, `/year-in-review/${yearInReviewToken(req.currentUser._id, year)}`) : null
+  });
+});
+
+// Import / export page; its script sends the chosen file to POST /me/import
+app.get('/me/import', requireLogin(), (req, res) => {
+  res.render('me-import', { title: 'Import & export' });
+});
+
+// Download my watchlist and reviews — ?format=json (default) or csv
+app.get('/me/export', requireLogin(), validate({ query: EXPORT_QUERY }), async (req, res) => {
+  await sendExport(res, req.currentUser._id, req.validated.query.format);
+});
+
+// My notifications, all or ?unread=true, newest first
+app.get('/notifications', requireLogin(), validate({ query: NOTIFICATIONS_QUERY }), async (req, res) => {
+  const result = await notificationPage(req.currentUser._id, req.validated.query);
+
+  res.render('notifications', {
+    title: 'Notifications',
+    ...result,
+    unread: req.validated.query.unread,
+    notifications: result.data.map(n => ({
+      ...n,
+      _id: String(n._id),
+      createdLabel: formatDay(n.createdAt)
+    })),
+    hasPrevPage: result.page > 1,
+    hasNextPage: result.page < result.totalPages,
+    prevPage: result.page - 1,
+    nextPage: result.page + 1
+  });
+});
+
+// How many of my notifications are unread (the navbar bell)
+app.get('/notifications/unread-count', requireLogin(), async (req, res) => {
+  const unread = await Notification.countDocuments(inboxFilter(req.currentUser._id, { readAt: null }));
+  res.json({ unread });
+});
+
+// Activity feed of the people I follow, or ?user= one person's activity as
+// far as their settings let me see it; ?q= finds people to follow
+app.get('/feed', requireLogin(), validate({ query: FEED_PAGE_QUERY }), async (req, res) => {
+  const userId = req.currentUser._id;
+  const { user, q, page, perPage } = req.validated.query;
+
+  const [activity, author, following, people, me] = await Promise.all([
+    user ? getUserActivity(userId, user, { page, perPage }) : getFeed(userId, { page, perPage }),
+    user ? User.findById(user, { displayName: 1 }).lean() : null,
+    followPage(userId, 'following', { page: 1, perPage: 200 }),
+    q.length >= 2 ? findPeople(userId, q, 20) : [],
+    User.findById(userId, { activityPrivacy: 1 }).lean()
+  ]);
+  if (!activity) throw notFound('User not found');
+
+  const privacy = activityPrivacy(me);
+  const visibilityChoices = selected => User.ACTIVITY_VISIBILITIES.map(value => ({
+    value,
+    label: value[0].toUpperCase() + value.slice(1),
+    selected: value === selected
+  }));
+
+  res.render('feed', {
+    title: author ? User.publicName(author) : 'Feed',
+    ...activity,
+    viewedUser: user || '',
+    q,
+    events: activity.data.map(e => ({
+      ...e,
+      ...describeActivity(e),
+      user: { ...e.user, _id: String(e.user._id) },
+      createdLabel: formatDay(e.createdAt)
+    })),
+    emptyText: user ? 'No activity you can see.' : 'Nothing here yet. Follow people to see what they watch and review.',
+    following: following.data.map(f => ({ ...f, _id: String(f._id) })),
+    followingCount: following.totalCount,
+    people: people.map(p => ({ ...p, _id: String(p._id) })),
+    searched: q.length >= 2,
+    watchlistChoices: visibilityChoices(privacy.watchlist),
+    reviewChoices: visibilityChoices(privacy.reviews),
+    hasPrevPage: activity.page > 1,
+    hasNextPage: activity.page < activity.totalPages,
+    prevPage: activity.page - 1,
+    nextPage: activity.page + 1
+  });
+});
+
+// Shared "year in review" (anyone with the link can view it)
+app.get('/year-in-review/:token', async (req, res) => {
+  let payload;
   try {
-    const id = Number(req.params.id); // TMDB numeric id
-
-    const movieRaw = await Movie.findOne({ id }).lean();
-    if (!movieRaw) {
-      return res.status(404).render('error', {
-        title: 'Not found',
-        message: 'Movie not found'
-      });
+    payload = jwt.verify(req.params.token, yearInReviewSecret());
+  } catch (err) {
+    throw notFound('This year in review link is not valid');
+  }
+
+  const user = await User.findById(payload.uid, { displayName: 1 }).lean();
+  if (!user) throw notFound('This year in review link is not valid');
+
+  const stats = await getUserStats(user._id, { year: payload.year });
+  const { highlights } = stats;
+
+  res.render('year-in-review', {
+    title: `${User.publicName(user)}'s ${payload.year} in movies`,
+    displayName: User.publicName(user),
+    year: payload.year,
+    totals: stats.totals,
+    ratings: stats.ratings,
+    favoriteGenres: withPercent(stats.favoriteGenres),
+    favoriteDecades: withPercent(stats.favoriteDecades),
+    languages: withPercent(stats.languages),
+    countries: withPercent(stats.countries),
+    highlights: {
+      ...highlights,
+      busiestMonthName: highlights.busiestMonth ? MONTH_NAMES[highlights.busiestMonth - 1] : null,
+      months: withPercent(highlights.moviesPerMonth.map((count, i) => ({
+        label: MONTH_NAMES[i].slice(0, 3),
+        count
+      })))
     }
+  });
+});
+
+// Shared custom list page (public or unlisted lists only)
+app.get('/lists/:slug', async (req, res) => {
+  const list = await MovieList.findOne({
+    slug: req.params.slug,
+    visibility: { $ne: 'private' }
+  }).lean();
+  if (!list) throw notFound('List not found');
+
+  const movieIds = list.entries.map(e => e.movieId);
+  const moviesRaw = await Movie.find({ id: { $in: movieIds } }).lean();
+  const byId = new Map(moviesRaw.map(m => [m.id, m]));
+
+  // keep the list's own order; skip movies removed from the catalog
+  const entries = list.entries
+    .filter(e => byId.has(e.movieId))
+    .map((e, i) => ({
+      ...mapMovieForCard(byId.get(e.movieId)),
+      position: i + 1,
+      note: e.note
+    }));
+
+  res.render('list', {
+    title: list.title,
+    list,
+    entries,
+    isPublic: list.visibility === 'public'
+  });
+});
+
+// ---------- PAGE FORM ROUTES (COOKIE SESSION + CSRF) ----------
+// Plain form posts from server-rendered pages. They answer with a redirect,
+// or with JSON when the page's script submits them with Accept: application/json
+// (errors go through the error handler, which picks JSON or the error page the same way).
 
-    const movie = mapMovieForDetail(movieRaw);
+function wantsJson(req) {
+  return req.accepts(['html', 'json']) === 'json';
+}
 
-    res.render('movie-detail', {
-      title: movie.title,
-      ...movie
+// Log out this device
+app.post('/account/logout', requireLogin(), csrfProtection(), async (req, res) => {
+  await revokeSession({ _id: req.pageSessionId, user: req.currentUser._id }, 'logout');
+  clearRefreshCookie(res);
+  clearPageSessionCookie(res);
+  res.redirect('/movies');
+});
+
+// Log out on every device
+app.post('/account/logout-all', requireLogin(), csrfProtection(), async (req, res) => {
+  await revokeAllSessions(req.currentUser._id);
+  clearRefreshCookie(res);
+  clearPageSessionCookie(res);
+  res.redirect('/movies');
+});
+
+// Update one of my watchlist items (status, priority, notes)
+app.post(
+  '/watchlist/:id',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('watchlist-write'),
+  validate({ params: OBJECT_ID_PARAMS, body: WATCHLIST_FORM_BODY }),
+  async (req, res) => {
+    const item = await WatchlistItem.findOne({
+      _id: req.validated.params.id,
+      user: req.currentUser._id
     });
-  } catch (err) {
-    console.error('Error loading movie detail:', err);
-    res.status(500).send('Server error');
+    if (!item) throw notFound('Watchlist item not found');
+
+    const previousStatus = item.status;
+    applyWatchlistChanges(item, req.validated.body);
+    await item.save();
+    if (item.status !== previousStatus) await recordWatchlistActivity('watchlist_status', item);
+
+    if (wantsJson(req)) return res.json(item);
+    res.redirect('/watchlist');
+  }
+);
+
+// Remove one of my watchlist items
+app.post(
+  '/watchlist/:id/delete',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('watchlist-write'),
+  validate({ params: OBJECT_ID_PARAMS }),
+  async (req, res) => {
+    await WatchlistItem.deleteOne({
+      _id: req.validated.params.id,
+      user: req.currentUser._id
+    });
+    if (wantsJson(req)) return res.json({ success: true });
+    res.redirect('/watchlist');
+  }
+);
+
+// Create or replace my review of a movie (verified accounts only)
+app.post(
+  '/movie/:id/review',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('review-write'),
+  validate({ params: MOVIE_ID_PARAMS, body: REVIEW_BODY }),
+  async (req, res) => {
+    const movieId = req.validated.params.id;
+    if (!req.currentUser.emailVerified) {
+      throw forbidden('Please verify your email address first', 'EMAIL_NOT_VERIFIED');
+    }
+
+    const { rating, comment } = req.validated.body;
+    const review = await Review.findOne({ movieId, user: req.currentUser._id })
+      || new Review({ user: req.currentUser._id, movieId });
+    const type = review.isNew ? 'review_create' : 'review_update';
+    review.rating = rating;
+    review.comment = comment;
+    await review.save();
+    await Review.refreshMovieRating(movieId);
+    await recordReviewActivity(type, review);
+
+    if (wantsJson(req)) return res.json(review);
+    res.redirect(`/movie/${movieId}`);
+  }
+);
+
+// Delete my review of a movie
+app.post(
+  '/movie/:id/review/delete',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('review-write'),
+  validate({ params: MOVIE_ID_PARAMS }),
+  async (req, res) => {
+    const movieId = req.validated.params.id;
+    const deleted = await Review.findOneAndDelete({ movieId, user: req.currentUser._id }).lean();
+    if (deleted) {
+      await Promise.all([
+        Review.refreshMovieRating(movieId),
+        ReviewVote.deleteMany({ review: deleted._id }),
+        ReviewReport.deleteMany({ review: deleted._id }),
+        removeReviewActivity(deleted._id)
+      ]);
+    }
+
+    if (wantsJson(req)) return res.json({ success: true });
+    res.redirect(`/movie/${movieId}`);
+  }
+);
+
+// Preview or apply an import file; the import page's script sends it as the
+// raw body with the CSRF token in X-CSRF-Token
+app.post(
+  '/me/import',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('data-import'),
+  importBody(),
+  validate({ query: IMPORT_QUERY }),
+  async (req, res) => {
+    res.json(await importFile(req.currentUser._id, req.body, req.validated.query));
+  }
+);
+
+// Change who sees my activity
+app.post('/me/privacy', requireLogin(), csrfProtection(), validate({ body: PRIVACY_BODY }), async (req, res) => {
+  const privacy = await updateActivityPrivacy(req.currentUser._id, req.validated.body);
+  if (wantsJson(req)) return res.json(privacy);
+  res.redirect('/feed');
+});
+
+// Follow / unfollow someone from the feed page, then back to what it showed
+app.post(
+  '/users/:id/follow',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('follow-write'),
+  validate({ params: OBJECT_ID_PARAMS, body: FEED_RETURN_BODY }),
+  async (req, res) => {
+    await followUser(req.currentUser._id, req.validated.params.id);
+    if (wantsJson(req)) return res.json({ following: true });
+    res.redirect(feedUrl(req.validated.body));
+  }
+);
+
+app.post(
+  '/users/:id/unfollow',
+  requireLogin(),
+  csrfProtection(),
+  rateLimit('follow-write'),
+  validate({ params: OBJECT_ID_PARAMS, body: FEED_RETURN_BODY }),
+  async (req, res) => {
+    await unfollowUser(req.currentUser._id, req.validated.params.id);
+    if (wantsJson(req)) return res.json({ following: false });
+    res.redirect(feedUrl(req.validated.body));
   }
+);
+
+// Mark one of my notifications read; with open=true go on to its movie
+app.post(
+  '/notifications/:id/read',
+  requireLogin(),
+  csrfProtection(),
+  validate({ params: OBJECT_ID_PARAMS, body: { open: boolean({ default: false }) } }),
+  async (req, res) => {
+    const notification = await markNotificationRead(req.currentUser._id, req.validated.params.id);
+    if (wantsJson(req)) return res.json(notification);
+    res.redirect(req.validated.body.open ? `/movie/${notification.movieId}` : '/notifications');
+  }
+);
+
+// Mark all my notifications read
+app.post('/notifications/read-all', requireLogin(), csrfProtection(), async (req, res) => {
+  const updated = await markAllNotificationsRead(req.currentUser._id);
+  if (wantsJson(req)) return res.json({ updated });
+  res.redirect('/notifications');
 });
 
-// Watchlist page (HTML shell; data loaded via JS + API)
-app.get('/watchlist', (req, res) => {
-  res.render('watchlist', { title: 'My Watchlist' });
+// Admin: approve, hide or delete a review, then back to the same queue page
+app.post(
+  '/admin/reviews/:id/moderation',
+  requireLogin('admin'),
+  csrfProtection(),
+  validate({ params: OBJECT_ID_PARAMS, body: { ...MODERATION_BODY, ...MODERATION_QUEUE_QUERY } }),
+  async (req, res) => {
+    const result = await moderateReview(req.validated.params.id, req.currentUser._id, req.validated.body);
+    if (wantsJson(req)) return res.json(result);
+    const { status, page } = req.validated.body;
+    res.redirect(`/admin/reviews?status=${status}&page=${page}`);
+  }
+);
+
+// Admin: create a movie from the edit page, which sends the fields as JSON
+// (nested genres, companies...) with the CSRF token in X-CSRF-Token
+app.post('/movies/new', requireLogin('admin'), csrfProtection(), async (req, res) => {
+  const movie = await createMovie(req.body);
+  if (wantsJson(req)) return res.status(201).json(movie);
+  res.redirect(`/movie/${movie.id}`);
 });
 
+// Admin: save the edit page (only the fields sent are changed)
+app.post(
+  '/movie/:id/edit',
+  requireLogin('admin'),
+  csrfProtection(),
+  validate({ params: MOVIE_ID_PARAMS }),
+  async (req, res) => {
+    const movie = await updateMovie(req.validated.params.id, req.body);
+    if (wantsJson(req)) return res.json(movie);
+    res.redirect(`/movie/${movie.id}`);
+  }
+);
+
+// Admin: delete a movie from its confirmation page
+app.post(
+  '/movie/:id/delete',
+  requireLogin('admin'),
+  csrfProtection(),
+  validate({ params: MOVIE_ID_PARAMS }),
+  async (req, res) => {
+    await deleteMovie(req.validated.params.id);
+    if (wantsJson(req)) return res.json({ success: true });
+    res.redirect('/movies');
+  }
+);
+
 // ---------- JSON API ROUTES: MOVIES (READ ONLY) ----------
 
-// GET /api/movies  -> list with pagination + search + genre + rating
-app.get('/api/movies', async (req, res) => {
-  try {
-    const q = req.query.q || '';
-    const genreFilter = req.query.genre || '';
-    const minRating = req.query.minRating
-      ? Number(req.query.minRating)
-      : null;
-
-    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
-    const perPage = parseInt(req.query.perPage) > 0 ? parseInt(req.query.perPage) : 10;
-    const skip = (page - 1) * perPage;
-
-    const baseFilter = {
-      poster_url: {
-        $type: 'string',
-        $regex: '^https://image\\.tmdb\\.org',
-        $options: 'i'
-      }
-    };
-
-    const andConditions = [];
-
-    if (q) {
-      andConditions.push({
-        title: { $regex: q, $options: 'i' }
-      });
-    }
+// Both also take a partner API key in X-API-Key (middleware/apiKey.js);
+// without one they are rate limited per IP. Their answers are cached
+// (helpers/responseCache.js) and carry weak ETags, so a client sending
+// If-None-Match gets a bodiless 304 when nothing changed.
+
+// GET /api/movies  -> list with page or cursor pagination + search + sort + filters + facet counts
+app.get('/api/movies', apiKey(), validate({ query: MOVIES_API_QUERY }), async (req, res) => {
+  const { q, page, perPage, facets: withFacets } = req.validated.query;
+  const filters = parseMovieFilters(req.validated.query);
+  const skip = (page - 1) * perPage;
+
+  const sortSpec = parseSort(req.validated.query.sort, { allowRelevance: Boolean(q) });
+  if (!sortSpec) {
+    throw badRequest('Invalid data', {
+      sort: `must be one of: ${Object.keys(SORT_OPTIONS).flatMap(key => [key, `-${key}`]).join(', ')}`
+    });
+  }
 
-    if (genreFilter) {
-      andConditions.push({
-        'genres.name': { $regex: genreFilter, $options: 'i' }
-      });
-    }
+  // a bad cursor throws CursorError, a 400 INVALID_CURSOR
+  const cursor = req.validated.query.cursor
+    ? decodeCursor(req.validated.query.cursor, sortSpec)
+    : null;
 
-    if (minRating !== null) {
-      andConditions.push({
-        vote_average: { $gte: minRating }
-      });
+  const baseFilter = {
+    poster_url: {
+      $type: 'string',
+      $regex: '^https://image\\.tmdb\\.org',
+      $options: 'i'
     }
+  };
 
-    if (andConditions.length > 0) {
-      baseFilter.$and = andConditions;
-    }
+  const andConditions = buildFilterConditions(filters);
 
-    const [items, totalCount] = await Promise.all([
-      Movie.find(baseFilter)
-        .sort({ popularity: -1 })
-        .skip(skip)
-        .limit(perPage)
-        .lean(),
-      Movie.countDocuments(baseFilter)
-    ]);
+  if (andConditions.length > 0) {
+    baseFilter.$and = andConditions;
+  }
 
-    const totalPages = Math.ceil(totalCount / perPage);
+  const key = cacheKey('api:movies', {
+    q,
+    page: cursor ? null : page,
+    perPage,
+    sort: sortParam(sortSpec),
+    cursor: req.validated.query.cursor,
+    facets: withFacets,
+    filters
+  });
 
-    res.json({
-      page,
+  const { value: entry, hit } = await movieCache.fetch(key, async () => {
+    const listing = await listMovies({
+      q,
+      filter: baseFilter,
+      sortSpec,
+      cursor,
+      skip,
+      limit: perPage
+    });
+
+    // ?facets=false skips the extra aggregation
+    const facets = withFacets
+      ? await getMovieFacets(listing.matchFilter)
+      : undefined;
+
+    const totalPages = Math.ceil(listing.totalCount / perPage);
+
+    return jsonEntry({
+      page: cursor ? null : page,
       perPage,
       totalPages,
-      totalCount,
-      data: items
+      totalCount: listing.totalCount,
+      sort: sortParam(sortSpec),
+      nextCursor: listing.nextCursor,
+      fuzzy: listing.fuzzy,
+      facets,
+      data: listing.items
     });
-  } catch (err) {
-    console.error('Error in GET /api/movies:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
+  });
+
+  sendJsonEntry(res, entry, { hit, keyed: Boolean(req.apiKey) });
+});
+
+// GET /api/movies/suggest?q=  -> as-you-type title suggestions
+app.get('/api/movies/suggest', validate({ query: { q: string({ maxLength: 200, default: '' }) } }), async (req, res) => {
+  const suggestions = await suggestMovies(req.validated.query.q);
+  res.json(suggestions);
 });
 
 // GET /api/movies/:id  -> single movie
-app.get('/api/movies/:id', async (req, res) => {
-  try {
-    const id = Number(req.params.id);
+app.get('/api/movies/:id', apiKey(), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  const { id } = req.validated.params;
+  const { value: entry, hit } = await movieCache.fetch(`api:movie:${id}`, async () => {
     const movie = await Movie.findOne({ id }).lean();
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-    res.json(movie);
-  } catch (err) {
-    console.error('Error in GET /api/movies/:id:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
+    return movie ? jsonEntry(movie) : null;
+  });
+  if (!entry) throw notFound('Movie not found');
+  sendJsonEntry(res, entry, { hit, keyed: Boolean(req.apiKey) });
+});
+
+// GET one collection / company / country with stats and its movies
+app.get('/api/collections/:key', validate({ query: BROWSE_API_QUERY }), browseApi('collection'));
+app.get('/api/companies/:key', validate({ query: BROWSE_API_QUERY }), browseApi('company'));
+app.get('/api/countries/:key', validate({ query: BROWSE_API_QUERY }), browseApi('country'));
+
+// GET movies similar to one movie ("more like this")
+app.get('/api/movies/:id/similar', validate({
+  params: MOVIE_ID_PARAMS,
+  query: { limit: int({ min: 1, max: 50, default: 12 }) }
+}), async (req, res) => {
+  const { id } = req.validated.params;
+
+  const movie = await Movie.findOne({ id }).lean();
+  if (!movie) throw notFound('Movie not found');
+
+  const similar = await findSimilarMovies(movie, req.validated.query.limit);
+  res.json({
+    movieId: id,
+    data: similar.map(m => ({ ...mapMovieForCard(m), score: Math.round(m.score * 100) / 100 }))
+  });
+});
+
+// ---------- JSON API ROUTES: MOVIES (ADMIN WRITE) ----------
+// Movie fields are checked by the Movie schema; its validation errors come
+// back as a 400 with per-field messages.
+
+// CREATE movie
+app.post('/api/movies', auth('admin'), async (req, res) => {
+  res.status(201).json(await createMovie(req.body));
+});
+
+// REPLACE movie (fields not sent are cleared)
+app.put('/api/movies/:id', auth('admin'), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  const { id } = req.validated.params;
+  const movie = await Movie.findOne({ id });
+  if (!movie) throw notFound('Movie not found');
+
+  // community_rating is derived from reviews, so it survives a replace
+  const before = movie.toObject();
+  movie.overwrite({ ...pickMovieFields(req.body), id, community_rating: before.community_rating });
+  await movie.save().catch(conflictOnDuplicate(MOVIE_EXISTS));
+  await notifyMovieEdit(before, movie);
+  res.json(movie);
+});
+
+// UPDATE movie (only fields sent are changed)
+app.patch('/api/movies/:id', auth('admin'), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  res.json(await updateMovie(req.validated.params.id, req.body));
+});
+
+// DELETE movie (+ its watchlist entries and reviews)
+app.delete('/api/movies/:id', auth('admin'), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  await deleteMovie(req.validated.params.id);
+  res.json({ success: true });
+});
+
+// ---------- JSON API ROUTES: ANALYTICS ----------
+
+// LIST available reports
+app.get('/api/analytics', (req, res) => {
+  res.json({ data: listReports() });
+});
+
+// RUN one report — accepts the same filters as /api/movies plus report params
+app.get('/api/analytics/:report', validate({ query: ANALYTICS_QUERY }), async (req, res) => {
+  const data = await runReport(req.params.report, req.validated.query);
+  if (data === null) throw notFound('Unknown report');
+  res.json({
+    report: req.params.report,
+    filters: parseMovieFilters(req.validated.query),
+    data
+  });
 });
 
 // ---------- JSON API ROUTES: WATCHLIST (USER CRUD) ----------
 
-// ADD to watchlist (Create)
-app.post('/api/watchlist', auth(), async (req, res) => {
-  try {
-    const { movieId, movieTitle, poster_url, status } = req.body;
-    const item = new WatchlistItem({
-      user: req.user.id,
-      movieId,
-      movieTitle,
-      poster_url,
-      status: status || 'planned'
-    });
-    await item.save();
-    res.status(201).json(item);
-  } catch (err) {
-    console.error('Error in POST /api/watchlist:', err);
-    res.status(400).json({ error: 'Invalid data', details: err.message });
+// Priority choices shown on the watchlist page (5 = must watch)
+const WATCHLIST_PRIORITIES = [
+  { value: 5, label: 'Must watch' },
+  { value: 4, label: 'High' },
+  { value: 3, label: 'Normal' },
+  { value: 2, label: 'Low' },
+  { value: 1, label: 'Someday' }
+];
+
+// Apply status / watchedAt / priority / notes changes (undefined = unchanged)
+function applyWatchlistChanges(item, { status, watchedAt, priority, notes }) {
+  if (status !== undefined) {
+    item.status = status;
+    // leaving "watched" clears the date unless the client sends one
+    if (status !== 'watched' && watchedAt === undefined) item.watchedAt = null;
   }
+  if (watchedAt !== undefined) item.watchedAt = watchedAt;
+  if (priority !== undefined) item.priority = priority;
+  if (notes !== undefined) item.notes = notes;
+}
+
+// Allowed ?sort= values for GET /api/watchlist
+const WATCHLIST_SORTS = {
+  added: { createdAt: -1 },
+  priority: { priority: -1, createdAt: -1 },
+  title: { movieTitle: 1 },
+  watched: { watchedAt: -1, createdAt: -1 }
+};
+
+// ADD to watchlist (Create)
+app.post('/api/watchlist', auth(), rateLimit('watchlist-write'), validate({ body: WATCHLIST_CREATE_BODY }), async (req, res) => {
+  const item = new WatchlistItem({
+    ...req.validated.body,
+    user: req.user.id
+  });
+  await item.save().catch(conflictOnDuplicate('Movie is already in your watchlist'));
+  await recordWatchlistActivity('watchlist_add', item);
+  res.status(201).json(item);
 });
 
-// GET my watchlist (Read)
-app.get('/api/watchlist', auth(), async (req, res) => {
-  try {
-    const items = await WatchlistItem.find({ user: req.user.id }).lean();
-    res.json(items);
-  } catch (err) {
-    console.error('Error in GET /api/watchlist:', err);
-    res.status(500).json({ error: 'Server error' });
+// GET my watchlist (Read) — optional ?status= and ?sort=added|priority|title|watched
+app.get('/api/watchlist', auth(), validate({
+  query: {
+    status: oneOf(WatchlistItem.WATCH_STATUSES),
+    sort: oneOf(Object.keys(WATCHLIST_SORTS), { default: 'added' })
   }
+}), async (req, res) => {
+  const { status, sort } = req.validated.query;
+  const filter = { user: req.user.id };
+  if (status) filter.status = status;
+
+  const items = await WatchlistItem.find(filter).sort(WATCHLIST_SORTS[sort]).lean();
+  res.json(items);
+});
+
+// UPDATE watchlist item: status, watchedAt, priority, notes (Update)
+app.patch('/api/watchlist/:id', auth(), rateLimit('watchlist-write'), validate({
+  params: OBJECT_ID_PARAMS,
+  body: WATCHLIST_UPDATE_BODY
+}), async (req, res) => {
+  const item = await WatchlistItem.findOne({
+    _id: req.validated.params.id,
+    user: req.user.id
+  });
+  if (!item) throw notFound('Item not found');
+
+  const previousStatus = item.status;
+  applyWatchlistChanges(item, req.validated.body);
+
+  await item.save();
+  if (item.status !== previousStatus) await recordWatchlistActivity('watchlist_status', item);
+  res.json(item);
 });
 
 // DELETE watchlist item (Delete)
-app.delete('/api/watchlist/:id', auth(), async (req, res) => {
-  try {
-    const result = await WatchlistItem.deleteOne({
-      _id: req.params.id,
-      user: req.user.id
-    });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Error in DELETE /api/watchlist/:id:', err);
-    res.status(500).json({ error: 'Server error' });
+app.delete('/api/watchlist/:id', auth(), rateLimit('watchlist-write'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  const result = await WatchlistItem.deleteOne({
+    _id: req.validated.params.id,
+    user: req.user.id
+  });
+  if (result.deletedCount === 0) throw notFound('Item not found');
+  res.json({ success: true });
+});
+
+// ---------- JSON API ROUTES: CUSTOM LISTS (USER CRUD) ----------
+
+// Body fields a list owner may set (create and update)
+const LIST_FIELDS = {
+  title: string({ minLength: 1, maxLength: 120 }),
+  description: string({ maxLength: 2000 }),
+  visibility: oneOf(MovieList.LIST_VISIBILITIES)
+};
+
+const LIST_PARAMS = { id: objectId({ required: true }) };
+
+// CREATE list (optionally seeded with movieIds)
+app.post('/api/lists', auth(), validate({
+  body: {
+    ...LIST_FIELDS,
+    title: string({ required: true, maxLength: 120 }),
+    movieIds: arrayOf(int({ min: 1 }), { maxItems: 500, default: [] })
   }
+}), async (req, res) => {
+  const { movieIds, ...fields } = req.validated.body;
+
+  const list = new MovieList({
+    ...fields,
+    owner: req.user.id,
+    entries: [...new Set(movieIds)].map(movieId => ({ movieId }))
+  });
+  await list.saveWithUniqueSlug();
+  res.status(201).json(list);
 });
 
-// ---------- JSON API ROUTES: REVIEWS (USER CRUD) ----------
+// GET my lists
+app.get('/api/lists', auth(), async (req, res) => {
+  const lists = await MovieList.find({ owner: req.user.id })
+    .sort({ updatedAt: -1 })
+    .lean();
+  res.json(lists);
+});
 
-// CREATE review
-app.post('/api/movies/:id/reviews', auth(), async (req, res) => {
-  try {
-    const { rating, comment } = req.body;
-    const review = new Review({
-      user: req.user.id,
-      movieId: Number(req.params.id),
-      rating,
-      comment
-    });
-    await review.save();
-    res.status(201).json(review);
-  } catch (err) {
-    console.error('Error in POST /api/movies/:id/reviews:', err);
-    res.status(400).json({ error: 'Invalid data', details: err.message });
+// GET a shared list by its slug (no login needed unless private)
+app.get('/api/lists/shared/:slug', async (req, res) => {
+  const list = await MovieList.findOne({
+    slug: req.params.slug,
+    visibility: { $ne: 'private' }
+  }, { owner: 0 }).lean();
+  if (!list) throw notFound('List not found');
+  res.json(list);
+});
+
+// COPY a shared list into my account (copy starts private)
+app.post('/api/lists/shared/:slug/copy', auth(), validate({
+  body: { title: string({ maxLength: 120 }) }
+}), async (req, res) => {
+  const source = await MovieList.findOne({
+    slug: req.params.slug,
+    visibility: { $ne: 'private' }
+  }).lean();
+  if (!source) throw notFound('List not found');
+
+  const copy = new MovieList({
+    owner: req.user.id,
+    title: req.validated.body.title || source.title,
+    description: source.description,
+    visibility: 'private',
+    entries: source.entries.map(e => ({ movieId: e.movieId, note: e.note })),
+    copiedFrom: source._id
+  });
+  await copy.saveWithUniqueSlug();
+  res.status(201).json(copy);
+});
+
+// GET one of my lists
+app.get('/api/lists/:id', auth(), validate({ params: LIST_PARAMS }), async (req, res) => {
+  const list = await MovieList.findOne({ _id: req.validated.params.id, owner: req.user.id }).lean();
+  if (!list) throw notFound('List not found');
+  res.json(list);
+});
+
+// UPDATE title / description / visibility
+app.patch('/api/lists/:id', auth(), validate({ params: LIST_PARAMS, body: LIST_FIELDS }), async (req, res) => {
+  const list = await MovieList.findOne({ _id: req.validated.params.id, owner: req.user.id });
+  if (!list) throw notFound('List not found');
+
+  list.set(req.validated.body);
+  await list.save();
+  res.json(list);
+});
+
+// DELETE list
+app.delete('/api/lists/:id', auth(), validate({ params: LIST_PARAMS }), async (req, res) => {
+  const result = await MovieList.deleteOne({ _id: req.validated.params.id, owner: req.user.id });
+  if (result.deletedCount === 0) throw notFound('List not found');
+  res.json({ success: true });
+});
+
+// ADD a movie to the end of a list
+app.post('/api/lists/:id/entries', auth(), validate({
+  params: LIST_PARAMS,
+  body: {
+    movieId: int({ min: 1, required: true }),
+    note: string({ maxLength: 500 })
   }
+}), async (req, res) => {
+  const { movieId, note } = req.validated.body;
+  const list = await MovieList.findOne({ _id: req.validated.params.id, owner: req.user.id });
+  if (!list) throw notFound('List not found');
+  if (!(await Movie.exists({ id: movieId }))) throw notFound('Movie not found');
+  if (list.entries.some(e => e.movieId === movieId)) {
+    throw conflict('Movie is already in this list');
+  }
+
+  list.entries.push({ movieId, note });
+  await list.save();
+  res.status(201).json(list);
 });
 
-// READ reviews for a movie
-app.get('/api/movies/:id/reviews', async (req, res) => {
-  try {
-    const movieId = Number(req.params.id);
-    const reviews = await Review.find({ movieId })
-      .populate('user', 'email')
-      .lean();
-    res.json(reviews);
-  } catch (err) {
-    console.error('Error in GET /api/movies/:id/reviews:', err);
-    res.status(500).json({ error: 'Server error' });
+// REMOVE a movie from a list
+app.delete('/api/lists/:id/entries/:movieId', auth(), validate({
+  params: { ...LIST_PARAMS, movieId: int({ min: 1, required: true }) }
+}), async (req, res) => {
+  const { id, movieId } = req.validated.params;
+  const list = await MovieList.findOne({ _id: id, owner: req.user.id });
+  if (!list) throw notFound('List not found');
+
+  const before = list.entries.length;
+  list.entries = list.entries.filter(e => e.movieId !== movieId);
+  if (list.entries.length === before) throw notFound('Movie is not in this list');
+
+  await list.save();
+  res.json(list);
+});
+
+// REORDER: body { movieIds: [...] } must contain exactly the list's movies
+app.put('/api/lists/:id/order', auth(), validate({
+  params: LIST_PARAMS,
+  body: { movieIds: arrayOf(int({ min: 1 }), { required: true }) }
+}), async (req, res) => {
+  const list = await MovieList.findOne({ _id: req.validated.params.id, owner: req.user.id });
+  if (!list) throw notFound('List not found');
+
+  const order = req.validated.body.movieIds;
+  const current = new Map(list.entries.map(e => [e.movieId, e]));
+  const isPermutation = order.length === current.size &&
+    new Set(order).size === order.length &&
+    order.every(id => current.has(id));
+
+  if (!isPermutation) {
+    throw badRequest('Invalid data', { movieIds: 'must list every movie in the list exactly once' });
   }
+
+  list.entries = order.map(id => current.get(id).toObject());
+  await list.save();
+  res.json(list);
 });
 
-// UPDATE my review
-app.put('/api/reviews/:id', auth(), async (req, res) => {
-  try {
-    const { rating, comment } = req.body;
-    const updated = await Review.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      { rating, comment },
-      { new: true, runValidators: true }
-    ).lean();
-    if (!updated) {
-      return res.status(404).json({ error: 'Review not found' });
+// ---------- JSON API ROUTES: RECOMMENDATIONS ----------
+
+// GET picks based on my watchlist and well-rated reviews
+app.get('/api/recommendations', auth(), validate({
+  query: { limit: int({ min: 1, max: 50, default: 20 }) }
+}), async (req, res) => {
+  const { profile, items } = await recommendForUser(req.user.id, req.validated.query.limit);
+
+  res.json({
+    personalized: Boolean(profile),
+    profile,
+    data: items.map(m => ({
+      ...mapMovieForCard(m),
+      score: typeof m.score === 'number' ? Math.round(m.score * 100) / 100 : null
+    }))
+  });
+});
+
+// ---------- JSON API ROUTES: ACCOUNT ----------
+
+// READ my profile
+app.get('/api/me', auth(), async (req, res) => {
+  const user = await User.findById(req.user.id, { password: 0 }).lean();
+  if (!user) throw notFound('User not found');
+  res.json({ ...user, displayName: User.publicName(user) });
+});
+
+// UPDATE my public display name
+app.patch('/api/me', auth(), validate({
+  body: { displayName: string({ minLength: 2, maxLength: 40 }) }
+}), async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw notFound('User not found');
+
+  const { displayName } = req.validated.body;
+  if (displayName !== undefined) {
+    user.displayName = displayName;
+  }
+  await user.save();
+  res.json(publicAccount(user));
+});
+
+// READ my viewing stats — ?year=YYYY narrows to one year and adds highlights
+// plus a shareable "year in review" link
+app.get('/api/me/stats', auth(), validate({ query: STATS_QUERY }), async (req, res) => {
+  const { year } = req.validated.query;
+
+  const stats = await getUserStats(req.user.id, { year: year || null });
+  if (year) {
+    stats.shareUrl = `/year-in-review/${yearInReviewToken(req.user.id, year)}`;
+  }
+  res.json(stats);
+});
+
+// Send a user's watchlist and reviews as a download (the API and /me/export)
+async function sendExport(res, userId, format) {
+  const data = await buildExport(userId);
+  const filename = `movie-explorer-export-${data.exportedAt.slice(0, 10)}.${format}`;
+
+  res.attachment(filename);
+  if (format === 'csv') {
+    return res.type('text/csv').send(exportToCSV(data));
+  }
+  res.json(data);
+}
+
+// The import file is the raw request body, whatever its content type
+function importBody() {
+  return express.text({ type: () => true, limit: '5mb' });
+}
+
+// Preview (or with commit, apply) an import file for a user (the API and /me/import)
+async function importFile(userId, body, { format, commit }) {
+  const file = readImportFile(typeof body === 'string' ? body : '', format);
+
+  // reviews need a verified email, as when writing one by hand
+  const user = await User.findById(userId, { emailVerified: 1 }).lean();
+  if (!user) throw notFound('User not found');
+
+  const plan = await planImport(userId, file.rows, { allowReviews: Boolean(user.emailVerified) });
+  const summary = commit ? await applyImport(userId, plan) : plan.summary;
+
+  return { format: file.format, committed: commit, ...summary };
+}
+
+// EXPORT my watchlist and reviews — ?format=json (default) or csv, as a download
+app.get('/api/me/export', auth(), validate({ query: EXPORT_QUERY }), async (req, res) => {
+  await sendExport(res, req.user.id, req.validated.query.format);
+});
+
+// IMPORT a watchlist / reviews file sent as the raw request body: our JSON or
+// CSV export, or a Letterboxd diary, ratings, reviews or watchlist CSV.
+// Without ?commit=true nothing is written and the answer is the preview.
+app.post('/api/me/import', auth(), rateLimit('data-import'), importBody(), validate({ query: IMPORT_QUERY }), async (req, res) => {
+  res.json(await importFile(req.user.id, req.body, req.validated.query));
+});
+
+// READ who sees my watchlist and review activity
+app.get('/api/me/privacy', auth(), async (req, res) => {
+  const user = await User.findById(req.user.id, { activityPrivacy: 1 }).lean();
+  if (!user) throw notFound('User not found');
+  res.json(activityPrivacy(user));
+});
+
+// Change who sees a user's watchlist and review activity; resolves to the new settings
+async function updateActivityPrivacy(userId, { watchlist, reviews }) {
+  const user = await User.findById(userId);
+  if (!user) throw notFound('User not found');
+
+  if (watchlist !== undefined) user.set('activityPrivacy.watchlist', watchlist);
+  if (reviews !== undefined) user.set('activityPrivacy.reviews', reviews);
+  await user.save();
+  return activityPrivacy(user);
+}
+
+// UPDATE who sees my watchlist and review activity (public, followers, private)
+app.patch('/api/me/privacy', auth(), validate({ body: PRIVACY_BODY }), async (req, res) => {
+  res.json(await updateActivityPrivacy(req.user.id, req.validated.body));
+});
+
+// ---------- JSON API ROUTES: FOLLOWS & ACTIVITY FEED ----------
+
+// { _id, displayName, isFollowing } for user lists; `followed` holds the ids I follow
+function followCard(user, followed) {
+  return {
+    _id: user._id,
+    displayName: User.publicName(user),
+    isFollowing: followed.has(String(user._id))
+  };
+}
+
+// Which of `userIds` the signed-in user follows, as a Set of strings
+async function followedAmong(followerId, userIds) {
+  const follows = await Follow.find({ follower: followerId, following: { $in: userIds } }, { following: 1 }).lean();
+  return new Set(follows.map(f => String(f.following)));
+}
+
+// One page of a user's follows; `side` is 'following' (people they follow) or 'follower'
+async function followPage(userId, side, { page, perPage }) {
+  const filter = side === 'following' ? { follower: userId } : { following: userId };
+
+  const [follows, totalCount] = await Promise.all([
+    Follow.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate(side, 'displayName')
+      .lean(),
+    Follow.countDocuments(filter)
+  ]);
+  // follows of deleted accounts populate to null
+  const live = follows.filter(f => f[side]);
+  const followed = side === 'following'
+    ? new Set(live.map(f => String(f[side]._id)))
+    : await followedAmong(userId, live.map(f => f[side]._id));
+
+  return {
+    page,
+    perPage,
+    totalPages: Math.ceil(totalCount / perPage),
+    totalCount,
+    data: live.map(f => ({ ...followCard(f[side], followed), since: f.createdAt }))
+  };
+}
+
+// Other users whose display name contains `q`, as follow cards
+async function findPeople(userId, q, limit) {
+  const users = await User.find(
+    { _id: { $ne: userId }, displayName: { $regex: escapeRegex(q), $options: 'i' } },
+    { displayName: 1 }
+  ).sort({ displayName: 1 }).limit(limit).lean();
+
+  const followed = await followedAmong(userId, users.map(u => u._id));
+  return users.map(u => followCard(u, followed));
+}
+
+// Follow someone (following twice is a no-op)
+async function followUser(userId, id) {
+  if (id.toLowerCase() === String(userId)) throw badRequest('You cannot follow yourself');
+  if (!(await User.exists({ _id: id }))) throw notFound('User not found');
+
+  await Follow.updateOne(
+    { follower: userId, following: id },
+    { $setOnInsert: { follower: userId, following: id } },
+    { upsert: true }
+  ).catch(err => {
+    // two concurrent follows: the other request created it
+    if (err.code !== 11000) throw err;
+  });
+}
+
+function unfollowUser(userId, id) {
+  return Follow.deleteOne({ follower: userId, following: id });
+}
+
+// FIND people to follow by display name
+app.get('/api/users', auth(), validate({
+  query: {
+    q: string({ required: true, minLength: 2, maxLength: 40 }),
+    limit: int({ min: 1, max: 50, default: 20 })
+  }
+}), async (req, res) => {
+  const { q, limit } = req.validated.query;
+  res.json(await findPeople(req.user.id, q, limit));
+});
+
+// READ someone's profile: name, follower counts, whether I follow them
+app.get('/api/users/:id', auth(), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  const user = await User.findById(req.validated.params.id, { displayName: 1 }).lean();
+  if (!user) throw notFound('User not found');
+
+  const [followers, following, isFollowing] = await Promise.all([
+    Follow.countDocuments({ following: user._id }),
+    Follow.countDocuments({ follower: user._id }),
+    Follow.exists({ follower: req.user.id, following: user._id })
+  ]);
+  res.json({ _id: user._id, displayName: User.publicName(user), followers, following, isFollowing: Boolean(isFollowing) });
+});
+
+// READ someone's activity, as far as their privacy settings let me
+app.get('/api/users/:id/activity', auth(), validate({
+  params: OBJECT_ID_PARAMS,
+  query: paginationQuery(20, 50)
+}), async (req, res) => {
+  const activity = await getUserActivity(req.user.id, req.validated.params.id, req.validated.query);
+  if (!activity) throw notFound('User not found');
+  res.json(activity);
+});
+
+// FOLLOW someone (following twice is a no-op)
+app.put('/api/users/:id/follow', auth(), rateLimit('follow-write'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  await followUser(req.user.id, req.validated.params.id);
+  res.json({ following: true });
+});
+
+// UNFOLLOW someone
+app.delete('/api/users/:id/follow', auth(), rateLimit('follow-write'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  await unfollowUser(req.user.id, req.validated.params.id);
+  res.json({ following: false });
+});
+
+// READ the people I follow / who follow me (newest first)
+app.get('/api/me/following', auth(), validate({ query: paginationQuery(50, 200) }), async (req, res) => {
+  res.json(await followPage(req.user.id, 'following', req.validated.query));
+});
+
+app.get('/api/me/followers', auth(), validate({ query: paginationQuery(50, 200) }), async (req, res) => {
+  res.json(await followPage(req.user.id, 'follower', req.validated.query));
+});
+
+// READ my feed: what the people I follow added, watched and reviewed
+app.get('/api/feed', auth(), validate({ query: paginationQuery(20, 50) }), async (req, res) => {
+  res.json(await getFeed(req.user.id, req.validated.query));
+});
+
+// ---------- JSON API ROUTES: NOTIFICATIONS ----------
+
+// The bell and the inbox show what was meant for the in-app channel
+function inboxFilter(userId, extra = {}) {
+  return { user: userId, channels: 'in-app', ...extra };
+}
+
+// One page of a user's inbox, newest first, plus the unread count
+async function notificationPage(userId, { page, perPage, unread }) {
+  const filter = inboxFilter(userId, unread ? { readAt: null } : {});
+
+  const [notifications, totalCount, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments(inboxFilter(userId, { readAt: null }))
+  ]);
+
+  return {
+    page,
+    perPage,
+    totalPages: Math.ceil(totalCount / perPage),
+    totalCount,
+    unreadCount,
+    data: notifications
+  };
+}
+
+// Mark one of a user's inbox notifications read (again is a no-op)
+async function markNotificationRead(userId, id) {
+  const notification = await Notification.findOne(inboxFilter(userId, { _id: id }));
+  if (!notification) throw notFound('Notification not found');
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+}
+
+// Mark all of a user's inbox notifications read; resolves to how many changed
+async function markAllNotificationsRead(userId) {
+  const result = await Notification.updateMany(
+    inboxFilter(userId, { readAt: null }),
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+// READ my notifications, newest first — ?unread=true for unread ones only
+app.get('/api/notifications', auth(), validate({ query: NOTIFICATIONS_QUERY }), async (req, res) => {
+  res.json(await notificationPage(req.user.id, req.validated.query));
+});
+
+// READ how many of my notifications are unread (the navbar bell)
+app.get('/api/notifications/unread-count', auth(), async (req, res) => {
+  const unread = await Notification.countDocuments(inboxFilter(req.user.id, { readAt: null }));
+  res.json({ unread });
+});
+
+// MARK one of my notifications read (again is a no-op)
+app.post('/api/notifications/:id/read', auth(), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  res.json(await markNotificationRead(req.user.id, req.validated.params.id));
+});
+
+// MARK all my notifications read
+app.post('/api/notifications/read-all', auth(), async (req, res) => {
+  res.json({ updated: await markAllNotificationsRead(req.user.id) });
+});
+
+// ---------- JSON API ROUTES: REVIEWS (USER CRUD) ----------
+
+// Reports needed before a review is hidden pending moderation
+const REVIEW_REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+// Public shape of a review: the author is shown by display name only
+function publicReview(review) {
+  const { user, reportCount, moderation, ...rest } = review;
+  return {
+    ...rest,
+    user: {
+      _id: user ? user._id : null,
+      displayName: User.publicName(user)
     }
-    res.json(updated);
-  } catch (err) {
-    console.error('Error in PUT /api/reviews/:id:', err);
-    res.status(400).json({ error: 'Invalid data', details: err.message });
+  };
+}
+
+// Allowed ?sort= values for GET /api/movies/:id/reviews
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: -1 }
+};
+
+// CREATE review (one per user per movie; verified accounts only)
+app.post('/api/movies/:id/reviews', auth(), requireVerified(), rateLimit('review-write'), validate({
+  params: MOVIE_ID_PARAMS,
+  body: REVIEW_BODY
+}), async (req, res) => {
+  const { rating, comment } = req.validated.body;
+  const movieId = req.validated.params.id;
+  const review = new Review({
+    user: req.user.id,
+    movieId,
+    rating,
+    comment
+  });
+  await review.save().catch(conflictOnDuplicate('You have already reviewed this movie'));
+  await Review.refreshMovieRating(movieId);
+  await recordReviewActivity('review_create', review);
+  res.status(201).json(review);
+});
+
+// READ reviews for a movie — paginated, ?sort=newest|highest|helpful
+app.get('/api/movies/:id/reviews', validate({
+  params: MOVIE_ID_PARAMS,
+  query: {
+    ...paginationQuery(10, 50),
+    sort: oneOf(Object.keys(REVIEW_SORTS), { default: 'newest' })
   }
+}), async (req, res) => {
+  const movieId = req.validated.params.id;
+  const { page, perPage, sort: sortKey } = req.validated.query;
+
+  const filter = { movieId, ...Review.PUBLIC_FILTER };
+
+  const [reviews, totalCount] = await Promise.all([
+    Review.find(filter)
+      .sort(REVIEW_SORTS[sortKey])
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate('user', 'displayName')
+      .lean(),
+    Review.countDocuments(filter)
+  ]);
+
+  res.json({
+    page,
+    perPage,
+    totalPages: Math.ceil(totalCount / perPage),
+    totalCount,
+    sort: sortKey,
+    data: reviews.map(publicReview)
+  });
+});
+
+// READ my review for a movie
+app.get('/api/movies/:id/reviews/me', auth(), validate({ params: MOVIE_ID_PARAMS }), async (req, res) => {
+  const review = await Review.findOne({
+    movieId: req.validated.params.id,
+    user: req.user.id
+  }).lean();
+  if (!review) throw notFound('Review not found');
+  res.json(review);
+});
+
+// UPDATE my review (verified accounts only)
+app.put('/api/reviews/:id', auth(), requireVerified(), rateLimit('review-write'), validate({
+  params: OBJECT_ID_PARAMS,
+  body: REVIEW_BODY
+}), async (req, res) => {
+  const { rating, comment } = req.validated.body;
+  const updated = await Review.findOneAndUpdate(
+    { _id: req.validated.params.id, user: req.user.id },
+    { rating, comment },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!updated) throw notFound('Review not found');
+  await Review.refreshMovieRating(updated.movieId);
+  await recordReviewActivity('review_update', updated);
+  res.json(updated);
 });
 
 // DELETE my review
-app.delete('/api/reviews/:id', auth(), async (req, res) => {
-  try {
-    const result = await Review.deleteOne({
-      _id: req.params.id,
-      user: req.user.id
-    });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Review not found' });
-    }
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Error in DELETE /api/reviews/:id:', err);
-    res.status(500).json({ error: 'Server error' });
+app.delete('/api/reviews/:id', auth(), rateLimit('review-write'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  const deleted = await Review.findOneAndDelete({
+    _id: req.validated.params.id,
+    user: req.user.id
+  }).lean();
+  if (!deleted) throw notFound('Review not found');
+  await Promise.all([
+    Review.refreshMovieRating(deleted.movieId),
+    ReviewVote.deleteMany({ review: deleted._id }),
+    ReviewReport.deleteMany({ review: deleted._id }),
+    removeReviewActivity(deleted._id)
+  ]);
+  res.json({ success: true });
+});
+
+// MARK a review helpful (once per user, not your own)
+app.post('/api/reviews/:id/helpful', auth(), rateLimit('review-write'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  const review = await Review.findOne({ _id: req.validated.params.id, ...Review.PUBLIC_FILTER }).lean();
+  if (!review) throw notFound('Review not found');
+  if (String(review.user) === String(req.user.id)) {
+    throw badRequest('You cannot vote on your own review');
+  }
+
+  await ReviewVote.create({ review: review._id, user: req.user.id })
+    .catch(conflictOnDuplicate('You already marked this review helpful'));
+  const updated = await Review.findByIdAndUpdate(
+    review._id,
+    { $inc: { helpfulCount: 1 } },
+    { new: true }
+  ).lean();
+  res.status(201).json({ helpfulCount: updated.helpfulCount });
+});
+
+// UNDO a helpful vote
+app.delete('/api/reviews/:id/helpful', auth(), rateLimit('review-write'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  const { id } = req.validated.params;
+  const result = await ReviewVote.deleteOne({ review: id, user: req.user.id });
+  if (result.deletedCount === 0) throw notFound('Vote not found');
+  const updated = await Review.findOneAndUpdate(
+    { _id: id, helpfulCount: { $gt: 0 } },
+    { $inc: { helpfulCount: -1 } },
+    { new: true }
+  ).lean();
+  res.json({ helpfulCount: updated ? updated.helpfulCount : 0 });
+});
+
+// REPORT a review; enough open reports hide it until an admin decides
+app.post('/api/reviews/:id/report', auth(), rateLimit('review-write'), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    reason: oneOf(ReviewReport.REPORT_REASONS, { required: true }),
+    details: string({ maxLength: 500, default: '' })
   }
+}), async (req, res) => {
+  const review = await Review.findOne({ _id: req.validated.params.id, ...Review.PUBLIC_FILTER }).lean();
+  if (!review) throw notFound('Review not found');
+  if (String(review.user) === String(req.user.id)) {
+    throw badRequest('You cannot report your own review');
+  }
+
+  const { reason, details } = req.validated.body;
+  await ReviewReport.create({
+    review: review._id,
+    user: req.user.id,
+    reason,
+    details
+  }).catch(conflictOnDuplicate('You already reported this review'));
+  await Review.updateOne({ _id: review._id }, { $inc: { reportCount: 1 } });
+
+  const flagged = await Review.updateOne(
+    { _id: review._id, ...Review.PUBLIC_FILTER, reportCount: { $gte: REVIEW_REPORT_THRESHOLD } },
+    { $set: { status: 'flagged' } }
+  );
+  if (flagged.modifiedCount > 0) {
+    await Promise.all([
+      Review.refreshMovieRating(review.movieId),
+      setReviewActivityHidden(review._id, true)
+    ]);
+  }
+
+  res.status(201).json({ message: 'Report received' });
+});
+
+// ---------- JSON API ROUTES: REVIEW MODERATION (ADMIN) ----------
+
+// LIST reviews needing attention, with their open reports and history
+app.get('/api/admin/reviews', auth('admin'), validate({ query: MODERATION_QUEUE_QUERY }), async (req, res) => {
+  res.json(await moderationQueue(req.validated.query));
+});
+
+// APPROVE, HIDE or DELETE a review — body: { action, reason }
+app.post('/api/admin/reviews/:id/moderation', auth('admin'), validate({
+  params: OBJECT_ID_PARAMS,
+  body: MODERATION_BODY
+}), async (req, res) => {
+  res.json(await moderateReview(req.validated.params.id, req.user.id, req.validated.body));
+});
+
+// READ the moderation audit log (newest first)
+app.get('/api/admin/moderation-log', auth('admin'), validate({ query: paginationQuery(50, 200) }), async (req, res) => {
+  const { page, perPage } = req.validated.query;
+
+  const [entries, totalCount] = await Promise.all([
+    ModerationLog.find()
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate('moderator', 'displayName')
+      .lean(),
+    ModerationLog.countDocuments()
+  ]);
+
+  res.json({
+    page,
+    perPage,
+    totalPages: Math.ceil(totalCount / perPage),
+    totalCount,
+    data: entries.map(e => ({ ...e, moderator: User.publicName(e.moderator) }))
+  });
+});
+
+// ---------- JSON API ROUTES: API KEYS (ADMIN) ----------
+
+const API_KEY_FIELDS = {
+  name: string({ required: true, minLength: 1, maxLength: 100 }),
+  dailyQuota: int({ min: 1, max: 10000000 })
+};
+
+// Never send the hash, not even to admins
+const API_KEY_PROJECTION = { keyHash: 0 };
+
+// ISSUE a key — body: { name, dailyQuota }; the key itself is only in this response
+app.post('/api/admin/api-keys', auth('admin'), validate({ body: API_KEY_FIELDS }), async (req, res) => {
+  const { name, dailyQuota } = req.validated.body;
+  const { key, apiKey: created } = await issueApiKey({ name, dailyQuota, createdBy: req.user.id });
+  const { keyHash, ...shown } = created.toObject();
+  res.status(201).json({ key, apiKey: shown });
 });
 
-// 404 fallback
-app.use((req, res) => {
-  res.status(404).render('error', {
-    title: 'Not found',
-    message: 'Page not found'
+// LIST keys (revoked ones included), newest first
+app.get('/api/admin/api-keys', auth('admin'), async (req, res) => {
+  const keys = await ApiKey.find({}, API_KEY_PROJECTION)
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'displayName')
+    .lean();
+  res.json({
+    defaultDailyQuota: DEFAULT_DAILY_QUOTA,
+    data: keys.map(k => ({ ...k, createdBy: User.publicName(k.createdBy) }))
   });
 });
 
+// USAGE per key and day for the last ?days= days (UTC)
+app.get('/api/admin/api-keys/usage', auth('admin'), validate({
+  query: { days: int({ min: 1, max: 90, default: 30 }) }
+}), async (req, res) => {
+  res.json(await apiKeyUsageReport({ days: req.validated.query.days }));
+});
+
+// RENAME a key or change its quota — body: { name?, dailyQuota? }
+app.patch('/api/admin/api-keys/:id', auth('admin'), validate({
+  params: OBJECT_ID_PARAMS,
+  body: { ...API_KEY_FIELDS, name: string({ minLength: 1, maxLength: 100 }) }
+}), async (req, res) => {
+  const { name, dailyQuota } = req.validated.body;
+  const update = {};
+  if (name) update.name = name;
+  if (dailyQuota !== undefined) update.dailyQuota = dailyQuota;
+
+  const updated = await ApiKey.findByIdAndUpdate(req.validated.params.id, { $set: update }, {
+    new: true,
+    runValidators: true,
+    projection: API_KEY_PROJECTION
+  }).lean();
+  if (!updated) throw notFound('API key not found');
+  res.json(updated);
+});
+
+// REVOKE a key; it stays listed (and in the usage report) but stops working
+app.delete('/api/admin/api-keys/:id', auth('admin'), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  const key = await ApiKey.findById(req.validated.params.id, API_KEY_PROJECTION);
+  if (!key) throw notFound('API key not found');
+  if (!key.revokedAt) {
+    key.revokedAt = new Date();
+    key.revokedBy = req.user.id;
+    await key.save();
+  }
+  res.json({ success: true, apiKey: key });
+});
+
+// ---------- JSON API ROUTES: CACHE (ADMIN) ----------
+
+// READ the movie cache counters (hits, misses, evictions...) for tuning
+// MOVIE_CACHE_MAX_ENTRIES and MOVIE_CACHE_TTL
+app.get('/api/admin/cache', auth('admin'), (req, res) => {
+  res.json({ movies: movieCache.stats() });
+});
+
+// ---------- API DOCS (OPENAPI) ----------
+
+// Built on first request, once every route is registered
+let openApiSpec = null;
+function getOpenApiSpec() {
+  if (!openApiSpec) openApiSpec = buildOpenApiSpec(app);
+  return openApiSpec;
+}
+
+// OpenAPI 3 document generated from the routes and models (helpers/openapi.js)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+// Browsable docs for the same document, with "try it" forms
+app.get('/api/docs', (req, res) => {
+  res.render('api-docs', { title: 'API docs', ...docsPageModel(getOpenApiSpec()) });
+});
+
+// 404 fallback: JSON for /api paths, the error page for browsers
+app.use((req, res, next) => {
+  next(notFound(req.path.startsWith('/api/') ? 'Not found' : 'Page not found'));
+});
+
+// Every error ends up here (see middleware/errorHandler.js); must stay last
+app.use(errorHandler());
+
 // Export for Vercel serverless
 module.exports = app;
 
@@ -0,0 +1,82 @@
+// Activity feeds (helpers/activity.js): events of reviews hidden by
+// moderation are left out by the query, so pages and counts agree, and a
+// review's visibility is written to its events. Model reads are stubbed.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Activity = require('../models/activity');
+const User = require('../models/user');
+const Movie = require('../models/movie');
+const { getUserActivity, recordReviewActivity, setReviewActivityHidden } = require('../helpers/activity');
+
+const real = {
+  activityFind: Activity.find,
+  activityCount: Activity.countDocuments,
+  activityCreate: Activity.create,
+  activityUpdateMany: Activity.updateMany,
+  userFind: User.find,
+  userFindById: User.findById,
+  movieFind: Movie.find
+};
+
+afterEach(() => {
+  Activity.find = real.activityFind;
+  Activity.countDocuments = real.activityCount;
+  Activity.create = real.activityCreate;
+  Activity.updateMany = real.activityUpdateMany;
+  User.find = real.userFind;
+  User.findById = real.userFindById;
+  Movie.find = real.movieFind;
+});
+
+const lean = rows => ({ lean: async () => rows });
+const AUTHOR = new mongoose.Types.ObjectId();
+
+test('events of hidden reviews are excluded by the page query and its count', async () => {
+  const calls = {};
+  User.findById = () => lean({ _id: AUTHOR, activityPrivacy: { watchlist: 'public', reviews: 'public' } });
+  User.find = () => lean([{ _id: AUTHOR, displayName: 'Ana' }]);
+  Movie.find = () => lean([]);
+  Activity.find = filter => {
+    calls.find = filter;
+    const query = {
+      sort: () => query,
+      skip: value => { calls.skip = value; return query; },
+      limit: () => query,
+      lean: async () => [{ _id: 'a1', user: AUTHOR, type: 'review_create', movieId: 5, review: 'r1' }]
+    };
+    return query;
+  };
+  Activity.countDocuments = async filter => { calls.count = filter; return 21; };
+
+  const page = await getUserActivity(AUTHOR, AUTHOR, { page: 2, perPage: 20 });
+  assert.deepStrictEqual(calls.find.hidden, { $ne: true });
+  assert.deepStrictEqual(calls.count, calls.find);
+  assert.strictEqual(calls.skip, 20);
+  assert.strictEqual(page.totalPages, 2);
+  assert.strictEqual(page.data.length, 1);
+});
+
+test('a review that is not public records its event hidden', async () => {
+  const created = [];
+  Activity.create = async fields => { created.push(fields); };
+  const review = { _id: 'r1', user: AUTHOR, movieId: 5, rating: 7, comment: 'Fine' };
+
+  await recordReviewActivity('review_update', { ...review, status: 'flagged' });
+  await recordReviewActivity('review_update', { ...review, status: 'published' });
+  await recordReviewActivity('review_update', review);
+  assert.deepStrictEqual(created.map(fields => fields.hidden), [true, false, false]);
+});
+
+test('moderation hides and restores all of a review\'s events', async () => {
+  const updates = [];
+  Activity.updateMany = async (filter, update) => { updates.push([filter, update]); };
+
+  await setReviewActivityHidden('r1', true);
+  await setReviewActivityHidden('r1', false);
+  assert.deepStrictEqual(updates, [
+    [{ review: 'r1' }, { $set: { hidden: true } }],
+    [{ review: 'r1' }, { $set: { hidden: false } }]
+  ]);
+});
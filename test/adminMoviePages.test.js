@@ -0,0 +1,54 @@
+// Admin movie pages (server.js): the create, edit and delete pages and their
+// form posts need an admin page session. Requests go through the real app;
+// nothing here reaches the database, so the connection is never opened.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+
+let server;
+
+function request(path, init = {}) {
+  return fetch(`http://127.0.0.1:${server.address().port}${path}`, { redirect: 'manual', ...init });
+}
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const PAGES = ['/movies/new', '/movie/603/edit', '/movie/603/delete'];
+
+test('the admin movie pages send visitors without a session to the login form', async () => {
+  for (const path of PAGES) {
+    const res = await request(path);
+    assert.strictEqual(res.status, 302, path);
+    assert.strictEqual(res.headers.get('location'), `/auth/login?redirect=${encodeURIComponent(path)}`);
+  }
+});
+
+test('a bearer token is no way into the admin movie pages', async () => {
+  const res = await request('/movie/603/edit', { headers: { Authorization: 'Bearer anything' } });
+  assert.strictEqual(res.status, 302);
+});
+
+test('the admin movie forms refuse posts without a session', async () => {
+  for (const path of PAGES) {
+    const res = await request(path, {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Changed' })
+    });
+    assert.strictEqual(res.status, 401, path);
+    assert.strictEqual((await res.json()).code, 'UNAUTHORIZED');
+  }
+});
@@ -0,0 +1,74 @@
+// Partner API access (middleware/apiKey.js): anonymous callers share a low
+// per-IP rate limit, keyed callers count against their key's quota and get
+// answers no shared cache may keep. The key and usage lookups are stubbed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.RATE_LIMIT_API_ANONYMOUS_IP = '2/1m';
+
+const apiKey = require('../middleware/apiKey');
+const errorHandler = require('../middleware/errorHandler');
+const { jsonEntry, sendJsonEntry } = require('../helpers/responseCache');
+const { setRateLimitStore, createMemoryStore } = require('../helpers/rateLimitStore');
+const ApiKey = require('../models/apiKey');
+const ApiKeyUsage = require('../models/apiKeyUsage');
+
+const KEY = 'mx_partnerkey';
+const KEY_ID = '507f1f77bcf86cd799439011';
+let used = 0;
+let app;
+
+const lean = value => ({ lean: async () => value });
+
+async function get(headers = {}) {
+  return fetch(`http://127.0.0.1:${app.address().port}/api/movies`, { headers });
+}
+
+before(async () => {
+  setRateLimitStore(createMemoryStore());
+  ApiKey.findOne = () => lean({ _id: KEY_ID, name: 'Partner', dailyQuota: 5, lastUsedAt: new Date() });
+  ApiKeyUsage.findOneAndUpdate = () => lean({ count: ++used });
+
+  const server = express();
+  server.get('/api/movies', apiKey(), (req, res) => {
+    sendJsonEntry(res, jsonEntry({ data: [] }), { hit: false, keyed: Boolean(req.apiKey) });
+  });
+  server.use(errorHandler());
+  app = server.listen(0, '127.0.0.1');
+  await new Promise(resolve => app.once('listening', resolve));
+});
+
+after(() => {
+  app.closeAllConnections();
+  app.close();
+});
+
+test('anonymous callers are rate limited per IP', async () => {
+  const first = await get();
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('ratelimit-limit'), '2');
+  assert.match(first.headers.get('cache-control'), /^public,/);
+
+  assert.strictEqual((await get()).status, 200);
+  const third = await get();
+  assert.strictEqual(third.status, 429);
+  assert.ok(third.headers.get('retry-after'));
+});
+
+test('keyed callers use their quota and get private answers', async () => {
+  const res = await get({ 'X-API-Key': KEY });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('x-quota-limit'), '5');
+  assert.strictEqual(res.headers.get('x-quota-remaining'), '4');
+  assert.strictEqual(res.headers.get('ratelimit-limit'), null);
+  assert.match(res.headers.get('cache-control'), /^private,/);
+  assert.match(res.headers.get('vary'), /X-API-Key/i);
+});
+
+test('an unknown key is rejected', async () => {
+  ApiKey.findOne = () => lean(null);
+  const res = await get({ 'X-API-Key': 'mx_nope' });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, 'API_KEY_INVALID');
+});
@@ -0,0 +1,86 @@
+// Catalog import (scripts/catalog.js runImport): two rows of one file cannot
+// take the same imdb_id, and a batch the database partly refuses is reported
+// row by row with counts of what was written. The file is real; movie reads
+// and the bulk write are stubbed.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Movie = require('../models/movie');
+const { runImport } = require('../scripts/catalog');
+
+const realFind = Movie.find;
+const realBulkWrite = Movie.bulkWrite;
+const realLog = console.log;
+
+let dir;
+let writes;
+
+function catalogFile(rows) {
+  const file = path.join(dir, 'catalog.ndjson');
+  fs.writeFileSync(file, rows.map(row => JSON.stringify(row)).join('\n'));
+  return file;
+}
+
+const movie = (id, imdbId, title = `Movie ${id}`) => ({ id, imdb_id: imdbId, title, budget: 1000, adult: false });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  writes = [];
+  Movie.find = () => ({ lean: async () => [] });
+  Movie.bulkWrite = async ops => {
+    writes.push(ops);
+    return { upsertedCount: ops.length, modifiedCount: 0 };
+  };
+  console.log = () => {};
+});
+
+afterEach(() => {
+  Movie.find = realFind;
+  Movie.bulkWrite = realBulkWrite;
+  console.log = realLog;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a second new movie with an imdb_id used earlier in the file is rejected', async () => {
+  const report = await runImport(catalogFile([
+    movie(1, 'tt0000001'),
+    movie(2, 'tt0000001'),
+    movie(3, 'tt0000003')
+  ]), {});
+
+  assert.deepStrictEqual(writes[0].map(op => op.updateOne.filter), [{ id: 1 }, { id: 3 }]);
+  assert.strictEqual(report.inserted, 2);
+  assert.deepStrictEqual(report.rejected, [
+    { row: 2, id: 2, reason: 'imdb_id tt0000001 is already used by row 1 (id 1)' }
+  ]);
+});
+
+test('ops the database refuses become rejects and are left out of the counts', async () => {
+  Movie.bulkWrite = async ops => {
+    writes.push(ops);
+    const err = new Error('E11000 duplicate key error');
+    err.name = 'MongoBulkWriteError';
+    err.result = { upsertedCount: 1, modifiedCount: 0 };
+    err.writeErrors = [{
+      index: 1,
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: movies index: imdb_id_1 dup key: { imdb_id: "tt0000002" }'
+    }];
+    throw err;
+  };
+
+  const report = await runImport(catalogFile([movie(1, 'tt0000001'), movie(2, 'tt0000002')]), {});
+  assert.strictEqual(report.inserted, 1);
+  assert.strictEqual(report.updated, 0);
+  assert.strictEqual(report.rejected.length, 1);
+  assert.strictEqual(report.rejected[0].row, 2);
+  assert.match(report.rejected[0].reason, /^not written: E11000/);
+});
+
+test('other write errors still stop the import', async () => {
+  Movie.bulkWrite = async () => { throw new Error('connection lost'); };
+  await assert.rejects(runImport(catalogFile([movie(1, 'tt0000001')]), {}), /connection lost/);
+});
@@ -0,0 +1,87 @@
+// GET /api/feed through the real app: the feed reads a capped number of the
+// most recent follows and asks for their activity with one $in of authors
+// per category, whatever the number of people followed. Sessions, follows,
+// users and events are stand-ins that record the queries they get.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+const Session = require('../models/session');
+const Follow = require('../models/follow');
+const User = require('../models/user');
+const Movie = require('../models/movie');
+const Activity = require('../models/activity');
+
+const originals = [
+  [Session, 'exists'], [Follow, 'find'], [User, 'find'], [Movie, 'find'], [Activity, 'find'], [Activity, 'countDocuments']
+].map(([Model, method]) => [Model, method, Model[method]]);
+
+const VIEWER = new mongoose.Types.ObjectId();
+const privacy = ['public', 'followers', 'private'];
+// 9 followed users, one per combination of watchlist and reviews settings
+const AUTHORS = privacy.flatMap(watchlist => privacy.map(reviews => ({
+  _id: new mongoose.Types.ObjectId(),
+  activityPrivacy: { watchlist, reviews }
+})));
+
+const calls = {};
+let server;
+
+// find() stand-in: records the filter and the chained calls, resolves to `rows`
+function recordFind(name, rows) {
+  return filter => {
+    const call = calls[name] = { filter };
+    const query = {
+      sort: value => { call.sort = value; return query; },
+      skip: () => query,
+      limit: value => { call.limit = value; return query; },
+      lean: async () => rows
+    };
+    return query;
+  };
+}
+
+before(async () => {
+  Session.exists = async () => ({ _id: 's1' });
+  Follow.find = recordFind('follows', AUTHORS.map(author => ({ following: author._id })));
+  User.find = recordFind('users', AUTHORS);
+  Movie.find = recordFind('movies', []);
+  Activity.find = recordFind('events', []);
+  Activity.countDocuments = async filter => { calls.count = filter; return 0; };
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  originals.forEach(([Model, method, original]) => { Model[method] = original; });
+  server.closeAllConnections();
+  server.close();
+});
+
+test('the feed asks for each category from the authors who show it to followers', async () => {
+  const token = jwt.sign({ id: String(VIEWER), role: 'user', sid: 's1' }, process.env.JWT_SECRET);
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/feed`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  assert.strictEqual(res.status, 200);
+
+  assert.deepStrictEqual(calls.follows.sort, { createdAt: -1 });
+  assert.strictEqual(calls.follows.limit, 1000);
+
+  const shownTo = category => AUTHORS
+    .filter(author => author.activityPrivacy[category] !== 'private')
+    .map(author => author._id);
+  assert.deepStrictEqual(calls.events.filter, {
+    $or: [
+      { category: 'watchlist', user: { $in: shownTo('watchlist') } },
+      { category: 'reviews', user: { $in: shownTo('reviews') } }
+    ],
+    hidden: { $ne: true }
+  });
+  assert.deepStrictEqual(calls.count, calls.events.filter);
+});
@@ -0,0 +1,142 @@
+// Committing an import (helpers/importExport.js applyImport) when some of
+// the planned writes collide with entries created since the preview. The
+// driver's insertMany is replaced by one that reports duplicate keys the
+// way MongoDB does for an unordered insert; Mongoose's own bookkeeping on
+// top of it runs for real.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { applyImport } = require('../helpers/importExport');
+const Activity = require('../models/activity');
+const Review = require('../models/review');
+const WatchlistItem = require('../models/watchlistItem');
+
+const userId = new mongoose.Types.ObjectId();
+const stubbed = [];
+let activity;
+let refreshed;
+
+// Replace obj[key] for one test
+function stub(obj, key, value) {
+  stubbed.push([obj, key, Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined]);
+  obj[key] = value;
+}
+
+// A driver insertMany that writes everything except the documents at `duplicates`
+function insertFailingAt(duplicates) {
+  return async (docs) => {
+    if (!duplicates.length) return { acknowledged: true, insertedCount: docs.length };
+    throw Object.assign(new Error('E11000 duplicate key error'), {
+      name: 'MongoBulkWriteError',
+      code: 11000,
+      // the driver's WriteError: its raw `err` plus index and code getters
+      writeErrors: duplicates.map(index => ({
+        index,
+        code: 11000,
+        err: { index, code: 11000, errmsg: 'E11000 duplicate key error collection' }
+      }))
+    });
+  };
+}
+
+const movie = (id, title, year) => ({ id, title, release_date: new Date(Date.UTC(year, 0, 1)) });
+
+function plan(actions) {
+  return {
+    actions: { watchlistCreate: [], watchlistWatched: [], reviewCreate: [], ...actions },
+    summary: {
+      rows: 4,
+      matched: 4,
+      unmatched: [],
+      matches: [],
+      watchlist: { create: actions.watchlistCreate ? actions.watchlistCreate.length : 0, update: 0, unchanged: 0 },
+      reviews: { create: actions.reviewCreate ? actions.reviewCreate.length : 0, unchanged: 0, needsVerifiedEmail: 0 },
+      skipped: []
+    }
+  };
+}
+
+beforeEach(() => {
+  activity = [];
+  refreshed = [];
+  stub(Activity, 'create', async fields => { activity.push(fields); });
+  stub(Review, 'refreshMovieRating', async id => { refreshed.push(id); });
+});
+
+afterEach(() => {
+  while (stubbed.length) {
+    const [obj, key, value] = stubbed.pop();
+    if (value === undefined) delete obj[key];
+    else obj[key] = value;
+  }
+});
+
+test('watchlist rows added since the preview are reported as skipped', async () => {
+  stub(WatchlistItem.collection, 'insertMany', insertFailingAt([1]));
+  const addedAt = new Date('2020-05-01T00:00:00Z');
+
+  const result = await applyImport(userId, plan({
+    watchlistCreate: [
+      { movie: movie(1, 'Alien', 1979), rows: [2], watchlist: { status: 'planned', addedAt } },
+      { movie: movie(2, 'Heat', 1995), rows: [3, 5], watchlist: { status: 'planned' } },
+      { movie: movie(3, 'Ran', 1985), rows: [4], watchlist: { status: 'planned' } }
+    ]
+  }));
+
+  assert.deepStrictEqual(result.watchlist, { create: 2, update: 0, unchanged: 0 });
+  assert.deepStrictEqual(result.skipped, [
+    { rows: [3, 5], type: 'watchlist', title: 'Heat', year: 1995, reason: 'already on your watchlist' }
+  ]);
+  // only the written entries become activity, dated as in the file
+  assert.deepStrictEqual(activity.map(a => [a.type, a.movieId]), [['watchlist_add', 1], ['watchlist_add', 3]]);
+  assert.deepStrictEqual(activity[0].createdAt, addedAt);
+});
+
+test('ratings are refreshed only for reviews that were written', async () => {
+  stub(Review.collection, 'insertMany', insertFailingAt([0]));
+  const date = new Date('2021-02-03T00:00:00Z');
+
+  const result = await applyImport(userId, plan({
+    reviewCreate: [
+      { movie: movie(1, 'Alien', 1979), rows: [2], review: { rating: 9, comment: 'Still scary' } },
+      { movie: movie(2, 'Heat', 1995), rows: [3], review: { rating: 8, comment: 'Great', date } }
+    ]
+  }));
+
+  assert.deepStrictEqual(result.reviews, { create: 1, unchanged: 0, needsVerifiedEmail: 0 });
+  assert.deepStrictEqual(result.skipped, [
+    { rows: [2], type: 'review', title: 'Alien', year: 1979, reason: 'already reviewed' }
+  ]);
+  assert.deepStrictEqual(refreshed, [2]);
+  assert.strictEqual(activity.length, 1);
+  assert.strictEqual(activity[0].type, 'review_create');
+  assert.strictEqual(activity[0].rating, 8);
+  assert.deepStrictEqual(activity[0].createdAt, date);
+});
+
+test('a clean import writes and records everything', async () => {
+  stub(WatchlistItem.collection, 'insertMany', insertFailingAt([]));
+  stub(WatchlistItem, 'bulkWrite', async () => ({}));
+  const watchedAt = new Date('2022-07-08T00:00:00Z');
+
+  const result = await applyImport(userId, plan({
+    watchlistCreate: [{ movie: movie(1, 'Alien', 1979), rows: [2], watchlist: { status: 'watched', watchedAt } }],
+    watchlistWatched: [{ item: { _id: new mongoose.Types.ObjectId(), movieId: 2, status: 'planned' }, watchlist: { status: 'watched', watchedAt } }]
+  }));
+
+  assert.deepStrictEqual(result.skipped, []);
+  assert.deepStrictEqual(activity.map(a => [a.type, a.movieId, a.status]), [
+    ['watchlist_add', 1, 'watched'],
+    ['watchlist_status', 2, 'watched']
+  ]);
+  assert.deepStrictEqual(activity[1].createdAt, watchedAt);
+});
+
+test('other insert errors are not swallowed', async () => {
+  stub(Review.collection, 'insertMany', async () => { throw new Error('connection reset'); });
+
+  await assert.rejects(applyImport(userId, plan({
+    reviewCreate: [{ movie: movie(1, 'Alien', 1979), rows: [2], review: { rating: 9, comment: '' } }]
+  })), /connection reset/);
+});
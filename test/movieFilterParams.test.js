@@ -0,0 +1,67 @@
+// Listing filter params (MOVIE_FILTER_QUERY in server.js): genre, language,
+// country and status are checked and capped like the other filters before
+// any query runs. Requests go through the real app; every one here is
+// refused before the database, so the connection is never opened.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+
+let server;
+
+async function getJson(path) {
+  const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    headers: { Accept: 'application/json' }
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const repeat = (name, count) => Array.from({ length: count }, (_, i) => `${name}=v${i}`).join('&');
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('list filters take a limited number of values', async () => {
+  for (const [name, max] of [['genre', 20], ['genres', 20], ['status', 10]]) {
+    const { status, body } = await getJson(`/api/movies?${repeat(name, max + 1)}`);
+    assert.strictEqual(status, 400, name);
+    assert.strictEqual(body.fields[name], `must have at most ${max} items`);
+  }
+});
+
+test('a comma-separated list counts every value', async () => {
+  const { status, body } = await getJson(`/api/movies?genre=${Array(21).fill('Drama').join(',')}`);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.fields.genre, 'must have at most 20 items');
+});
+
+test('overlong genre names and malformed codes are refused', async () => {
+  const { status, body } = await getJson(`/api/movies?genre=${'a'.repeat(51)}&language=english&country=USA`);
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(body.fields, {
+    genre: 'item 1 must be at most 50 characters',
+    language: 'item 1 must be a language code like en',
+    country: 'item 1 must be a country code like US'
+  });
+});
+
+test('the listing page and the analytics API check the same filters', async () => {
+  const page = await getJson(`/movies?${repeat('genre', 21)}`);
+  assert.strictEqual(page.status, 400);
+  assert.ok(page.body.fields.genre);
+
+  const report = await getJson(`/api/analytics/top-grossing?${repeat('status', 11)}`);
+  assert.strictEqual(report.status, 400);
+  assert.ok(report.body.fields.status);
+});
@@ -0,0 +1,46 @@
+// Listing filters (helpers/movieFilters.js): ?genre= and ?genres= both match
+// whole genre names in any case, and the typed values validate() hands over
+// become conditions as they are.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseMovieFilters, buildFilterConditions, markSelectedFacets } = require('../helpers/movieFilters');
+
+const genreCondition = query => buildFilterConditions(parseMovieFilters(query))[0]['genres.name'];
+
+test('?genre= matches whole names, ignoring case', () => {
+  const [pattern] = genreCondition({ genre: 'drama' }).$in;
+  assert.ok(pattern.test('Drama'));
+  assert.ok(pattern.test('DRAMA'));
+  assert.ok(!pattern.test('Docudrama'));
+});
+
+test('?genres= with genreMode=and needs every genre, in any case', () => {
+  const condition = genreCondition({ genres: 'science fiction,WAR', genreMode: 'and' });
+  assert.deepStrictEqual(Object.keys(condition), ['$all']);
+  assert.ok(condition.$all[0].test('Science Fiction'));
+  assert.ok(condition.$all[1].test('War'));
+});
+
+test('regex characters in a genre are taken literally', () => {
+  const [pattern] = genreCondition({ genre: 'Sci.Fi' }).$in;
+  assert.ok(pattern.test('sci.fi'));
+  assert.ok(!pattern.test('SciXFi'));
+});
+
+test('a genre given in another case ticks the matching facet', () => {
+  const facets = { genres: [{ value: 'Drama', label: 'Drama', count: 3 }], languages: [], countries: [], companies: [], collections: [], statuses: [] };
+  const { genres } = markSelectedFacets(facets, parseMovieFilters({ genre: 'drama' }));
+  assert.deepStrictEqual(genres, [{ value: 'Drama', label: 'Drama', count: 3, selected: true }]);
+});
+
+test('validated values are used as they are', () => {
+  const filters = parseMovieFilters({ minRating: 7.5, yearFrom: 1990, adult: false, language: ['EN'], country: ['us'] });
+  assert.deepStrictEqual(buildFilterConditions(filters), [
+    { vote_average: { $gte: 7.5 } },
+    { release_date: { $gte: new Date(Date.UTC(1990, 0, 1)) } },
+    { original_language: { $in: ['en'] } },
+    { 'production_countries.iso_3166_1': { $in: ['US'] } },
+    { adult: false }
+  ]);
+});
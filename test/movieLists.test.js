@@ -0,0 +1,86 @@
+// Shared list slugs (models/movieList.js) through POST /api/lists: 128
+// random bits after the title, and a fresh draw when a slug is already
+// taken. Sessions and the list inserts are stubbed.
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+const Session = require('../models/session');
+const MovieList = require('../models/movieList');
+
+const realExists = Session.exists;
+const realInsertOne = MovieList.collection.insertOne;
+
+let server;
+let inserted;
+
+function duplicateKey(keyPattern) {
+  return Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+}
+
+function createList(title) {
+  const token = jwt.sign({ id: String(new mongoose.Types.ObjectId()), role: 'user', sid: 's1' }, process.env.JWT_SECRET);
+  return fetch(`http://127.0.0.1:${server.address().port}/api/lists`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title, visibility: 'unlisted' })
+  });
+}
+
+before(async () => {
+  Session.exists = async () => ({ _id: 's1' });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+afterEach(() => {
+  MovieList.collection.insertOne = realInsertOne;
+});
+
+after(() => {
+  Session.exists = realExists;
+  server.closeAllConnections();
+  server.close();
+});
+
+// insertOne stand-in: refuses with `errors` in turn, then stores
+function insertRefusing(...errors) {
+  inserted = [];
+  MovieList.collection.insertOne = async doc => {
+    inserted.push(doc.slug);
+    const err = errors.shift();
+    if (err) throw err;
+    return { acknowledged: true, insertedId: doc._id };
+  };
+}
+
+test('a slug carries 16 random bytes after the title', async () => {
+  insertRefusing();
+  const res = await createList('Best of 2019');
+  assert.strictEqual(res.status, 201);
+  assert.match((await res.json()).slug, /^best-of-2019-[A-Za-z0-9_-]{22}$/);
+});
+
+test('a slug that is already taken is drawn again', async () => {
+  insertRefusing(duplicateKey({ slug: 1 }));
+  const res = await createList('Noir');
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(inserted.length, 2);
+  assert.notStrictEqual(inserted[0], inserted[1]);
+  assert.strictEqual((await res.json()).slug, inserted[1]);
+});
+
+test('other duplicate keys and repeated clashes are not retried forever', async () => {
+  insertRefusing(duplicateKey({ _id: 1 }));
+  assert.strictEqual((await createList('Noir')).status, 409);
+  assert.strictEqual(inserted.length, 1);
+
+  insertRefusing(duplicateKey({ slug: 1 }), duplicateKey({ slug: 1 }), duplicateKey({ slug: 1 }));
+  assert.strictEqual((await createList('Noir')).status, 409);
+  assert.strictEqual(inserted.length, 3);
+});
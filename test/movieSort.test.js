@@ -0,0 +1,42 @@
+// Keyset cursors (helpers/movieSort.js): what encodeCursor() issues decodes
+// back, and a cursor value of the wrong type for its sort is refused.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseSort, encodeCursor, decodeCursor, CursorError } = require('../helpers/movieSort');
+
+const forged = (sort, v) => Buffer.from(JSON.stringify({ s: sort, v, id: 7 })).toString('base64url');
+
+test('cursors round-trip for number, date, string and missing values', () => {
+  const cases = [
+    ['-popularity', { popularity: 12.5, id: 7 }, 12.5],
+    ['release_date', { release_date: new Date('1999-03-31T00:00:00Z'), id: 7 }, new Date('1999-03-31T00:00:00Z')],
+    ['title', { title: 'The Matrix', id: 7 }, 'The Matrix'],
+    ['-revenue', { id: 7 }, null]
+  ];
+  cases.forEach(([sort, lastDoc, value]) => {
+    const spec = parseSort(sort);
+    assert.deepStrictEqual(decodeCursor(encodeCursor(spec, { lastDoc }), spec), { value, id: 7 });
+  });
+});
+
+test('a value of the wrong type for the sort is refused', () => {
+  const cases = [
+    ['-popularity', { $gt: 0 }],
+    ['-popularity', '12'],
+    ['rating', { d: '2020-01-01' }],
+    ['title', 42],
+    ['title', { $ne: null }],
+    ['release_date', '1999-03-31'],
+    ['release_date', { d: 'not a date' }],
+    ['release_date', { d: '1999-03-31', $where: 'true' }]
+  ];
+  cases.forEach(([sort, v]) => {
+    assert.throws(() => decodeCursor(forged(sort, v), parseSort(sort)), CursorError, `${sort} ${JSON.stringify(v)}`);
+  });
+});
+
+test('a cursor without a value is refused', () => {
+  const raw = Buffer.from(JSON.stringify({ s: 'runtime', id: 7 })).toString('base64url');
+  assert.throws(() => decodeCursor(raw, parseSort('runtime')), { code: 'INVALID_CURSOR' });
+});
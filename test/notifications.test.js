@@ -0,0 +1,84 @@
+// Notifications through the real app: an admin edit that releases a movie
+// has created its watchlist notifications by the time the edit is answered,
+// and marking one read only finds in-app notifications. Sessions, movies,
+// watchlists and notifications are in-memory stand-ins.
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NOTIFICATION_CHANNELS = 'in-app';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+const Session = require('../models/session');
+const Movie = require('../models/movie');
+const WatchlistItem = require('../models/watchlistItem');
+const Notification = require('../models/notification');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const stubbed = [
+  [Session, 'exists'],
+  [Movie, 'findOne'],
+  [WatchlistItem, 'find'],
+  [Notification, 'insertMany'],
+  [Notification, 'updateMany'],
+  [Notification, 'findOne']
+].map(([Model, method]) => [Model, method, Model[method]]);
+
+let server;
+
+function request(path, { role = 'user', ...init } = {}) {
+  const token = jwt.sign({ id: String(USER_ID), role, sid: String(new mongoose.Types.ObjectId()) }, process.env.JWT_SECRET);
+  return fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...init.headers }
+  });
+}
+
+before(async () => {
+  Session.exists = async () => ({ _id: 'session' });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+afterEach(() => {
+  stubbed.slice(1).forEach(([Model, method, original]) => { Model[method] = original; });
+});
+
+after(() => {
+  stubbed.forEach(([Model, method, original]) => { Model[method] = original; });
+  server.closeAllConnections();
+  server.close();
+});
+
+test('an edit that releases a movie is answered after its notifications exist', async () => {
+  const movie = new Movie({ id: 603, title: 'The Matrix', status: 'Post Production', budget: 1, adult: false });
+  movie.save = async () => movie;
+  Movie.findOne = async () => movie;
+  WatchlistItem.find = () => ({ lean: async () => [{ user: USER_ID, movieId: 603 }] });
+
+  let created = null;
+  Notification.insertMany = async docs => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    created = docs.map(doc => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+    return created;
+  };
+  Notification.updateMany = async () => ({ modifiedCount: 1 });
+
+  const res = await request('/api/movies/603', { role: 'admin', method: 'PATCH', body: JSON.stringify({ status: 'Released' }) });
+  assert.strictEqual(res.status, 200);
+  assert.ok(created, 'notifications were created before the response');
+  assert.strictEqual(created[0].type, 'movie_released');
+});
+
+test('marking a notification read looks in the in-app inbox only', async () => {
+  let filter;
+  Notification.findOne = async value => { filter = value; return null; };
+
+  const id = String(new mongoose.Types.ObjectId());
+  const res = await request(`/api/notifications/${id}/read`, { method: 'POST' });
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(filter, { user: String(USER_ID), channels: 'in-app', _id: id });
+});
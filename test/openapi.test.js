@@ -0,0 +1,52 @@
+// OpenAPI document (helpers/openapi.js) built from the real app: every query
+// parameter the movie listing and the analytics reports accept is declared
+// to validate(), so it is documented, and nothing else reaches them.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+const { buildOpenApiSpec } = require('../helpers/openapi');
+
+const FILTERS = ['genre', 'genres', 'genreMode', 'minRating', 'yearFrom', 'yearTo', 'runtimeMin', 'runtimeMax',
+  'language', 'country', 'company', 'collection', 'adult', 'status'];
+
+let server;
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const queryParams = operation => operation.parameters.filter(p => p.in === 'query').map(p => p.name);
+
+test('the listing and report filters are documented', () => {
+  const spec = buildOpenApiSpec(app);
+  const movies = queryParams(spec.paths['/api/movies'].get);
+  const report = queryParams(spec.paths['/api/analytics/{report}'].get);
+
+  FILTERS.forEach(name => {
+    assert.ok(movies.includes(name), `/api/movies ${name}`);
+    assert.ok(report.includes(name), `/api/analytics/{report} ${name}`);
+  });
+  ['limit', 'years', 'minBudget', 'minVotes'].forEach(name => assert.ok(report.includes(name), name));
+});
+
+test('documented list filters say how many values they take', () => {
+  const genre = buildOpenApiSpec(app).paths['/api/movies'].get.parameters.find(p => p.name === 'genre');
+  assert.deepStrictEqual(genre.schema, { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 });
+});
+
+test('report params are checked against what the document says', async () => {
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/analytics/top-grossing?limit=500&minRating=eleven`);
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual((await res.json()).fields, { minRating: 'must be a number', limit: 'must be at most 100' });
+});
@@ -0,0 +1,153 @@
+// Poster proxy (helpers/posters.js) and GET /img/poster/:movieId/:size of
+// the real app against a local stand-in for the TMDB image origin:
+// POSTER_ORIGIN points at an http server started here and POSTER_CACHE_DIR
+// at a fresh temp directory. Movie reads come from MOVIES below.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posters-test-'));
+process.env.POSTER_CACHE_DIR = cacheDir;
+process.env.POSTER_FETCH_TIMEOUT_MS = '200';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.connect = async () => mongoose;
+
+const app = require('../server');
+const Movie = require('../models/movie');
+const { getPosterFile, posterVersion } = require('../helpers/posters');
+
+const realFindOne = Movie.findOne;
+const JPEG = Buffer.from('not really a jpeg');
+const hits = new Map();
+let origin;
+let server;
+
+// What the stand-in origin answers, by path
+const ROUTES = {
+  '/w342/ok.jpg': res => setTimeout(() => res.writeHead(200, { 'Content-Type': 'image/jpeg' }).end(JPEG), 50),
+  '/w185/ok.jpg': res => res.writeHead(200, { 'Content-Type': 'image/jpeg' }).end(JPEG),
+  '/w342/gone.jpg': res => res.writeHead(404).end(),
+  '/w342/slow.jpg': res => setTimeout(() => res.writeHead(200, { 'Content-Type': 'image/jpeg' }).end(JPEG), 1000),
+  '/w342/page.jpg': res => res.writeHead(200, { 'Content-Type': 'text/html' }).end('<h1>Not found</h1>')
+};
+
+const tmdb = file => `https://image.tmdb.org/t/p/w500/${file}`;
+const cached = (size, file) => fs.existsSync(path.join(cacheDir, size, file));
+
+// The catalog behind the poster route
+const MOVIES = {
+  1: { id: 1, title: 'Found', poster_url: tmdb('ok.jpg') },
+  2: { id: 2, title: 'Gone Upstream', poster_url: tmdb('gone.jpg') },
+  3: { id: 3, title: 'Slow Origin', poster_url: tmdb('slow.jpg') }
+};
+
+async function request(url) {
+  const address = server.address();
+  return fetch(`http://127.0.0.1:${address.port}${url}`);
+}
+
+before(async () => {
+  origin = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) || 0) + 1);
+    (ROUTES[req.url] || (r => r.writeHead(404).end()))(res);
+  });
+  await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+  process.env.POSTER_ORIGIN = `http://127.0.0.1:${origin.address().port}`;
+
+  Movie.findOne = filter => ({ lean: async () => MOVIES[filter.id] || null });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  Movie.findOne = realFindOne;
+  origin.closeAllConnections();
+  origin.close();
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('the first request downloads the poster into the cache', async () => {
+  const file = await getPosterFile(tmdb('ok.jpg'), 'w185');
+  assert.strictEqual(file, path.join(cacheDir, 'w185', 'ok.jpg'));
+  assert.deepStrictEqual(fs.readFileSync(file), JPEG);
+  assert.strictEqual(hits.get('/w185/ok.jpg'), 1);
+});
+
+test('a cached poster is served without asking the origin again', async () => {
+  await getPosterFile(tmdb('ok.jpg'), 'w185');
+  const file = await getPosterFile(tmdb('ok.jpg'), 'w185');
+  assert.strictEqual(file, path.join(cacheDir, 'w185', 'ok.jpg'));
+  assert.strictEqual(hits.get('/w185/ok.jpg'), 1);
+});
+
+test('concurrent requests for one poster share a download', async () => {
+  const files = await Promise.all([1, 2, 3].map(() => getPosterFile(tmdb('ok.jpg'), 'w342')));
+  assert.deepStrictEqual(new Set(files), new Set([path.join(cacheDir, 'w342', 'ok.jpg')]));
+  assert.strictEqual(hits.get('/w342/ok.jpg'), 1);
+});
+
+test('a poster missing upstream resolves to null and is served as the placeholder', async () => {
+  assert.strictEqual(await getPosterFile(tmdb('gone.jpg'), 'w342'), null);
+  assert.strictEqual(cached('w342', 'gone.jpg'), false);
+
+  const res = await request('/img/poster/2/w342');
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=86400');
+  assert.match(await res.text(), /GONE UPSTREAM/);
+});
+
+test('a slow origin times out and nothing is cached', async () => {
+  await assert.rejects(getPosterFile(tmdb('slow.jpg'), 'w342'), { name: 'TimeoutError' });
+  assert.strictEqual(cached('w342', 'slow.jpg'), false);
+
+  // the route shows the placeholder, cached only briefly
+  const res = await request('/img/poster/3/w342');
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=300');
+});
+
+test('a response that is not an image is an error and nothing is cached', async () => {
+  await assert.rejects(getPosterFile(tmdb('page.jpg'), 'w342'), /sent text\/html/);
+  assert.strictEqual(cached('w342', 'page.jpg'), false);
+  assert.deepStrictEqual(fs.readdirSync(path.join(cacheDir, 'w342')).filter(f => f.endsWith('.tmp')), []);
+});
+
+test('the route serves the cached image', async () => {
+  const res = await request('/img/poster/1/w342');
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^image\/jpeg/);
+  assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), JPEG);
+});
+
+test('an unknown size is rejected', async () => {
+  assert.strictEqual(await getPosterFile(tmdb('ok.jpg'), 'original'), null);
+
+  const res = await request('/img/poster/1/original');
+  assert.strictEqual(res.status, 400);
+  const body = await res.json();
+  assert.strictEqual(body.code, 'VALIDATION_ERROR');
+  assert.ok(body.fields.size);
+  assert.strictEqual(hits.get('/original/ok.jpg'), undefined);
+});
+
+test('a poster URL with the current version may be cached for a year', async () => {
+  const res = await request(`/img/poster/1/w342?v=${posterVersion(MOVIES[1].poster_url)}`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+
+  const stale = await request('/img/poster/1/w342?v=0000000000');
+  assert.strictEqual(stale.headers.get('cache-control'), 'public, max-age=86400');
+});
+
+test('an unknown movie or a malformed version is refused', async () => {
+  assert.strictEqual((await request('/img/poster/99/w342')).status, 404);
+  assert.strictEqual((await request(`/img/poster/1/w342?v=${'a'.repeat(41)}`)).status, 400);
+});
@@ -0,0 +1,101 @@
+// Rate limiting when the counter store misbehaves: credential routes fail
+// closed with a 503, everything else fails open, and the Mongo store retries
+// an increment that lost a duplicate-key race.
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const rateLimit = require('../middleware/rateLimit');
+const errorHandler = require('../middleware/errorHandler');
+const { createMemoryStore, createMongoStore, setRateLimitStore } = require('../helpers/rateLimitStore');
+const { loginLockRemaining, recordLoginFailure, clearLoginFailures } = require('../helpers/loginLockout');
+const RateLimit = require('../models/rateLimit');
+
+// A store whose every call fails, as when Mongo is unreachable
+const brokenStore = {
+  name: 'broken',
+  increment: async () => { throw new Error('store down'); },
+  get: async () => { throw new Error('store down'); },
+  set: async () => { throw new Error('store down'); },
+  reset: async () => { throw new Error('store down'); }
+};
+
+let app;
+const realConsoleError = console.error;
+const realFindOneAndUpdate = RateLimit.findOneAndUpdate;
+
+async function post(url) {
+  return fetch(`http://127.0.0.1:${app.address().port}${url}`, { method: 'POST' });
+}
+
+before(async () => {
+  const server = express();
+  server.post('/login', rateLimit('login'), (req, res) => res.json({ ok: true }));
+  server.post('/watchlist', rateLimit('watchlist-write'), (req, res) => res.json({ ok: true }));
+  server.use(errorHandler());
+  app = server.listen(0, '127.0.0.1');
+  await new Promise(resolve => app.once('listening', resolve));
+  // the store errors are logged on purpose; keep the test output readable
+  console.error = () => {};
+});
+
+afterEach(() => {
+  setRateLimitStore(createMemoryStore());
+  RateLimit.findOneAndUpdate = realFindOneAndUpdate;
+});
+
+after(() => {
+  console.error = realConsoleError;
+  app.closeAllConnections();
+  app.close();
+});
+
+test('the login group answers 503 when the store is down', async () => {
+  setRateLimitStore(brokenStore);
+  const res = await post('/login');
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual((await res.json()).code, 'RATE_LIMIT_UNAVAILABLE');
+});
+
+test('other groups let the request through when the store is down', async () => {
+  setRateLimitStore(brokenStore);
+  const res = await post('/watchlist');
+  assert.strictEqual(res.status, 200);
+});
+
+test('the lockout check and failure count fail closed', async () => {
+  setRateLimitStore(brokenStore);
+  await assert.rejects(loginLockRemaining('a@example.com'), { status: 503, code: 'RATE_LIMIT_UNAVAILABLE' });
+  await assert.rejects(recordLoginFailure('a@example.com'), { status: 503, code: 'RATE_LIMIT_UNAVAILABLE' });
+  // clearing only follows a correct password and must not fail the login
+  await clearLoginFailures('a@example.com');
+});
+
+test('the Mongo store retries an increment that hit a duplicate key', async () => {
+  let calls = 0;
+  const resetAt = new Date(Date.now() + 60000);
+  RateLimit.findOneAndUpdate = () => ({
+    lean: async () => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      return { count: 2, resetAt };
+    }
+  });
+
+  const hit = await createMongoStore().increment('login:ip:1.2.3.4', 60000);
+  assert.deepStrictEqual(hit, { count: 2, resetAt });
+  assert.strictEqual(calls, 2);
+});
+
+test('the Mongo store retries a duplicate key only once', async () => {
+  let calls = 0;
+  RateLimit.findOneAndUpdate = () => ({
+    lean: async () => {
+      calls += 1;
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+  });
+
+  await assert.rejects(createMongoStore().increment('login:ip:1.2.3.4', 60000), { code: 11000 });
+  assert.strictEqual(calls, 2);
+});
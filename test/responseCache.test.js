@@ -0,0 +1,56 @@
+// Movie read cache (helpers/responseCache.js): a community rating refresh
+// evicts only the rated movie's entries and the listings; other catalog
+// writes still empty the whole cache. Driver writes are stubbed.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { movieCache, createLruCache, cacheKey } = require('../helpers/responseCache');
+const Movie = require('../models/movie');
+const Review = require('../models/review');
+
+const realUpdateOne = Movie.collection.updateOne;
+const realAggregate = Review.aggregate;
+
+const KEYS = [
+  'page:movie:1', 'api:movie:1', 'poster:1',
+  'page:movie:2', 'api:movie:2', 'poster:2',
+  cacheKey('page:movies', { page: 1 }),
+  cacheKey('api:movies', { page: 1, perPage: 20 })
+];
+
+beforeEach(() => {
+  movieCache.clear();
+  KEYS.forEach(key => movieCache.set(key, key));
+  Movie.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  Review.aggregate = async () => [{ _id: 8, count: 2, total: 16 }];
+});
+
+after(() => {
+  Movie.collection.updateOne = realUpdateOne;
+  Review.aggregate = realAggregate;
+});
+
+const cachedKeys = () => KEYS.filter(key => movieCache.get(key) !== undefined);
+
+test('a rating refresh evicts that movie and the listings only', async () => {
+  const rating = await Review.refreshMovieRating(1);
+  assert.strictEqual(rating.average, 8);
+  assert.deepStrictEqual(cachedKeys(), ['page:movie:2', 'api:movie:2', 'poster:2']);
+});
+
+test('any other catalog write empties the cache', async () => {
+  await Movie.updateOne({ id: 2 }, { $set: { title: 'Renamed' } });
+  assert.deepStrictEqual(cachedKeys(), []);
+});
+
+test('a load in flight for an evicted key is not stored', async () => {
+  const cache = createLruCache();
+  let finish;
+  const loading = cache.fetch('api:movie:1', () => new Promise(resolve => { finish = resolve; }));
+  await Promise.resolve();
+
+  cache.evict(key => key === 'api:movie:1');
+  finish('stale');
+  assert.deepStrictEqual(await loading, { value: 'stale', hit: false });
+  assert.strictEqual(cache.get('api:movie:1'), undefined);
+});
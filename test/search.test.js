@@ -0,0 +1,70 @@
+// Movie search (helpers/search.js): queries that sanitize to nothing, and
+// the shape of the suggestion prefix query. Movie reads are stubbed.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Movie = require('../models/movie');
+const { searchMovies, suggestMovies } = require('../helpers/search');
+const { listMovies } = require('../helpers/movieListing');
+const { parseSort } = require('../helpers/movieSort');
+
+const realFind = Movie.find;
+const realAggregate = Movie.aggregate;
+const realCountDocuments = Movie.countDocuments;
+
+afterEach(() => {
+  Movie.find = realFind;
+  Movie.aggregate = realAggregate;
+  Movie.countDocuments = realCountDocuments;
+});
+
+// Movie.find() stand-in recording the filter and the chained calls
+function recordFind(calls, rows = []) {
+  return (filter, projection) => {
+    const call = { filter, projection };
+    calls.push(call);
+    const query = {
+      collation: value => { call.collation = value; return query; },
+      sort: value => { call.sort = value; return query; },
+      skip: () => query,
+      limit: value => { call.limit = value; return query; },
+      lean: async () => rows
+    };
+    return query;
+  };
+}
+
+test('a query with nothing searchable left finds nothing', async () => {
+  Movie.countDocuments = () => { throw new Error('should not query'); };
+  const result = await searchMovies('!!', { filter: { adult: false } });
+  assert.deepStrictEqual(result.items, []);
+  assert.strictEqual(result.totalCount, 0);
+  assert.deepStrictEqual(result.matchFilter, { adult: false, $and: [{ _id: { $in: [] } }] });
+});
+
+test('no query at all is not a search', async () => {
+  assert.strictEqual(await searchMovies(''), null);
+  assert.strictEqual(await searchMovies('   '), null);
+});
+
+test('the listing answers an unsearchable query with no movies', async () => {
+  Movie.find = () => { throw new Error('should not list the catalog'); };
+  const listing = await listMovies({ q: '!!', sortSpec: parseSort(undefined, { allowRelevance: true }), limit: 20 });
+  assert.deepStrictEqual(listing.items, []);
+  assert.strictEqual(listing.totalCount, 0);
+});
+
+test('suggestions match title prefixes through the case-insensitive index', async () => {
+  const calls = [];
+  Movie.find = recordFind(calls, [{ id: 11, title: 'Star Wars', release_date: new Date('1977-05-25'), popularity: 90 }]);
+  Movie.aggregate = async () => [];
+
+  const suggestions = await suggestMovies('star w');
+  assert.deepStrictEqual(calls[0].filter, { title: { $gte: 'star w', $lt: 'star w\uffff' } });
+  assert.deepStrictEqual(calls[0].collation, Movie.TITLE_COLLATION);
+  assert.deepStrictEqual(suggestions, [{ id: 11, title: 'Star Wars', year: 1977, poster_url: '' }]);
+
+  const index = Movie.schema.indexes().find(([, options]) => options.name === 'title_case_insensitive');
+  assert.deepStrictEqual(index[0], { title: 1 });
+  assert.deepStrictEqual(index[1].collation, Movie.TITLE_COLLATION);
+});
@@ -0,0 +1,104 @@
+// Refresh token rotation (helpers/session.js rotateSession): concurrent
+// refreshes with one token, and replays after the grace window. Session
+// reads and writes go to an in-memory stand-in that applies the same
+// conditional filters Mongo would.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Session = require('../models/session');
+const { rotateSession, SessionError } = require('../helpers/session');
+
+const real = {
+  findOneAndUpdate: Session.findOneAndUpdate,
+  findOne: Session.findOne,
+  exists: Session.exists,
+  updateOne: Session.updateOne
+};
+
+const USER = { _id: 'u1', role: 'user' };
+const req = { headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+const loadUser = async () => USER;
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+let sessions;
+
+// { field: value | { $gt: value } } against a plain session object
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$gt !== undefined) return doc[field] > condition.$gt;
+    return doc[field] === condition;
+  });
+}
+
+beforeEach(() => {
+  sessions = [{
+    _id: 's1',
+    user: 'u1',
+    tokenHash: hash('first'),
+    previousTokenHash: null,
+    rotatedAt: null,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }];
+  // every call yields once, so two refreshes started together interleave
+  Session.findOneAndUpdate = async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const doc = sessions.find(s => matches(s, filter));
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    return { ...doc };
+  };
+  Session.findOne = async filter => {
+    const doc = sessions.find(s => matches(s, filter));
+    return doc ? { ...doc } : null;
+  };
+  Session.exists = async filter => (sessions.some(s => matches(s, filter)) ? { _id: 's1' } : null);
+  Session.updateOne = async (filter, update) => {
+    const doc = sessions.find(s => matches(s, filter));
+    if (doc) Object.assign(doc, update.$set);
+  };
+});
+
+after(() => Object.assign(Session, real));
+
+test('a refresh rotates the token', async () => {
+  const result = await rotateSession('first', req, loadUser);
+  assert.ok(result.refreshToken);
+  assert.ok(result.accessToken);
+  assert.strictEqual(sessions[0].tokenHash, hash(result.refreshToken));
+  assert.strictEqual(sessions[0].previousTokenHash, hash('first'));
+});
+
+test('of two concurrent refreshes one rotates and the other only gets an access token', async () => {
+  const results = await Promise.all([
+    rotateSession('first', req, loadUser),
+    rotateSession('first', req, loadUser)
+  ]);
+  const rotated = results.filter(r => r.refreshToken);
+  assert.strictEqual(rotated.length, 1);
+  assert.strictEqual(sessions[0].tokenHash, hash(rotated[0].refreshToken));
+  assert.ok(results.every(r => r.accessToken));
+  assert.strictEqual(sessions[0].revokedAt, null);
+
+  // the token the browser kept still works
+  const next = await rotateSession(rotated[0].refreshToken, req, loadUser);
+  assert.ok(next.refreshToken);
+});
+
+test('replaying a rotated token after the grace window revokes the session', async () => {
+  const { refreshToken } = await rotateSession('first', req, loadUser);
+  sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  await assert.rejects(rotateSession('first', req, loadUser), SessionError);
+  assert.ok(sessions[0].revokedAt);
+  assert.strictEqual(sessions[0].revokedReason, 'refresh token reused');
+  await assert.rejects(rotateSession(refreshToken, req, loadUser), /expired or revoked/);
+});
+
+test('an unknown token is refused', async () => {
+  await assert.rejects(rotateSession('nope', req, loadUser), /Invalid refresh token/);
+  await assert.rejects(rotateSession('', req, loadUser), /No refresh token/);
+});